@@ -0,0 +1,627 @@
+/* global Calendar, CalendarApp, Utilities */
+
+/**
+ * Calendar Backends
+ *
+ * SyncFreeBusy reads and writes calendars through a calendar backend, so it can run against Google Calendar inside
+ * Apps Script as well as against other calendars, or in memory under Node. A backend is an object with:
+ *
+ * - `getCalendarById(calendarId)` - returns the calendar, or null when it does not exist. A calendar has `getName()`,
+ *   `getTimeZone()` for its working hours, `getEvents(startTime, endTime)` to list events, `getEventById(eventId)`
+ *   and `createEvent(title, startTime, endTime, options)` to create an event with an optional `description`.
+ * - Events as `CalendarApp` returns them: `getId`, `getTitle`, `getStartTime`, `getEndTime`, `getLocation`,
+ *   `getColor`, `getMyStatus`, `getTransparency`, `getLastUpdated`, `isAllDayEvent` and `isRecurringEvent` to read
+ *   them, `setTime`, `setTitle`, `setDescription`, `setColor`, `setVisibility`, `setTransparency`,
+ *   `removeAllReminders` and `resetRemindersToDefault` to update them, `deleteEvent` to delete them, and `getTag`,
+ *   `setTag` and `deleteTag` for the tags that mark blocking and conflicting events.
+ * - The `GuestStatus`, `EventTransparency` and `Visibility` enums the events use.
+ * - `listInstances(calendarId, seriesId, startTime, endTime)` - returns the instances of a recurring series, each with
+ *   its `startTime`, `originalStartTime` and the `recurringEventId` of its series, or an empty array when the
+ *   backend cannot tell.
+ * - `supportsEventSeries`, and when it is true `createEventSeries(calendarId, series)` to copy a recurring source
+ *   series as a block series, and `deleteEventSeries(calendarId, event)` to delete the series of an instance.
+ * - `getEventLink(event, calendarId)` - returns a link that opens the event.
+ * - `listChangedEvents(calendarId, updatedMin)` - returns the events created, changed or deleted since `updatedMin`,
+ *   each with its `eventId`, whether it was `deleted`, its `tags` and when it was last `updated`, or null when the
+ *   backend cannot tell. It throws when `updatedMin` is too long ago for the calendar to know.
+ * - `getAccessRole(calendarId)` - returns the access role on a calendar as Google Calendar names it (`owner`,
+ *   `writer`, `reader` or `freeBusyReader`), or null when the backend cannot tell.
+ * - `batchWrites(calendarId, event, change)` - calls `change`, which makes several changes to an event, and writes
+ *   them at once when the backend can (e.g. one PUT on CalDAV); other backends write every change as it is made.
+ * - `sleep(milliseconds)` - waits before a calendar operation is retried.
+ */
+
+// The formatters of `getTimeZoneOffset`, by time zone
+const timeZoneFormats = new Map();
+
+/**
+ * Returns the offset of a time zone from UTC at a moment. The calendar backends use it to read times in a time zone,
+ * and SyncFreeBusy for the working hours of a calendar.
+ *
+ * @param {string} timeZone - The IANA name of the time zone.
+ * @param {number} time - The moment, in milliseconds since the epoch.
+ * @returns {number} - The offset in milliseconds (positive east of UTC).
+ */
+const getTimeZoneOffset = (timeZone, time) => {
+    // Creating a formatter is slow, so every time zone gets one
+    if (!timeZoneFormats.has(timeZone)) {
+        timeZoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    timeZoneFormats.get(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * CalendarAppBackend Module
+ *
+ * The default calendar backend: Google Calendar through `CalendarApp`. When the Advanced Calendar service is
+ * enabled, it also knows the original start time of recurring instances and can create block series.
+ *
+ * @returns {Object} - The calendar backend.
+ */
+const CalendarAppBackend = () => {
+    // Only the Advanced Calendar service exposes recurring instances and recurrence rules
+    const hasAdvancedService = typeof Calendar !== 'undefined';
+
+    /**
+     * Converts a start or end time of the Advanced Calendar service to a date.
+     *
+     * @param {Object} time - The time, with a `dateTime` or, for all-day events, a `date`.
+     * @returns {Date} - The time; an all-day date is midnight in the time zone of the script, like the start time
+     *   CalendarApp returns.
+     */
+    const parseApiTime = ({ dateTime, date }) => {
+        if (dateTime) {
+            return new Date(dateTime);
+        }
+
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    };
+
+    /**
+     * Lists the instances of a recurring series with the Advanced Calendar service.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @param {string} seriesId - The ID (iCalUID) of the series, as CalendarApp returns it for every instance.
+     * @param {Date} startTime - The start of the time range.
+     * @param {Date} endTime - The end of the time range.
+     * @returns {Array<Object>} - The `startTime`, `originalStartTime` and `recurringEventId` of every instance.
+     */
+    const listInstances = (calendarId, seriesId, startTime, endTime) => {
+        if (!hasAdvancedService) {
+            return [];
+        }
+
+        const instances = [];
+        let pageToken;
+        do {
+            const page = Calendar.Events.list(calendarId, {
+                iCalUID: seriesId,
+                singleEvents: true,
+                timeMin: startTime.toISOString(),
+                timeMax: endTime.toISOString(),
+                maxResults: 2500,
+                pageToken
+            });
+
+            (page.items || []).filter(item => item.originalStartTime).forEach(item => {
+                instances.push({
+                    startTime: parseApiTime(item.start),
+                    originalStartTime: parseApiTime(item.originalStartTime),
+                    recurringEventId: item.recurringEventId
+                });
+            });
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        return instances;
+    };
+
+    /**
+     * Creates a series that copies the recurrence of a source series, including its cancelled instances.
+     *
+     * @param {string} calendarId - The ID of the calendar to create the series in.
+     * @param {Object} series - The series to create.
+     * @param {string} series.sourceCalendarId - The ID of the calendar of the source series.
+     * @param {string} series.recurringEventId - The `recurringEventId` of the source series (see `listInstances`).
+     * @param {string} series.title - The title of the new series.
+     * @param {string} series.description - The description of the new series.
+     * @returns {GoogleAppsScript.Calendar.CalendarEventSeries} - The new series.
+     */
+    const createEventSeries = (calendarId, { sourceCalendarId, recurringEventId, title, description }) => {
+        const sourceSeries = Calendar.Events.get(sourceCalendarId, recurringEventId);
+        const newSeries = Calendar.Events.insert({
+            summary: title,
+            description,
+            start: sourceSeries.start,
+            end: sourceSeries.end,
+            recurrence: sourceSeries.recurrence
+        }, calendarId);
+
+        // Return the series as CalendarApp sees it, so its tags apply to every instance
+        return CalendarApp.getCalendarById(calendarId).getEventSeriesById(newSeries.iCalUID);
+    };
+
+    /**
+     * Deletes the series an instance belongs to.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - An instance of the series.
+     */
+    const deleteEventSeries = (calendarId, event) => {
+        event.getEventSeries().deleteEventSeries();
+    };
+
+    /**
+     * Lists the events that were created, changed or deleted since a time with the Advanced Calendar service.
+     * Google Calendar fails with "410 Gone" when the time is too long ago.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @param {Date} updatedMin - The time to list the changes since.
+     * @returns {Array<Object>|null} - The `eventId`, `deleted` flag, `tags` and `updated` time of every changed event,
+     *   or null without the Advanced Calendar service.
+     */
+    const listChangedEvents = (calendarId, updatedMin) => {
+        if (!hasAdvancedService) {
+            return null;
+        }
+
+        const changes = [];
+        let pageToken;
+        do {
+            const page = Calendar.Events.list(calendarId, {
+                updatedMin: updatedMin.toISOString(),
+                showDeleted: true,
+                maxResults: 2500,
+                pageToken
+            });
+
+            // CalendarApp keeps the tags of an event in its private extended properties
+            (page.items || []).forEach(item => {
+                changes.push({
+                    eventId: item.iCalUID,
+                    deleted: item.status === 'cancelled',
+                    tags: (item.extendedProperties && item.extendedProperties.private) || {},
+                    updated: new Date(item.updated)
+                });
+            });
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        return changes;
+    };
+
+    /**
+     * Reads the access role of the user on a calendar. The Advanced Calendar service knows it for every calendar in
+     * the calendar list of the user; without it, only the calendars the user owns are known.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @returns {string|null} - The access role, or null when it is not known.
+     */
+    const getAccessRole = (calendarId) => {
+        if (hasAdvancedService) {
+            try {
+                return Calendar.CalendarList.get(calendarId).accessRole;
+            } catch (error) {
+                // The calendar is not in the calendar list of the user
+            }
+        }
+
+        const calendar = CalendarApp.getCalendarById(calendarId);
+        return calendar && calendar.isOwnedByMe() ? 'owner' : null;
+    };
+
+    /**
+     * Builds a link that opens an event in Google Calendar.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The event to link to.
+     * @param {string} calendarId - The ID of the calendar that holds the event.
+     * @returns {string} - The link to the event.
+     */
+    const getEventLink = (event, calendarId) => {
+        const eventId = event.getId().split('@')[0];
+        const eid = Utilities.base64EncodeWebSafe(`${eventId} ${calendarId}`).replace(/=+$/, '');
+        return `https://www.google.com/calendar/event?eid=${eid}`;
+    };
+
+    return Object.freeze({
+        GuestStatus: CalendarApp.GuestStatus,
+        EventTransparency: CalendarApp.EventTransparency,
+        Visibility: CalendarApp.Visibility,
+        supportsEventSeries: hasAdvancedService,
+        getCalendarById: (calendarId) => CalendarApp.getCalendarById(calendarId),
+        listInstances,
+        createEventSeries,
+        deleteEventSeries,
+        getEventLink,
+        listChangedEvents,
+        getAccessRole,
+        // CalendarApp writes every change on its own
+        batchWrites: (calendarId, event, change) => change(),
+        sleep: (milliseconds) => Utilities.sleep(milliseconds)
+    });
+};
+
+/**
+ * MemoryCalendarBackend Module
+ *
+ * A calendar backend that keeps its calendars in memory, to run and test synchronizations without Google Calendar
+ * (e.g. under Node). Events are added with `addEvent`; instances of a recurring series share a `seriesId` and each
+ * have an `originalStartTime`.
+ *
+ * @param {Object} [params] - The parameters for the backend.
+ * @param {Array<Object>} [params.calendars=[]] - The calendars to start with, each with an `id`, an optional `name`,
+ *   an optional IANA `timeZone`, an optional `accessRole` (default is `owner`) and optional `events` (see `addEvent`).
+ * @returns {Object} - The calendar backend, which also exposes the `addCalendar` and `addEvent` methods.
+ */
+const MemoryCalendarBackend = (params = {}) => {
+    const GuestStatus = Object.freeze({ OWNER: 'OWNER', YES: 'YES', NO: 'NO', MAYBE: 'MAYBE', INVITED: 'INVITED' });
+    const EventTransparency = Object.freeze({ OPAQUE: 'OPAQUE', TRANSPARENT: 'TRANSPARENT' });
+    const Visibility = Object.freeze({ DEFAULT: 'DEFAULT', PUBLIC: 'PUBLIC', PRIVATE: 'PRIVATE', CONFIDENTIAL: 'CONFIDENTIAL' });
+
+    // The calendars by ID, each with its name and the data of its events
+    const calendars = new Map();
+    let nextId = 1;
+
+    // The IDs and deletion times of the deleted events, per event data array of a calendar
+    const deletedEvents = new WeakMap();
+
+    /**
+     * Removes event data from its calendar, and remembers its deletion for `listChangedEvents`.
+     *
+     * @param {Array<Object>} events - The event data of the calendar.
+     * @param {Object} data - The data of the event to remove.
+     */
+    const removeEventData = (events, data) => {
+        events.splice(events.indexOf(data), 1);
+
+        if (!deletedEvents.has(events)) {
+            deletedEvents.set(events, []);
+        }
+        deletedEvents.get(events).push({ eventId: data.seriesId || data.id, tags: { ...data.tags }, deletedAt: new Date() });
+    };
+
+    /**
+     * Wraps the data of an event in an object with the methods of a `CalendarApp` event.
+     *
+     * @param {Object} data - The data of the event.
+     * @param {Array<Object>} events - The event data of its calendar, to delete the event from.
+     * @returns {Object} - The event.
+     */
+    const toEvent = (data, events) => {
+        // Every change updates the last-updated time of the event
+        const update = (change) => {
+            change();
+            data.lastUpdated = new Date();
+            return event;
+        };
+
+        const event = Object.freeze({
+            getId: () => data.seriesId || data.id,
+            getTitle: () => data.title,
+            getDescription: () => data.description,
+            getLocation: () => data.location,
+            getStartTime: () => new Date(data.startTime),
+            getEndTime: () => new Date(data.endTime),
+            getColor: () => data.color,
+            getVisibility: () => data.visibility,
+            getMyStatus: () => data.myStatus,
+            getTransparency: () => data.transparency,
+            getLastUpdated: () => new Date(data.lastUpdated),
+            isAllDayEvent: () => data.allDay,
+            isRecurringEvent: () => Boolean(data.seriesId),
+            getTag: (key) => key in data.tags ? data.tags[key] : null,
+            setTag: (key, value) => update(() => { data.tags[key] = String(value); }),
+            deleteTag: (key) => update(() => { delete data.tags[key]; }),
+            setTime: (startTime, endTime) => update(() => {
+                data.startTime = new Date(startTime);
+                data.endTime = new Date(endTime);
+            }),
+            setTitle: (title) => update(() => { data.title = title; }),
+            setDescription: (description) => update(() => { data.description = description; }),
+            setColor: (color) => update(() => { data.color = color; }),
+            setVisibility: (visibility) => update(() => { data.visibility = visibility; }),
+            setTransparency: (transparency) => update(() => { data.transparency = transparency; }),
+            setMyStatus: (myStatus) => update(() => { data.myStatus = myStatus; }),
+            removeAllReminders: () => update(() => { data.reminders = false; }),
+            resetRemindersToDefault: () => update(() => { data.reminders = true; }),
+            deleteEvent: () => {
+                const index = events.indexOf(data);
+                if (index === -1) {
+                    throw new Error(`Event ${event.getId()} has already been deleted`);
+                }
+                removeEventData(events, data);
+            }
+        });
+
+        return event;
+    };
+
+    /**
+     * Returns the data of the events of a calendar.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @returns {Array<Object>} - The event data.
+     */
+    const getEventData = (calendarId) => {
+        if (!calendars.has(calendarId)) {
+            throw new Error(`Calendar with ID ${calendarId} not found`);
+        }
+        return calendars.get(calendarId).events;
+    };
+
+    /**
+     * Adds an event to a calendar.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @param {Object} event - The event.
+     * @param {string} event.title - The title of the event.
+     * @param {Date} event.startTime - The start time of the event.
+     * @param {Date} event.endTime - The end time of the event.
+     * @param {string} [event.id] - The ID of the event (default is a generated ID).
+     * @param {string} [event.seriesId] - The ID of the series, for an instance of a recurring event.
+     * @param {Date} [event.originalStartTime] - The start time the series gave the instance (default is its start time).
+     * @param {Object} [event.tags={}] - The tags of the event.
+     * @param {Object} [event.fields] - Other fields: `description`, `location`, `color`, `visibility`, `myStatus`,
+     *   `transparency`, `allDay` and `lastUpdated`.
+     * @returns {Object} - The event.
+     */
+    const addEvent = (calendarId, { id, title, startTime, endTime, seriesId, originalStartTime, tags = {}, ...fields }) => {
+        const events = getEventData(calendarId);
+        const data = {
+            description: '',
+            location: '',
+            color: '',
+            visibility: Visibility.DEFAULT,
+            myStatus: GuestStatus.OWNER,
+            transparency: EventTransparency.OPAQUE,
+            allDay: false,
+            reminders: true,
+            lastUpdated: new Date(),
+            ...fields,
+            id: id || `event${nextId++}@memory`,
+            title,
+            startTime: new Date(startTime),
+            endTime: new Date(endTime),
+            seriesId: seriesId || null,
+            originalStartTime: new Date(originalStartTime || startTime),
+            tags: { ...tags }
+        };
+
+        events.push(data);
+        return toEvent(data, events);
+    };
+
+    /**
+     * Adds an empty calendar, or returns the calendar when it exists.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @param {string} [name] - The name of the calendar (default is its ID).
+     * @param {string} [timeZone] - The IANA time zone of the calendar (default is the time zone of the process).
+     * @returns {Object} - The calendar.
+     */
+    const addCalendar = (calendarId, name = calendarId, timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone, accessRole = 'owner') => {
+        if (!calendars.has(calendarId)) {
+            calendars.set(calendarId, { name, timeZone, accessRole, events: [] });
+        }
+        return getCalendarById(calendarId);
+    };
+
+    /**
+     * Returns a calendar with the methods of a `CalendarApp` calendar.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @returns {Object|null} - The calendar, or null when it does not exist.
+     */
+    const getCalendarById = (calendarId) => {
+        if (!calendars.has(calendarId)) {
+            return null;
+        }
+
+        const { name, timeZone, events } = calendars.get(calendarId);
+
+        return Object.freeze({
+            getId: () => calendarId,
+            getName: () => name,
+            getTimeZone: () => timeZone,
+            getEvents: (startTime, endTime) => events
+                .filter(data => data.startTime < endTime && data.endTime > startTime)
+                .sort((a, b) => a.startTime - b.startTime)
+                .map(data => toEvent(data, events)),
+            getEventById: (eventId) => {
+                const data = events.find(candidate => (candidate.seriesId || candidate.id) === eventId);
+                return data ? toEvent(data, events) : null;
+            },
+            createEvent: (title, startTime, endTime, options = {}) => addEvent(calendarId, { title, startTime, endTime, ...options })
+        });
+    };
+
+    /**
+     * Lists the instances of a recurring series.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @param {string} seriesId - The ID of the series.
+     * @param {Date} startTime - The start of the time range.
+     * @param {Date} endTime - The end of the time range.
+     * @returns {Array<Object>} - The `startTime`, `originalStartTime` and `recurringEventId` of every instance.
+     */
+    const listInstances = (calendarId, seriesId, startTime, endTime) => getEventData(calendarId)
+        .filter(data => data.seriesId === seriesId && data.startTime < endTime && data.endTime > startTime)
+        .map(data => ({
+            startTime: new Date(data.startTime),
+            originalStartTime: new Date(data.originalStartTime),
+            recurringEventId: seriesId
+        }));
+
+    /**
+     * Lists the events that were created, changed or deleted since a time. A changed series is listed once.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @param {Date} updatedMin - The time to list the changes since.
+     * @returns {Array<Object>} - The `eventId`, `deleted` flag, `tags` and `updated` time of every changed event.
+     */
+    const listChangedEvents = (calendarId, updatedMin) => {
+        const events = getEventData(calendarId);
+        const changes = new Map();
+
+        events.filter(data => data.lastUpdated >= updatedMin).forEach(data => {
+            const eventId = data.seriesId || data.id;
+            const updated = changes.has(eventId) && changes.get(eventId).updated > data.lastUpdated ? changes.get(eventId).updated : data.lastUpdated;
+            changes.set(eventId, { eventId, deleted: false, tags: { ...data.tags }, updated: new Date(updated) });
+        });
+        (deletedEvents.get(events) || []).filter(({ deletedAt }) => deletedAt >= updatedMin).forEach(({ eventId, tags, deletedAt }) => {
+            if (!changes.has(eventId)) {
+                changes.set(eventId, { eventId, deleted: true, tags, updated: deletedAt });
+            }
+        });
+
+        return [...changes.values()];
+    };
+
+    /**
+     * Creates a series that copies the instances of a source series at their original start times.
+     *
+     * @param {string} calendarId - The ID of the calendar to create the series in.
+     * @param {Object} series - The series to create, with the `sourceCalendarId`, the `recurringEventId` of the
+     *   source series, and its `title` and `description`.
+     * @returns {Object} - The new series, with the methods of a `CalendarApp` event series.
+     */
+    const createEventSeries = (calendarId, { sourceCalendarId, recurringEventId, title, description }) => {
+        const seriesId = `series${nextId++}@memory`;
+        const instances = getEventData(sourceCalendarId)
+            .filter(data => data.seriesId === recurringEventId)
+            .map(data => addEvent(calendarId, {
+                title,
+                description,
+                startTime: data.originalStartTime,
+                endTime: new Date(data.originalStartTime.getTime() + (data.endTime - data.startTime)),
+                seriesId,
+                originalStartTime: data.originalStartTime
+            }));
+
+        // A change to the series changes every instance
+        const series = {
+            getId: () => seriesId
+        };
+        ['setTag', 'deleteTag', 'setTitle', 'setDescription', 'setColor', 'setVisibility', 'removeAllReminders', 'resetRemindersToDefault'].forEach(method => {
+            series[method] = (...args) => {
+                instances.forEach(instance => instance[method](...args));
+                return series;
+            };
+        });
+
+        return Object.freeze(series);
+    };
+
+    /**
+     * Deletes the series an instance belongs to.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @param {Object} event - An instance of the series.
+     */
+    const deleteEventSeries = (calendarId, event) => {
+        const events = getEventData(calendarId);
+        const seriesId = event.getId();
+        events.filter(data => data.seriesId === seriesId).forEach(data => removeEventData(events, data));
+    };
+
+    // Add the calendars to start with
+    (params.calendars || []).forEach(({ id, name, timeZone, accessRole, events = [] }) => {
+        addCalendar(id, name, timeZone, accessRole);
+        events.forEach(event => addEvent(id, event));
+    });
+
+    return Object.freeze({
+        GuestStatus,
+        EventTransparency,
+        Visibility,
+        supportsEventSeries: true,
+        getCalendarById,
+        listInstances,
+        createEventSeries,
+        deleteEventSeries,
+        getEventLink: (event, calendarId) => `memory://${encodeURIComponent(calendarId)}/${encodeURIComponent(event.getId())}`,
+        listChangedEvents,
+        getAccessRole: (calendarId) => calendars.has(calendarId) ? calendars.get(calendarId).accessRole : null,
+        batchWrites: (calendarId, event, change) => change(),
+        sleep: () => {},
+        addCalendar,
+        addEvent
+    });
+};
+
+/**
+ * CompositeCalendarBackend Module
+ *
+ * Combines calendar backends, so one synchronization can mirror between e.g. Google calendars, ICS feeds and CalDAV
+ * calendars. Every calendar ID is routed to the backend it is listed under, and all other calendars to the default
+ * backend. Block series can only be created between calendars of the same backend.
+ *
+ * @param {Object} params - The parameters for the backend.
+ * @param {Array<Object>} params.backends - The other backends, each with its `backend` and the `calendarIds` it holds.
+ * @param {Object} [params.defaultBackend] - The backend of all other calendars (default is `CalendarAppBackend`).
+ * @returns {Object} - The calendar backend.
+ */
+const CompositeCalendarBackend = (params = {}) => {
+    // Validate required parameters
+    if (!params.backends) {
+        throw new Error("backends is required");
+    }
+
+    const { backends, defaultBackend = CalendarAppBackend() } = params;
+
+    const backendsByCalendarId = new Map();
+    backends.forEach(({ backend, calendarIds }) => {
+        calendarIds.forEach(calendarId => backendsByCalendarId.set(calendarId, backend));
+    });
+
+    const getBackend = (calendarId) => backendsByCalendarId.get(calendarId) || defaultBackend;
+
+    /**
+     * Creates a block series, in the backend of the calendar when it holds the source calendar too.
+     *
+     * @param {string} calendarId - The ID of the calendar to create the series in.
+     * @param {Object} series - The series to copy (see `CalendarAppBackend`).
+     * @returns {Object} - The block series.
+     */
+    const createEventSeries = (calendarId, series) => {
+        const backend = getBackend(calendarId);
+        if (!backend.supportsEventSeries || backend !== getBackend(series.sourceCalendarId)) {
+            throw new Error(`Cannot create a block series in ${calendarId} from ${series.sourceCalendarId}`);
+        }
+
+        return backend.createEventSeries(calendarId, series);
+    };
+
+    // Events of the other backends use their own enums; they match the default backend's by name
+    return Object.freeze({
+        GuestStatus: defaultBackend.GuestStatus,
+        EventTransparency: defaultBackend.EventTransparency,
+        Visibility: defaultBackend.Visibility,
+        supportsEventSeries: defaultBackend.supportsEventSeries,
+        getCalendarById: (calendarId) => getBackend(calendarId).getCalendarById(calendarId),
+        listInstances: (calendarId, seriesId, startTime, endTime) => getBackend(calendarId).listInstances(calendarId, seriesId, startTime, endTime),
+        createEventSeries,
+        deleteEventSeries: (calendarId, event) => getBackend(calendarId).deleteEventSeries(calendarId, event),
+        getEventLink: (event, calendarId) => getBackend(calendarId).getEventLink(event, calendarId),
+        listChangedEvents: (calendarId, updatedMin) => getBackend(calendarId).listChangedEvents(calendarId, updatedMin),
+        getAccessRole: (calendarId) => getBackend(calendarId).getAccessRole ? getBackend(calendarId).getAccessRole(calendarId) : null,
+        batchWrites: (calendarId, event, change) => getBackend(calendarId).batchWrites(calendarId, event, change),
+        sleep: (milliseconds) => defaultBackend.sleep(milliseconds)
+    });
+};
@@ -0,0 +1,1216 @@
+/* global UrlFetchApp, Utilities, getTimeZoneOffset, console */
+
+/**
+ * ICalendar Module
+ *
+ * Reads and writes iCalendar (RFC 5545) data, so SyncFreeBusy can use calendars that are only available as an ICS
+ * feed or on a CalDAV server. Recurring events are expanded with their RRULE, RDATE and EXDATE properties and
+ * their overridden instances (RECURRENCE-ID), in the time zone of their TZID.
+ *
+ * The tags SyncFreeBusy sets on blocking events are stored as `X-SYNCFREEBUSY-<TAG>` properties.
+ *
+ * The module is created once, with the Module Pattern, and exposes the `parse`, `serialize`, `readEvents`,
+ * `toCalendarEvent` and `createEventComponent` functions.
+ */
+const ICalendar = (() => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const TAG_PREFIX = 'X-SYNCFREEBUSY-';
+
+    // The most common Windows time zone names (used by Outlook) and their IANA time zones
+    const WINDOWS_TIME_ZONES = {
+        'UTC': 'UTC',
+        'GMT Standard Time': 'Europe/London',
+        'Greenwich Standard Time': 'Atlantic/Reykjavik',
+        'W. Europe Standard Time': 'Europe/Berlin',
+        'Romance Standard Time': 'Europe/Paris',
+        'Central Europe Standard Time': 'Europe/Budapest',
+        'Central European Standard Time': 'Europe/Warsaw',
+        'E. Europe Standard Time': 'Europe/Chisinau',
+        'FLE Standard Time': 'Europe/Kiev',
+        'GTB Standard Time': 'Europe/Bucharest',
+        'Russian Standard Time': 'Europe/Moscow',
+        'Eastern Standard Time': 'America/New_York',
+        'Central Standard Time': 'America/Chicago',
+        'Mountain Standard Time': 'America/Denver',
+        'Pacific Standard Time': 'America/Los_Angeles',
+        'India Standard Time': 'Asia/Kolkata',
+        'China Standard Time': 'Asia/Shanghai',
+        'Singapore Standard Time': 'Asia/Singapore',
+        'Tokyo Standard Time': 'Asia/Tokyo',
+        'AUS Eastern Standard Time': 'Australia/Sydney'
+    };
+
+    /**
+     * Splits a string at a separator, except where the separator is inside double quotes.
+     *
+     * @param {string} value - The string to split.
+     * @param {string} separator - The separator character.
+     * @returns {Array<string>} - The parts.
+     */
+    const splitOutsideQuotes = (value, separator) => {
+        const parts = [];
+        let part = '';
+        let inQuotes = false;
+
+        for (const character of value) {
+            if (character === '"') {
+                inQuotes = !inQuotes;
+            }
+            if (character === separator && !inQuotes) {
+                parts.push(part);
+                part = '';
+            } else {
+                part += character;
+            }
+        }
+
+        parts.push(part);
+        return parts;
+    };
+
+    /**
+     * Parses a content line (`NAME;PARAM=VALUE:value`) into a property.
+     *
+     * @param {string} line - The unfolded content line.
+     * @returns {Object} - The property, with its upper-case `name`, its `params` and its raw `value`.
+     */
+    const parseContentLine = (line) => {
+        let separatorIndex = 0;
+        let inQuotes = false;
+        for (; separatorIndex < line.length; separatorIndex++) {
+            if (line[separatorIndex] === '"') {
+                inQuotes = !inQuotes;
+            } else if (line[separatorIndex] === ':' && !inQuotes) {
+                break;
+            }
+        }
+
+        const [name, ...rawParams] = splitOutsideQuotes(line.slice(0, separatorIndex), ';');
+        const params = {};
+        rawParams.forEach(rawParam => {
+            const equalsIndex = rawParam.indexOf('=');
+            params[rawParam.slice(0, equalsIndex).toUpperCase()] = rawParam.slice(equalsIndex + 1).replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(separatorIndex + 1) };
+    };
+
+    /**
+     * Parses iCalendar text into components.
+     *
+     * @param {string} text - The iCalendar text.
+     * @returns {Array<Object>} - The top-level components (usually one VCALENDAR), each with a `name`, its
+     *   `properties` and its nested `components`.
+     */
+    const parse = (text) => {
+        const root = { name: 'ROOT', properties: [], components: [] };
+        const stack = [root];
+
+        // Unfold lines that continue on the next line (starting with a space or tab)
+        text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim()).forEach(line => {
+            const property = parseContentLine(line);
+            const current = stack[stack.length - 1];
+
+            if (property.name === 'BEGIN') {
+                const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+                current.components.push(component);
+                stack.push(component);
+            } else if (property.name === 'END') {
+                if (stack.length > 1) {
+                    stack.pop();
+                }
+            } else {
+                current.properties.push(property);
+            }
+        });
+
+        return root.components;
+    };
+
+    /**
+     * Folds a content line at 75 characters, as iCalendar requires.
+     *
+     * @param {string} line - The content line.
+     * @returns {string} - The folded line.
+     */
+    const foldLine = (line) => {
+        const chunks = [];
+        for (let index = 0; index < line.length; index += chunks.length === 0 ? 75 : 74) {
+            chunks.push(line.slice(index, index + (chunks.length === 0 ? 75 : 74)));
+        }
+        return chunks.join('\r\n ');
+    };
+
+    /**
+     * Serializes components into iCalendar text.
+     *
+     * @param {Array<Object>|Object} components - The component(s) to serialize (see `parse`).
+     * @returns {string} - The iCalendar text.
+     */
+    const serialize = (components) => {
+        const serializeComponent = (component) => [
+            `BEGIN:${component.name}`,
+            ...component.properties.map(({ name, params, value }) => foldLine(name
+                + Object.keys(params).map(key => `;${key}=${/[:;,]/.test(params[key]) ? `"${params[key]}"` : params[key]}`).join('')
+                + `:${value}`)),
+            ...component.components.flatMap(serializeComponent),
+            `END:${component.name}`
+        ];
+
+        return [].concat(components).flatMap(serializeComponent).join('\r\n') + '\r\n';
+    };
+
+    /**
+     * Unescapes an iCalendar text value.
+     *
+     * @param {string} value - The escaped value.
+     * @returns {string} - The text.
+     */
+    const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, character) => character.toLowerCase() === 'n' ? '\n' : character);
+
+    /**
+     * Escapes text for an iCalendar text value.
+     *
+     * @param {string} text - The text.
+     * @returns {string} - The escaped value.
+     */
+    const escapeText = (text) => String(text).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+
+    /**
+     * Returns the first property of a component with the given name.
+     *
+     * @param {Object} component - The component.
+     * @param {string} name - The name of the property.
+     * @returns {Object|undefined} - The property.
+     */
+    const getProperty = (component, name) => component.properties.find(property => property.name === name);
+
+    /**
+     * Returns the unescaped text of a property, or an empty string.
+     *
+     * @param {Object} component - The component.
+     * @param {string} name - The name of the property.
+     * @returns {string} - The text.
+     */
+    const getText = (component, name) => {
+        const property = getProperty(component, name);
+        return property ? unescapeText(property.value) : '';
+    };
+
+    /**
+     * Replaces (or, with a null value, removes) the properties of a component with the given name.
+     *
+     * @param {Object} component - The component.
+     * @param {string} name - The name of the property.
+     * @param {string|null} value - The raw value, or null to remove the property.
+     * @param {Object} [params={}] - The parameters of the property.
+     */
+    const setProperty = (component, name, value, params = {}) => {
+        const index = component.properties.findIndex(property => property.name === name);
+        component.properties = component.properties.filter(property => property.name !== name);
+
+        if (value !== null) {
+            component.properties.splice(index === -1 ? component.properties.length : index, 0, { name, params, value });
+        }
+    };
+
+    /**
+     * Tells whether a time zone is known to `Intl`.
+     *
+     * @param {string} timeZone - The name of the time zone.
+     * @returns {boolean} - Whether the time zone is known.
+     */
+    const isKnownTimeZone = (timeZone) => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    };
+
+    /**
+     * Creates a clock that converts wall-clock times to moments. Wall-clock times are "naive" times: milliseconds
+     * since the epoch as if the wall clock were UTC, so calendar arithmetic ignores daylight saving time.
+     *
+     * @param {Object} zone - The zone: `{ type: 'utc' }`, `{ type: 'local' }` (the time zone of the script),
+     *   `{ type: 'zone', timeZone }` (an IANA time zone) or `{ type: 'offset', offset }` (a fixed offset).
+     * @returns {Function} - Converts a naive time to milliseconds since the epoch.
+     */
+    const createClock = (zone) => (naiveTime) => {
+        if (zone.type === 'utc') {
+            return naiveTime;
+        }
+        if (zone.type === 'offset') {
+            return naiveTime - zone.offset;
+        }
+        if (zone.type === 'local') {
+            const date = new Date(naiveTime);
+            return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()).getTime();
+        }
+
+        // Guess with the offset at the naive time, then correct with the offset at the guess (daylight saving time)
+        const guess = naiveTime - getTimeZoneOffset(zone.timeZone, naiveTime);
+        return naiveTime - getTimeZoneOffset(zone.timeZone, guess);
+    };
+
+    /**
+     * Resolves the TZID of a property to a zone (see `createClock`).
+     *
+     * @param {string} tzid - The TZID: an IANA name, a Windows name or the ID of a VTIMEZONE in the calendar.
+     * @param {Array<Object>} vtimezones - The VTIMEZONE components of the calendar.
+     * @returns {Object} - The zone.
+     */
+    const resolveTimeZone = (tzid, vtimezones) => {
+        const name = tzid.replace(/^\//, '');
+        if (isKnownTimeZone(name)) {
+            return { type: 'zone', timeZone: name };
+        }
+        if (WINDOWS_TIME_ZONES[name]) {
+            return { type: 'zone', timeZone: WINDOWS_TIME_ZONES[name] };
+        }
+
+        // Fall back to the standard offset of the VTIMEZONE, ignoring daylight saving time
+        const vtimezone = vtimezones.find(component => getText(component, 'TZID') === tzid);
+        const standard = vtimezone && (vtimezone.components.find(component => component.name === 'STANDARD') || vtimezone.components[0]);
+        const offset = standard && getText(standard, 'TZOFFSETTO').match(/^([+-])(\d\d)(\d\d)/);
+        if (offset) {
+            console.warn(`Unknown time zone ${tzid}, using its standard offset ${offset[0]}`);
+            return { type: 'offset', offset: (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3])) * 60 * 1000 };
+        }
+
+        console.warn(`Unknown time zone ${tzid}, using UTC`);
+        return { type: 'utc' };
+    };
+
+    /**
+     * Parses a date or date-time value into a naive time (see `createClock`).
+     *
+     * @param {string} value - The value, e.g. `20240902` or `20240902T090000Z`.
+     * @returns {Object} - The `naiveTime`, whether it is a date only (`isDate`) and whether it is in UTC (`isUtc`).
+     */
+    const parseDateTime = (value) => {
+        const match = value.match(/^(\d{4})(\d\d)(\d\d)(?:T(\d\d)(\d\d)(\d\d)?(Z)?)?$/);
+        if (!match) {
+            throw new Error(`Invalid iCalendar date: ${value}`);
+        }
+
+        const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+        return {
+            naiveTime: Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)),
+            isDate: match[4] === undefined,
+            isUtc: Boolean(utc)
+        };
+    };
+
+    /**
+     * Reads a date property (DTSTART, DTEND, RECURRENCE-ID, ...) with the zone it is in.
+     *
+     * @param {Object} property - The property.
+     * @param {Object} context - The `vtimezones` of the calendar, the `zones` resolved so far and its `defaultZone` for
+     *   floating times.
+     * @returns {Object} - The `naiveTime`, whether it is a date only (`isDate`), the `zone` and the `time` in
+     *   milliseconds since the epoch.
+     */
+    const readDateProperty = (property, context) => {
+        const { naiveTime, isDate, isUtc } = parseDateTime(property.value.trim());
+
+        // All-day dates are midnight in the time zone of the script, like the start time CalendarApp returns
+        let zone = context.defaultZone;
+        if (isDate) {
+            zone = { type: 'local' };
+        } else if (isUtc) {
+            zone = { type: 'utc' };
+        } else if (property.params.TZID) {
+            // Resolve every TZID once per calendar
+            if (!context.zones.has(property.params.TZID)) {
+                context.zones.set(property.params.TZID, resolveTimeZone(property.params.TZID, context.vtimezones));
+            }
+            zone = context.zones.get(property.params.TZID);
+        }
+
+        return { naiveTime, isDate, zone, time: createClock(zone)(naiveTime) };
+    };
+
+    /**
+     * Parses a DURATION value.
+     *
+     * @param {string} value - The duration, e.g. `PT1H30M` or `P1D`.
+     * @returns {number} - The duration in milliseconds.
+     */
+    const parseDuration = (value) => {
+        const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) {
+            throw new Error(`Invalid iCalendar duration: ${value}`);
+        }
+
+        const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+        const duration = ((Number(weeks) * 7 + Number(days)) * 24 * 60 * 60 + Number(hours) * 60 * 60 + Number(minutes) * 60 + Number(seconds)) * 1000;
+        return sign === '-' ? -duration : duration;
+    };
+
+    /**
+     * Expands a recurrence rule into the naive start times of its instances.
+     *
+     * Supported are FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY (with ordinals in monthly
+     * and yearly rules), BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+     *
+     * Without a COUNT, the periods before `minTime` are skipped instead of walked, so an open-ended rule that started
+     * long ago costs no more than one that starts in the window.
+     *
+     * @param {string} value - The RRULE value.
+     * @param {Object} start - The DTSTART of the event (see `readDateProperty`).
+     * @param {number} minTime - Skip instances before this moment, in milliseconds since the epoch. A few instances
+     *   before it may still be returned.
+     * @param {number} maxTime - Stop after this moment, in milliseconds since the epoch.
+     * @returns {Array<number>} - The naive start times, starting with DTSTART when it matches the rule and is not
+     *   skipped.
+     */
+    const expandRule = (value, start, minTime, maxTime) => {
+        const rule = {};
+        value.split(';').forEach(part => {
+            const [key, ruleValue] = part.split('=');
+            rule[key.toUpperCase()] = ruleValue;
+        });
+
+        const toList = (ruleValue) => ruleValue ? ruleValue.split(',') : null;
+        const frequency = rule.FREQ;
+        const interval = Number(rule.INTERVAL) || 1;
+        const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+        const byDay = toList(rule.BYDAY) && toList(rule.BYDAY).map(day => ({
+            ordinal: Number(day.slice(0, -2)) || 0,
+            weekday: WEEKDAYS.indexOf(day.slice(-2).toUpperCase())
+        }));
+        const byMonthDay = toList(rule.BYMONTHDAY) && toList(rule.BYMONTHDAY).map(Number);
+        const byMonth = toList(rule.BYMONTH) && toList(rule.BYMONTH).map(Number);
+        const bySetPos = toList(rule.BYSETPOS) && toList(rule.BYSETPOS).map(Number);
+        const weekStart = WEEKDAYS.indexOf(rule.WKST || 'MO');
+
+        // UNTIL is inclusive; a date-only UNTIL includes the whole day
+        let untilTime = Infinity;
+        if (rule.UNTIL) {
+            const until = parseDateTime(rule.UNTIL);
+            untilTime = until.isUtc
+                ? until.naiveTime
+                : createClock(start.zone)(until.naiveTime + (until.isDate ? DAY - 1 : 0));
+        }
+
+        const clock = createClock(start.zone);
+        const startDate = new Date(start.naiveTime);
+        const startDay = start.naiveTime - (start.naiveTime % DAY + DAY) % DAY;
+        const timeOfDay = start.naiveTime - startDay;
+
+        /**
+         * Returns the days of a month that match the BYMONTHDAY and BYDAY parts of the rule.
+         *
+         * @param {number} year - The year.
+         * @param {number} month - The month (0-11; larger values roll over into the next years).
+         * @returns {Array<number>} - The naive midnights of the matching days.
+         */
+        const getMonthDays = (year, month) => {
+            const firstDay = Date.UTC(year, month, 1);
+            const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+            const allDays = Array.from({ length: daysInMonth }, (_, index) => firstDay + index * DAY);
+
+            let days;
+            if (byMonthDay) {
+                days = byMonthDay
+                    .map(monthDay => monthDay > 0 ? monthDay : daysInMonth + monthDay + 1)
+                    .filter(monthDay => monthDay >= 1 && monthDay <= daysInMonth)
+                    .map(monthDay => firstDay + (monthDay - 1) * DAY);
+                if (byDay) {
+                    days = days.filter(day => byDay.some(({ weekday }) => new Date(day).getUTCDay() === weekday));
+                }
+            } else if (byDay) {
+                days = byDay.flatMap(({ ordinal, weekday }) => {
+                    const matches = allDays.filter(day => new Date(day).getUTCDay() === weekday);
+                    if (ordinal === 0) {
+                        return matches;
+                    }
+                    const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+                    return match === undefined ? [] : [match];
+                });
+            } else {
+                days = startDate.getUTCDate() <= daysInMonth ? [firstDay + (startDate.getUTCDate() - 1) * DAY] : [];
+            }
+
+            return days;
+        };
+
+        const naiveTimes = [];
+        const startWeek = startDay - ((startDate.getUTCDay() - weekStart + 7) % 7) * DAY;
+
+        // Start at the period before the one of `minTime` (with two days to spare for the offset of the time zone).
+        // A COUNT counts the instances from DTSTART, so those rules are walked from the start.
+        let firstPeriod = 0;
+        if (count === Infinity && minTime > start.naiveTime) {
+            const minDate = new Date(minTime - 2 * DAY);
+            const monthsSinceStart = (minDate.getUTCFullYear() - startDate.getUTCFullYear()) * 12 + minDate.getUTCMonth() - startDate.getUTCMonth();
+            const periodsSinceStart = {
+                DAILY: (minDate.getTime() - startDay) / (interval * DAY),
+                WEEKLY: (minDate.getTime() - startWeek) / (interval * 7 * DAY),
+                MONTHLY: monthsSinceStart / interval,
+                YEARLY: (minDate.getUTCFullYear() - startDate.getUTCFullYear()) / interval
+            }[frequency] || 0;
+            firstPeriod = Math.max(0, Math.floor(periodsSinceStart) - 1);
+        }
+
+        // Walk the periods (days, weeks, months or years) of the rule; the cap protects against rules that never match
+        for (let period = firstPeriod; period < firstPeriod + 100000; period++) {
+            let days;
+            if (frequency === 'DAILY') {
+                days = [startDay + period * interval * DAY];
+            } else if (frequency === 'WEEKLY') {
+                const week = startWeek + period * interval * 7 * DAY;
+                days = (byDay ? byDay.map(({ weekday }) => weekday) : [startDate.getUTCDay()])
+                    .map(weekday => week + ((weekday - weekStart + 7) % 7) * DAY);
+            } else if (frequency === 'MONTHLY') {
+                days = getMonthDays(startDate.getUTCFullYear(), startDate.getUTCMonth() + period * interval);
+            } else if (frequency === 'YEARLY') {
+                const year = startDate.getUTCFullYear() + period * interval;
+                days = (byMonth || [startDate.getUTCMonth() + 1]).flatMap(month => getMonthDays(year, month - 1));
+            } else {
+                throw new Error(`Unsupported recurrence frequency: ${frequency}`);
+            }
+
+            // Limit the days to the other parts of the rule
+            if (byMonth && frequency !== 'YEARLY') {
+                days = days.filter(day => byMonth.includes(new Date(day).getUTCMonth() + 1));
+            }
+            if (byDay && frequency === 'DAILY') {
+                days = days.filter(day => byDay.some(({ weekday }) => new Date(day).getUTCDay() === weekday));
+            }
+            if (byMonthDay && (frequency === 'DAILY' || frequency === 'WEEKLY')) {
+                days = days.filter(day => getMonthDays(new Date(day).getUTCFullYear(), new Date(day).getUTCMonth()).includes(day));
+            }
+
+            days = [...new Set(days)].sort((a, b) => a - b);
+            if (bySetPos) {
+                days = bySetPos.map(position => days[position > 0 ? position - 1 : days.length + position]).filter(day => day !== undefined);
+            }
+
+            for (const day of days) {
+                const naiveTime = day + timeOfDay;
+                if (naiveTime < start.naiveTime) {
+                    continue;
+                }
+
+                const time = clock(naiveTime);
+                if (time > untilTime || time > maxTime) {
+                    return naiveTimes;
+                }
+
+                naiveTimes.push(naiveTime);
+                if (naiveTimes.length >= count) {
+                    return naiveTimes;
+                }
+            }
+        }
+
+        return naiveTimes;
+    };
+
+    /**
+     * Reads the date values of all properties with a name (EXDATE, RDATE), which may each hold a list.
+     *
+     * @param {Object} component - The VEVENT.
+     * @param {string} name - The name of the properties.
+     * @param {Object} context - The `vtimezones`, `zones` and `defaultZone` of the calendar (see `readDateProperty`).
+     * @returns {Array<Object>} - The dates (see `readDateProperty`).
+     */
+    const readDateList = (component, name, context) => component.properties
+        .filter(property => property.name === name)
+        .flatMap(property => property.value.split(',').map(value => readDateProperty({ ...property, value }, context)));
+
+    /**
+     * Reads the events of a calendar that overlap a time range. Recurring events are expanded into their instances,
+     * and cancelled events and instances are left out.
+     *
+     * @param {Array<Object>} components - The parsed calendar (see `parse`).
+     * @param {Object} options - The options for reading.
+     * @param {Date} options.startTime - The start of the time range.
+     * @param {Date} options.endTime - The end of the time range.
+     * @param {string} [options.defaultTimeZone] - The IANA time zone of floating times (default is the time zone of
+     *   the script).
+     * @param {string} [options.uid] - Only read the events with this UID.
+     * @returns {Array<Object>} - The event data: `uid`, `seriesId` (for instances), `startTime`, `endTime`,
+     *   `originalStartTime`, `allDay` and the VEVENT `component` it was read from.
+     */
+    const readEvents = (components, { startTime, endTime, defaultTimeZone, uid: onlyUid }) => {
+        const vcalendars = components.filter(component => component.name === 'VCALENDAR');
+        const calendarComponents = vcalendars.flatMap(vcalendar => vcalendar.components);
+        const context = {
+            vtimezones: calendarComponents.filter(component => component.name === 'VTIMEZONE'),
+            zones: new Map(),
+            defaultZone: defaultTimeZone ? { type: 'zone', timeZone: defaultTimeZone } : { type: 'local' }
+        };
+        const vevents = calendarComponents.filter(component => component.name === 'VEVENT'
+            && (!onlyUid || getText(component, 'UID') === onlyUid));
+
+        // Overridden instances, by UID and the time the series gave them
+        const overrides = new Map();
+        vevents.filter(vevent => getProperty(vevent, 'RECURRENCE-ID')).forEach(vevent => {
+            const recurrenceId = readDateProperty(getProperty(vevent, 'RECURRENCE-ID'), context);
+            overrides.set(`${getText(vevent, 'UID')}_${recurrenceId.time}`, { vevent, time: recurrenceId.time });
+        });
+
+        const isCancelled = (vevent) => getText(vevent, 'STATUS').toUpperCase() === 'CANCELLED';
+
+        /**
+         * Reads the start and end of a VEVENT as naive times.
+         *
+         * @param {Object} vevent - The VEVENT.
+         * @returns {Object} - The `start` (see `readDateProperty`) and the naive `duration`.
+         */
+        const readTimes = (vevent) => {
+            const start = readDateProperty(getProperty(vevent, 'DTSTART'), context);
+            const dtend = getProperty(vevent, 'DTEND');
+            const duration = getProperty(vevent, 'DURATION');
+
+            let naiveDuration = start.isDate ? DAY : 0;
+            if (dtend) {
+                naiveDuration = readDateProperty(dtend, context).naiveTime - start.naiveTime;
+            } else if (duration) {
+                naiveDuration = parseDuration(duration.value);
+            }
+
+            return { start, naiveDuration };
+        };
+
+        /**
+         * Creates the data of an event or instance.
+         *
+         * @param {Object} vevent - The VEVENT the event is read from.
+         * @param {string|null} seriesId - The UID of the series, for an instance.
+         * @param {number} originalStartTime - The start time the series gave the instance.
+         * @returns {Object} - The event data.
+         */
+        const toEventData = (vevent, seriesId, originalStartTime) => {
+            const { start, naiveDuration } = readTimes(vevent);
+            return {
+                uid: getText(vevent, 'UID'),
+                seriesId,
+                startTime: new Date(start.time),
+                endTime: new Date(createClock(start.zone)(start.naiveTime + naiveDuration)),
+                originalStartTime: new Date(originalStartTime),
+                allDay: start.isDate,
+                component: vevent
+            };
+        };
+
+        const events = [];
+        vevents.filter(vevent => !getProperty(vevent, 'RECURRENCE-ID') && getProperty(vevent, 'DTSTART') && !isCancelled(vevent)).forEach(vevent => {
+            const uid = getText(vevent, 'UID');
+            const rrule = getProperty(vevent, 'RRULE');
+            const rdates = readDateList(vevent, 'RDATE', context);
+
+            if (!rrule && rdates.length === 0) {
+                events.push(toEventData(vevent, null, readTimes(vevent).start.time));
+                return;
+            }
+
+            // Expand the series from the first instance that can still overlap the range, without its excluded dates
+            const { start, naiveDuration } = readTimes(vevent);
+            const clock = createClock(start.zone);
+            const excluded = new Set(readDateList(vevent, 'EXDATE', context).map(exdate => exdate.time));
+            const minTime = startTime.getTime() - Math.max(naiveDuration, 0) - DAY;
+            const naiveTimes = rrule ? expandRule(rrule.value, start, minTime, endTime.getTime() + DAY) : [start.naiveTime];
+
+            // The end of every instance, by its start; the duration is added in wall-clock time
+            const instanceEndTimes = new Map();
+            naiveTimes.forEach(naiveTime => instanceEndTimes.set(clock(naiveTime), clock(naiveTime + naiveDuration)));
+            rdates.filter(rdate => !instanceEndTimes.has(rdate.time)).forEach(rdate => {
+                instanceEndTimes.set(rdate.time, createClock(rdate.zone)(rdate.naiveTime + naiveDuration));
+            });
+
+            // Instances that were skipped can have been moved into the range
+            overrides.forEach(({ time }, key) => {
+                if (key === `${uid}_${time}` && time < minTime && !instanceEndTimes.has(time)) {
+                    instanceEndTimes.set(time, time);
+                }
+            });
+
+            [...instanceEndTimes.keys()].filter(time => !excluded.has(time)).sort((a, b) => a - b).forEach(time => {
+                const override = overrides.get(`${uid}_${time}`);
+                if (override) {
+                    if (!isCancelled(override.vevent)) {
+                        events.push(toEventData(override.vevent, uid, time));
+                    }
+                    return;
+                }
+
+                const instance = toEventData(vevent, uid, time);
+                instance.startTime = new Date(time);
+                instance.endTime = new Date(instanceEndTimes.get(time));
+                events.push(instance);
+            });
+        });
+
+        return events.filter(event => event.startTime < endTime && event.endTime > startTime);
+    };
+
+    /**
+     * Creates a VEVENT for a new event.
+     *
+     * @param {Object} event - The new event.
+     * @param {string} event.uid - The UID of the event.
+     * @param {string} event.title - The title of the event.
+     * @param {Date} event.startTime - The start time of the event.
+     * @param {Date} event.endTime - The end time of the event.
+     * @param {string} [event.description=''] - The description of the event.
+     * @returns {Object} - The VCALENDAR component that holds the VEVENT.
+     */
+    const createEventComponent = ({ uid, title, startTime, endTime, description = '' }) => {
+        const vevent = { name: 'VEVENT', properties: [], components: [] };
+        setProperty(vevent, 'UID', uid);
+        setProperty(vevent, 'DTSTAMP', formatUtc(new Date()));
+        setProperty(vevent, 'DTSTART', formatUtc(startTime));
+        setProperty(vevent, 'DTEND', formatUtc(endTime));
+        setProperty(vevent, 'SUMMARY', escapeText(title));
+        if (description) {
+            setProperty(vevent, 'DESCRIPTION', escapeText(description));
+        }
+
+        return {
+            name: 'VCALENDAR',
+            properties: [
+                { name: 'VERSION', params: {}, value: '2.0' },
+                { name: 'PRODID', params: {}, value: '-//duizendstra//SyncFreeBusy//EN' }
+            ],
+            components: [vevent]
+        };
+    };
+
+    /**
+     * Formats a moment as a UTC date-time value.
+     *
+     * @param {Date} date - The moment.
+     * @returns {string} - The value, e.g. `20240902T090000Z`.
+     */
+    const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    /**
+     * Wraps event data in an object with the methods of a `CalendarApp` event.
+     *
+     * @param {Object} data - The event data (see `readEvents`).
+     * @param {Object} options - The options for the event.
+     * @param {Object} options.enums - The `GuestStatus`, `EventTransparency` and `Visibility` enums to use.
+     * @param {string} [options.attendeeEmail] - The email address whose response is the status of the event.
+     * @param {Function} [options.save] - Saves a changed event; without it the event is read-only.
+     * @param {Function} [options.remove] - Deletes the event; without it the event is read-only.
+     * @param {string} options.readOnlyMessage - The error message for changes to a read-only event.
+     * @returns {Object} - The event.
+     */
+    const toCalendarEvent = (data, { enums, attendeeEmail, save, remove, readOnlyMessage }) => {
+        const { component } = data;
+        const isWritable = Boolean(save) && !data.seriesId;
+
+        /**
+         * Applies a change to the VEVENT and saves it.
+         *
+         * @param {Function} change - Changes the VEVENT.
+         * @returns {Object} - The event.
+         */
+        const update = (change) => {
+            if (!isWritable) {
+                throw new Error(readOnlyMessage);
+            }
+
+            change();
+            setProperty(component, 'LAST-MODIFIED', formatUtc(new Date()));
+            setProperty(component, 'DTSTAMP', formatUtc(new Date()));
+            save(data);
+            return event;
+        };
+
+        /**
+         * Returns the response of the attendee, as a `GuestStatus`.
+         *
+         * @returns {*} - The status; the owner of events without a matching attendee.
+         */
+        const getMyStatus = () => {
+            const attendee = attendeeEmail && component.properties.find(property => property.name === 'ATTENDEE'
+                && property.value.toLowerCase() === `mailto:${attendeeEmail.toLowerCase()}`);
+            const statuses = { 'ACCEPTED': 'YES', 'DECLINED': 'NO', 'TENTATIVE': 'MAYBE', 'NEEDS-ACTION': 'INVITED' };
+            return attendee ? enums.GuestStatus[statuses[(attendee.params.PARTSTAT || 'NEEDS-ACTION').toUpperCase()] || 'INVITED'] : enums.GuestStatus.OWNER;
+        };
+
+        const lastModified = getProperty(component, 'LAST-MODIFIED') || getProperty(component, 'DTSTAMP');
+
+        const event = Object.freeze({
+            getId: () => data.seriesId || data.uid,
+            getTitle: () => getText(component, 'SUMMARY'),
+            getDescription: () => getText(component, 'DESCRIPTION'),
+            getLocation: () => getText(component, 'LOCATION'),
+            getStartTime: () => new Date(data.startTime),
+            getEndTime: () => new Date(data.endTime),
+            getColor: () => getText(component, 'COLOR'),
+            getVisibility: () => enums.Visibility[getText(component, 'CLASS').toUpperCase()] || enums.Visibility.DEFAULT,
+            getMyStatus,
+            getTransparency: () => getText(component, 'TRANSP').toUpperCase() === 'TRANSPARENT'
+                ? enums.EventTransparency.TRANSPARENT
+                : enums.EventTransparency.OPAQUE,
+            getLastUpdated: () => new Date(lastModified ? parseDateTime(lastModified.value).naiveTime : 0),
+            getUrl: () => getText(component, 'URL'),
+            isAllDayEvent: () => data.allDay,
+            isRecurringEvent: () => Boolean(data.seriesId),
+            getTag: (key) => {
+                const property = getProperty(component, `${TAG_PREFIX}${key.toUpperCase()}`);
+                return property ? unescapeText(property.value) : null;
+            },
+            setTag: (key, value) => update(() => setProperty(component, `${TAG_PREFIX}${key.toUpperCase()}`, escapeText(value))),
+            deleteTag: (key) => update(() => setProperty(component, `${TAG_PREFIX}${key.toUpperCase()}`, null)),
+            setTime: (startTime, endTime) => update(() => {
+                setProperty(component, 'DTSTART', formatUtc(startTime));
+                setProperty(component, 'DTEND', formatUtc(endTime));
+                setProperty(component, 'DURATION', null);
+                data.startTime = new Date(startTime);
+                data.endTime = new Date(endTime);
+                data.allDay = false;
+            }),
+            setTitle: (title) => update(() => setProperty(component, 'SUMMARY', escapeText(title))),
+            setDescription: (description) => update(() => setProperty(component, 'DESCRIPTION', description ? escapeText(description) : null)),
+            setColor: (color) => update(() => setProperty(component, 'COLOR', color ? escapeText(color) : null)),
+            setVisibility: (visibility) => update(() => {
+                const classValue = String(visibility).toUpperCase();
+                setProperty(component, 'CLASS', classValue === 'DEFAULT' ? null : classValue);
+            }),
+            // OPAQUE is the default of TRANSP, so it is left out
+            setTransparency: (transparency) => update(() => {
+                setProperty(component, 'TRANSP', String(transparency).toUpperCase() === 'TRANSPARENT' ? 'TRANSPARENT' : null);
+            }),
+            removeAllReminders: () => update(() => {
+                component.components = component.components.filter(child => child.name !== 'VALARM');
+            }),
+            // CalDAV has no default reminders; the event keeps the reminders it has
+            resetRemindersToDefault: () => update(() => {}),
+            deleteEvent: () => {
+                if (!isWritable || !remove) {
+                    throw new Error(readOnlyMessage);
+                }
+                remove(data);
+            }
+        });
+
+        return event;
+    };
+
+    /**
+     * Returns the range in which events are looked up by their UID: five years around now. Recurring events with the
+     * UID are only expanded in this range, so a lookup never walks an open-ended series to its end.
+     *
+     * @returns {Object} - The `startTime` and `endTime` of the range.
+     */
+    const getLookupRange = () => ({
+        startTime: new Date(Date.now() - 5 * 366 * DAY),
+        endTime: new Date(Date.now() + 5 * 366 * DAY)
+    });
+
+    return Object.freeze({
+        parse,
+        serialize,
+        readEvents,
+        getLookupRange,
+        toCalendarEvent,
+        createEventComponent
+    });
+})();
+
+// The enums of events read from iCalendar data; their values match the names of the `CalendarApp` enums
+const ICalendarEnums = Object.freeze({
+    GuestStatus: Object.freeze({ OWNER: 'OWNER', YES: 'YES', NO: 'NO', MAYBE: 'MAYBE', INVITED: 'INVITED' }),
+    EventTransparency: Object.freeze({ OPAQUE: 'OPAQUE', TRANSPARENT: 'TRANSPARENT' }),
+    Visibility: Object.freeze({ DEFAULT: 'DEFAULT', PUBLIC: 'PUBLIC', PRIVATE: 'PRIVATE', CONFIDENTIAL: 'CONFIDENTIAL' })
+});
+
+/**
+ * Returns a function that waits, for the retries of calendar operations: `Utilities.sleep` in Apps Script, and no
+ * waiting elsewhere.
+ *
+ * @returns {Function} - Waits for a number of milliseconds.
+ */
+const getDefaultSleep = () => typeof Utilities !== 'undefined'
+    ? (milliseconds) => Utilities.sleep(milliseconds)
+    : () => {};
+
+/**
+ * IcsCalendarBackend Module
+ *
+ * A read-only calendar backend for iCalendar feeds, e.g. an Outlook "publish calendar" URL or an airline roster.
+ * Every feed is a calendar that can be used as a source calendar; it is fetched again on every synchronization.
+ *
+ * @param {Object} params - The parameters for the backend.
+ * @param {Object} params.feeds - The feeds by calendar ID: the URL of the feed (`webcal://` is read as `https://`), or
+ *   an object with its `url` and the `name` to show in blocking events.
+ * @param {Function} [params.fetchText] - Fetches the text of a feed URL (default is `UrlFetchApp`); pass e.g. a
+ *   function that reads a local file to test with fixtures.
+ * @param {string} [params.defaultTimeZone] - The IANA time zone of times without a time zone (default is the time
+ *   zone of the script).
+ * @param {string} [params.attendeeEmail] - Your email address, to read your response to events from their attendees.
+ * @returns {Object} - The calendar backend.
+ */
+const IcsCalendarBackend = (params = {}) => {
+    // Validate required parameters
+    if (!params.feeds || Object.keys(params.feeds).length === 0) {
+        throw new Error("feeds is required");
+    }
+
+    const {
+        feeds,
+        fetchText = (url) => UrlFetchApp.fetch(url).getContentText(),
+        defaultTimeZone,
+        attendeeEmail
+    } = params;
+
+    /**
+     * Returns a calendar that reads a feed when its events are listed.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @returns {Object|null} - The calendar, or null when there is no feed for the ID.
+     */
+    const getCalendarById = (calendarId) => {
+        if (!feeds[calendarId]) {
+            return null;
+        }
+
+        const feed = typeof feeds[calendarId] === 'string' ? { url: feeds[calendarId] } : feeds[calendarId];
+        const url = feed.url.replace(/^webcal:\/\//i, 'https://');
+        let components = null;
+
+        // The feed is read once per calendar object, i.e. once per synchronization
+        const getComponents = () => {
+            if (!components) {
+                components = ICalendar.parse(fetchText(url));
+            }
+            return components;
+        };
+
+        const readOnlyMessage = `ICS calendar ${calendarId} is read-only`;
+        const toEvent = (data) => ICalendar.toCalendarEvent(data, { enums: ICalendarEnums, attendeeEmail, readOnlyMessage });
+
+        return Object.freeze({
+            getId: () => calendarId,
+            getName: () => feed.name || calendarId,
+            getTimeZone: () => defaultTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            getUrl: () => url,
+            getEvents: (startTime, endTime) => ICalendar.readEvents(getComponents(), { startTime, endTime, defaultTimeZone })
+                .sort((a, b) => a.startTime - b.startTime)
+                .map(toEvent),
+            getEventById: (eventId) => {
+                // Look for the single event with the UID in the lookup range, so moved events are found
+                const data = ICalendar.readEvents(getComponents(), { ...ICalendar.getLookupRange(), defaultTimeZone, uid: eventId })
+                    .find(candidate => !candidate.seriesId && candidate.uid === eventId);
+                return data ? toEvent(data) : null;
+            },
+            createEvent: () => {
+                throw new Error(readOnlyMessage);
+            },
+            // The instances of a series, with the time the series gave them
+            listInstances: (seriesId, startTime, endTime) => ICalendar.readEvents(getComponents(), { startTime, endTime, defaultTimeZone })
+                .filter(data => data.seriesId === seriesId)
+        });
+    };
+
+    // Every synchronization gets a new calendar object, so the feeds are read again
+    const calendars = new Map();
+    const getCachedCalendar = (calendarId) => {
+        if (!calendars.has(calendarId)) {
+            calendars.set(calendarId, getCalendarById(calendarId));
+        }
+        return calendars.get(calendarId);
+    };
+
+    return Object.freeze({
+        ...ICalendarEnums,
+        supportsEventSeries: false,
+        getCalendarById: (calendarId) => {
+            calendars.delete(calendarId);
+            return getCachedCalendar(calendarId);
+        },
+        listInstances: (calendarId, seriesId, startTime, endTime) => getCachedCalendar(calendarId)
+            .listInstances(seriesId, startTime, endTime)
+            .map(({ startTime: instanceStartTime, originalStartTime }) => ({ startTime: instanceStartTime, originalStartTime, recurringEventId: seriesId })),
+        getEventLink: (event, calendarId) => event.getUrl() || getCachedCalendar(calendarId).getUrl(),
+        // A feed does not tell what changed, so it is read in full at every run
+        listChangedEvents: () => null,
+        // Feeds can only be read
+        getAccessRole: (calendarId) => feeds[calendarId] ? 'reader' : null,
+        // Feeds are read-only, so there are no writes to batch
+        batchWrites: (calendarId, event, change) => change(),
+        sleep: getDefaultSleep()
+    });
+};
+
+/**
+ * CalDavCalendarBackend Module
+ *
+ * A calendar backend for CalDAV calendar collections (RFC 4791), e.g. on Nextcloud, Fastmail or Radicale. Blocking
+ * events are written as one resource per event, and their tags are stored as `X-SYNCFREEBUSY-<TAG>` properties.
+ * Recurring events on the server are read as instances and are never changed.
+ *
+ * @param {Object} params - The parameters for the backend.
+ * @param {Object} params.calendars - The calendars by calendar ID: the URL of the calendar collection (ending in a
+ *   `/`), or an object with its `url` and the `name` to show in blocking events.
+ * @param {Object} [params.headers={}] - Headers to send with every request, e.g. an `Authorization` header.
+ * @param {Function} [params.request] - Sends an HTTP request `{ method, url, headers, payload }` and returns
+ *   `{ status, body, headers }` (default is `UrlFetchApp`); pass a local CalDAV stand-in to test.
+ * @param {string} [params.defaultTimeZone] - The IANA time zone of times without a time zone (default is the time
+ *   zone of the script).
+ * @param {string} [params.attendeeEmail] - Your email address, to read your response to events from their attendees.
+ * @returns {Object} - The calendar backend.
+ */
+const CalDavCalendarBackend = (params = {}) => {
+    // Validate required parameters
+    if (!params.calendars || Object.keys(params.calendars).length === 0) {
+        throw new Error("calendars is required");
+    }
+
+    const {
+        calendars,
+        headers = {},
+        request = ({ method, url, headers: requestHeaders, payload }) => {
+            const response = UrlFetchApp.fetch(url, { method, headers: requestHeaders, payload, contentType: requestHeaders['Content-Type'], muteHttpExceptions: true });
+            return { status: response.getResponseCode(), body: response.getContentText(), headers: response.getHeaders() };
+        },
+        defaultTimeZone,
+        attendeeEmail
+    } = params;
+
+    /**
+     * Sends a request to the server and fails on an error status.
+     *
+     * @param {string} method - The HTTP method.
+     * @param {string} url - The URL.
+     * @param {Object} [requestHeaders={}] - The headers of this request.
+     * @param {string} [payload] - The body of the request.
+     * @returns {Object} - The response.
+     */
+    const send = (method, url, requestHeaders = {}, payload) => {
+        const response = request({ method, url, headers: { ...headers, ...requestHeaders }, payload });
+        if (response.status >= 400) {
+            throw new Error(`CalDAV ${method} ${url} failed with status ${response.status}`);
+        }
+        return response;
+    };
+
+    /**
+     * Encodes text for the content of an XML element.
+     *
+     * @param {string} text - The text.
+     * @returns {string} - The encoded text.
+     */
+    const escapeXml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    /**
+     * Returns the CalDAV filter that matches the events with a UID, e.g. all instances of a series.
+     *
+     * @param {string} uid - The UID.
+     * @returns {string} - The filter, inside the VEVENT comp-filter.
+     */
+    const getUidFilter = (uid) => `<c:prop-filter name="UID"><c:text-match collation="i;octet">${escapeXml(uid)}</c:text-match></c:prop-filter>`;
+
+    // The event data of the events this backend returned, so `batchWrites` can hold back their saves
+    const eventData = new WeakMap();
+
+    /**
+     * Decodes the text content of an XML element.
+     *
+     * @param {string} text - The content.
+     * @returns {string} - The decoded text.
+     */
+    const decodeXml = (text) => text
+        .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+
+    /**
+     * Returns the content of the first element with a local name, whatever its namespace prefix.
+     *
+     * @param {string} xml - The XML.
+     * @param {string} localName - The local name of the element.
+     * @returns {string|null} - The decoded content.
+     */
+    const getElement = (xml, localName) => {
+        const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${localName}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>`));
+        return match ? decodeXml(match[1]) : null;
+    };
+
+    /**
+     * Resolves an href from a multistatus response against the URL of the collection.
+     *
+     * @param {string} href - The href.
+     * @param {string} collectionUrl - The URL of the collection.
+     * @returns {string} - The absolute URL.
+     */
+    const resolveHref = (href, collectionUrl) => {
+        if (/^https?:\/\//i.test(href)) {
+            return href;
+        }
+        return href.startsWith('/') ? collectionUrl.match(/^https?:\/\/[^/]+/i)[0] + href : collectionUrl + href;
+    };
+
+    /**
+     * Returns a calendar for a CalDAV collection.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @returns {Object|null} - The calendar, or null when there is no collection for the ID.
+     */
+    const getCalendarById = (calendarId) => {
+        if (!calendars[calendarId]) {
+            return null;
+        }
+
+        const collection = typeof calendars[calendarId] === 'string' ? { url: calendars[calendarId] } : calendars[calendarId];
+        const collectionUrl = collection.url;
+        const readOnlyMessage = `Recurring events in CalDAV calendar ${calendarId} are read-only`;
+
+        /**
+         * Saves a changed event to its resource. Within `batchWrites` the save is held back until all changes are made.
+         *
+         * @param {Object} data - The event data, with its `resource`.
+         */
+        const save = (data) => {
+            if (data.isBatched) {
+                data.hasUnsavedChanges = true;
+                return;
+            }
+
+            const { resource } = data;
+            const response = send('PUT', resource.url, {
+                'Content-Type': 'text/calendar; charset=utf-8',
+                ...(resource.etag ? { 'If-Match': resource.etag } : {}),
+                ...(resource.isNew ? { 'If-None-Match': '*' } : {})
+            }, ICalendar.serialize(resource.components));
+            resource.etag = (response.headers && (response.headers.ETag || response.headers.etag)) || null;
+            resource.isNew = false;
+            data.hasUnsavedChanges = false;
+        };
+
+        const remove = (data) => {
+            send('DELETE', data.resource.url, data.resource.etag ? { 'If-Match': data.resource.etag } : {});
+        };
+
+        const toEvent = (data) => {
+            const event = ICalendar.toCalendarEvent(data, { enums: ICalendarEnums, attendeeEmail, save, remove, readOnlyMessage });
+            eventData.set(event, { data, save });
+            return event;
+        };
+
+        /**
+         * Queries the calendar resources of the collection and reads their events.
+         *
+         * @param {string} filter - The CalDAV filter inside the VEVENT comp-filter.
+         * @param {Date} startTime - The start of the time range to read.
+         * @param {Date} endTime - The end of the time range to read.
+         * @returns {Array<Object>} - The event data, each with the `resource` it was read from.
+         */
+        const query = (filter, startTime, endTime) => {
+            const response = send('REPORT', collectionUrl, { 'Depth': '1', 'Content-Type': 'application/xml; charset=utf-8' }, [
+                '<?xml version="1.0" encoding="utf-8"?>',
+                '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">',
+                '<d:prop><d:getetag/><c:calendar-data/></d:prop>',
+                `<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">${filter}</c:comp-filter></c:comp-filter></c:filter>`,
+                '</c:calendar-query>'
+            ].join(''));
+
+            const responses = response.body.match(/<(?:[\w-]+:)?response\b[^>]*>[\s\S]*?<\/(?:[\w-]+:)?response>/g) || [];
+            return responses.flatMap(responseXml => {
+                const calendarData = getElement(responseXml, 'calendar-data');
+                if (!calendarData) {
+                    return [];
+                }
+
+                const resource = {
+                    url: resolveHref(getElement(responseXml, 'href').trim(), collectionUrl),
+                    etag: getElement(responseXml, 'getetag'),
+                    components: ICalendar.parse(calendarData)
+                };
+                return ICalendar.readEvents(resource.components, { startTime, endTime, defaultTimeZone })
+                    .map(data => ({ ...data, resource }));
+            });
+        };
+
+        const formatRangeTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+        return Object.freeze({
+            getId: () => calendarId,
+            getName: () => collection.name || calendarId,
+            getTimeZone: () => defaultTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            getUrl: () => collectionUrl,
+            getEvents: (startTime, endTime) => query(`<c:time-range start="${formatRangeTime(startTime)}" end="${formatRangeTime(endTime)}"/>`, startTime, endTime)
+                .sort((a, b) => a.startTime - b.startTime)
+                .map(toEvent),
+            getEventById: (eventId) => {
+                const { startTime, endTime } = ICalendar.getLookupRange();
+                const data = query(getUidFilter(eventId), startTime, endTime)
+                    .find(candidate => !candidate.seriesId && candidate.uid === eventId);
+                return data ? toEvent(data) : null;
+            },
+            createEvent: (title, startTime, endTime, options = {}) => {
+                const uid = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}@syncfreebusy`;
+                const components = [ICalendar.createEventComponent({ uid, title, startTime, endTime, description: options.description })];
+                const data = {
+                    uid,
+                    seriesId: null,
+                    startTime: new Date(startTime),
+                    endTime: new Date(endTime),
+                    originalStartTime: new Date(startTime),
+                    allDay: false,
+                    component: components[0].components[0],
+                    resource: { url: `${collectionUrl}${encodeURIComponent(uid)}.ics`, etag: null, isNew: true, components }
+                };
+
+                save(data);
+                return toEvent(data);
+            },
+            query
+        });
+    };
+
+    /**
+     * Makes several changes to an event with a single PUT: the saves of the changes are held back, and the event is
+     * saved once when all changes are made.
+     *
+     * @param {string} calendarId - The ID of the calendar of the event.
+     * @param {Object} event - The event.
+     * @param {Function} change - Makes the changes.
+     */
+    const batchWrites = (calendarId, event, change) => {
+        const entry = eventData.get(event);
+        if (!entry) {
+            change();
+            return;
+        }
+
+        const { data, save } = entry;
+        data.isBatched = true;
+        try {
+            change();
+        } finally {
+            data.isBatched = false;
+        }
+        if (data.hasUnsavedChanges) {
+            save(data);
+        }
+    };
+
+    return Object.freeze({
+        ...ICalendarEnums,
+        supportsEventSeries: false,
+        getCalendarById,
+        listInstances: (calendarId, seriesId, startTime, endTime) => getCalendarById(calendarId)
+            .query(getUidFilter(seriesId), startTime, endTime)
+            .filter(data => data.seriesId === seriesId)
+            .map(data => ({ startTime: data.startTime, originalStartTime: data.originalStartTime, recurringEventId: seriesId })),
+        getEventLink: (event, calendarId) => event.getUrl() || getCalendarById(calendarId).getUrl(),
+        // Changes are not tracked (no sync-collection report), so the calendar is read in full at every run
+        listChangedEvents: () => null,
+        // The privileges of the collection are not read, so the access is checked by writing
+        getAccessRole: () => null,
+        batchWrites,
+        sleep: getDefaultSleep()
+    });
+};
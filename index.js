@@ -0,0 +1,79 @@
+/**
+ * Node Entry Point
+ *
+ * Loads the Apps Script files into Node, so a full synchronization can run and be tested locally against a
+ * `MemoryCalendarBackend` (or any other calendar backend). Apps Script shares one global scope between the files
+ * of a project; the files are run in the global scope here the same way.
+ *
+ * Under Node there are no script properties, so a `MemoryStateStore` is used when no `stateStore` is passed.
+ *
+ * @example
+ * const { SyncFreeBusy, MemoryCalendarBackend } = require('./index');
+ * const calendarBackend = MemoryCalendarBackend({ calendars: [{ id: 'work' }, { id: 'home' }] });
+ * const report = SyncFreeBusy({ calendarIds: ['work', 'home'], calendarBackend }).synchronizeCalendars();
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The files of the Apps Script project, in dependency order
+const files = ['statestore.js', 'calendarbackends.js', 'icalendar.js', 'reporthooks.js', 'syncfreebusy.js', 'setup.js'];
+files.forEach(file => vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: path.join(__dirname, file) }));
+
+const modules = vm.runInThisContext(`({
+    SyncFreeBusy,
+    MemoryStateStore,
+    MemoryCalendarBackend,
+    IcsCalendarBackend,
+    CalDavCalendarBackend,
+    CompositeCalendarBackend,
+    SyncFreeBusySetup,
+    summarizeSyncReport,
+    EmailReportHook,
+    EmailConflictHook,
+    SpreadsheetReportHook
+})`);
+
+/**
+ * Creates a SyncFreeBusy instance under Node. Takes the same parameters as `SyncFreeBusy` in `syncfreebusy.js`, but
+ * requires a `calendarBackend`.
+ *
+ * @param {Object} params - The parameters for the SyncFreeBusy.
+ * @returns {Object} - The SyncFreeBusy module.
+ */
+const SyncFreeBusy = (params = {}) => {
+    if (!params.calendarBackend) {
+        throw new Error("calendarBackend is required under Node, e.g. a MemoryCalendarBackend");
+    }
+
+    return modules.SyncFreeBusy({ ...params, stateStore: params.stateStore || modules.MemoryStateStore() });
+};
+
+/**
+ * Creates a SyncFreeBusySetup under Node. Takes the same parameters as `SyncFreeBusySetup` in `setup.js`, but requires
+ * a `calendarBackend`. Triggers can only be managed with a `scriptApp` that stands in for `ScriptApp`.
+ *
+ * @param {Object} params - The parameters for the setup.
+ * @returns {Object} - The setup module.
+ */
+const SyncFreeBusySetup = (params = {}) => {
+    if (!params.calendarBackend) {
+        throw new Error("calendarBackend is required under Node, e.g. a MemoryCalendarBackend");
+    }
+
+    return modules.SyncFreeBusySetup({ ...params, stateStore: params.stateStore || modules.MemoryStateStore() });
+};
+
+module.exports = {
+    SyncFreeBusy,
+    SyncFreeBusySetup,
+    MemoryStateStore: modules.MemoryStateStore,
+    MemoryCalendarBackend: modules.MemoryCalendarBackend,
+    IcsCalendarBackend: modules.IcsCalendarBackend,
+    CalDavCalendarBackend: modules.CalDavCalendarBackend,
+    CompositeCalendarBackend: modules.CompositeCalendarBackend,
+    summarizeSyncReport: modules.summarizeSyncReport,
+    EmailReportHook: modules.EmailReportHook,
+    EmailConflictHook: modules.EmailConflictHook,
+    SpreadsheetReportHook: modules.SpreadsheetReportHook
+};
@@ -0,0 +1,160 @@
+/* global MailApp, SpreadsheetApp */
+
+/**
+ * Report Hooks
+ *
+ * Factories for `onReport` hooks that publish the report of every SyncFreeBusy synchronization, so many sync pairs
+ * can be monitored without reading the Apps Script logs.
+ */
+
+/**
+ * Sums the counts of all directions in a report.
+ *
+ * @param {Object} report - The report of a synchronization.
+ * @returns {Object} - The total `created`, `updated`, `deleted` and `skipped` counts.
+ */
+const summarizeSyncReport = (report) => report.directions.reduce((totals, direction) => ({
+    created: totals.created + direction.created.count,
+    updated: totals.updated + direction.updated.count,
+    deleted: totals.deleted + direction.deleted.count,
+    skipped: totals.skipped + direction.skipped.count
+}), { created: 0, updated: 0, deleted: 0, skipped: 0 });
+
+/**
+ * EmailReportHook Module
+ *
+ * Creates an `onReport` hook that emails a summary of the report with MailApp.
+ *
+ * @param {Object} params - The parameters for the hook.
+ * @param {string} params.recipient - The email address to send the summary to.
+ * @param {string} [params.subject='SyncFreeBusy report'] - The subject of the email.
+ * @param {boolean} [params.onlyOnChangesOrErrors=true] - Only send an email when the run changed a calendar, had
+ *   errors or was cut short.
+ * @returns {Function} - The hook, to pass as `onReport` to SyncFreeBusy.
+ */
+const EmailReportHook = (params = {}) => {
+    // Validate required parameters
+    if (!params.recipient) {
+        throw new Error("recipient is required");
+    }
+
+    const {
+        recipient,
+        subject = 'SyncFreeBusy report',
+        onlyOnChangesOrErrors = true
+    } = params;
+
+    return (report) => {
+        const totals = summarizeSyncReport(report);
+        const hasChanges = totals.created + totals.updated + totals.deleted > 0;
+
+        // Skip quiet runs when only changes or errors are of interest
+        if (onlyOnChangesOrErrors && !hasChanges && report.errors.length === 0 && report.complete) {
+            return;
+        }
+
+        const lines = [
+            `Window: ${report.window.start} - ${report.window.end}`,
+            `Status: ${report.complete ? 'complete' : 'cut short'}${report.dryRun ? ' (dry run)' : ''}`,
+            '',
+            ...report.directions.map(direction => `${direction.sourceCalendarId} -> ${direction.targetCalendarId}: `
+                + `${direction.created.count} created, ${direction.updated.count} updated, `
+                + `${direction.deleted.count} deleted, ${direction.skipped.count} skipped`),
+            '',
+            `Errors: ${report.errors.length}`,
+            ...report.errors.map(error => `- ${error.message}`),
+            '',
+            `Conflicts: ${report.conflicts.length}`,
+            '',
+            `Timings: ${JSON.stringify(report.timings)}`
+        ];
+
+        MailApp.sendEmail(recipient, subject, lines.join('\n'));
+    };
+};
+
+/**
+ * EmailConflictHook Module
+ *
+ * Creates an `onConflicts` hook that emails the new conflicts between real events with MailApp, so a double-booking
+ * is noticed before it happens. Every conflict is emailed once.
+ *
+ * @param {Object} params - The parameters for the hook.
+ * @param {string} params.recipient - The email address to send the conflicts to.
+ * @param {string} [params.subject='SyncFreeBusy: double-booked'] - The subject of the email.
+ * @returns {Function} - The hook, to pass as `conflicts.onConflicts` to SyncFreeBusy.
+ */
+const EmailConflictHook = (params = {}) => {
+    // Validate required parameters
+    if (!params.recipient) {
+        throw new Error("recipient is required");
+    }
+
+    const {
+        recipient,
+        subject = 'SyncFreeBusy: double-booked'
+    } = params;
+
+    return (conflicts) => {
+        const lines = [
+            `You are double-booked ${conflicts.length === 1 ? 'once' : `${conflicts.length} times`}:`,
+            '',
+            ...conflicts.flatMap(conflict => [
+                `${conflict.startTime} - ${conflict.endTime}`,
+                ...conflict.events.map(event => `- ${event.title} (${event.calendarId}, ${event.startTime} - ${event.endTime})`),
+                ''
+            ])
+        ];
+
+        MailApp.sendEmail(recipient, subject, lines.join('\n'));
+    };
+};
+
+/**
+ * SpreadsheetReportHook Module
+ *
+ * Creates an `onReport` hook that appends one row per synchronization to a sheet: the end time, status, window,
+ * total counts, number of errors, total time and the full report as JSON.
+ *
+ * @param {Object} params - The parameters for the hook.
+ * @param {string} params.spreadsheetId - The ID of the spreadsheet.
+ * @param {string} [params.sheetName='SyncFreeBusy'] - The name of the sheet; it is created when it does not exist.
+ * @returns {Function} - The hook, to pass as `onReport` to SyncFreeBusy.
+ */
+const SpreadsheetReportHook = (params = {}) => {
+    // Validate required parameters
+    if (!params.spreadsheetId) {
+        throw new Error("spreadsheetId is required");
+    }
+
+    const {
+        spreadsheetId,
+        sheetName = 'SyncFreeBusy'
+    } = params;
+
+    return (report) => {
+        const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+        const sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+
+        // Add a header row to a new sheet
+        if (sheet.getLastRow() === 0) {
+            sheet.appendRow(['End time', 'Status', 'Window start', 'Window end', 'Created', 'Updated', 'Deleted', 'Skipped', 'Errors', 'Total time (ms)', 'Report']);
+        }
+
+        const totals = summarizeSyncReport(report);
+        sheet.appendRow([
+            report.endTime,
+            report.complete ? 'complete' : 'cut short',
+            report.window.start,
+            report.window.end,
+            totals.created,
+            totals.updated,
+            totals.deleted,
+            totals.skipped,
+            report.errors.length,
+            report.timings.total,
+            // A cell holds at most 50,000 characters
+            JSON.stringify(report).slice(0, 50000)
+        ]);
+    };
+};
@@ -0,0 +1,429 @@
+/* global ScriptApp, LockService, CalendarAppBackend, PropertiesStateStore, SyncFreeBusy, console */
+
+/**
+ * SyncFreeBusy Setup
+ *
+ * Deploys sync pairs from code instead of by hand: named sync-pair configurations are kept in the script properties,
+ * a single global entry point (`runSyncFreeBusyPairs`) runs them all, and the triggers that call it are installed,
+ * listed and removed with `ScriptApp`.
+ */
+
+/**
+ * SyncFreeBusySetup Module
+ *
+ * Manages the sync pairs of an Apps Script project and the triggers that synchronize them.
+ *
+ * @param {Object} [params] - The parameters for the setup.
+ * @param {Object} [params.stateStore] - Where the sync pairs and the state of their runs are kept (default is a
+ *   `PropertiesStateStore` on the script properties).
+ * @param {Object} [params.calendarBackend] - How calendars are read and written (default is a `CalendarAppBackend`).
+ * @param {Object} [params.defaults={}] - SyncFreeBusy parameters for every pair that cannot be stored as JSON, e.g.
+ *   an `onReport` hook or `excludeTitles` patterns. The configuration of a pair overrides them.
+ * @param {string} [params.handlerFunction='runSyncFreeBusyPairs'] - The name of the global function the triggers
+ *   call. Use your own function when you pass `defaults`.
+ * @param {GoogleAppsScript.Script.ScriptApp} [params.scriptApp] - The service that manages triggers (default is
+ *   `ScriptApp`).
+ * @param {GoogleAppsScript.Lock.LockService} [params.lockService] - The service that keeps runs from overlapping
+ *   (default is `LockService`; null to run without a lock).
+ * @param {number} [params.lockTimeout=10000] - How long a run waits for a run in progress before it is skipped, in
+ *   milliseconds.
+ * @param {number} [params.triggerDebounce=120000] - How long after a run a calendar-updated trigger of a calendar the
+ *   run wrote blocks to is ignored, in milliseconds. The blocks set off the trigger themselves; changes of your own
+ *   in that time are synchronized by a follow-up run at the end of it.
+ * @returns {Object} - The setup module exposing the `saveSyncPair`, `getSyncPair`, `listSyncPairs`,
+ *   `removeSyncPair`, `checkWriteAccess`, `installTriggers`, `listTriggers`, `removeTriggers` and `runSyncPairs`
+ *   methods.
+ */
+const SyncFreeBusySetup = (params = {}) => {
+    // Destructure and set default values from the params object
+    const {
+        stateStore = PropertiesStateStore(), // Default: the script properties
+        calendarBackend = CalendarAppBackend(), // Default: Google Calendar through CalendarApp
+        defaults = {}, // Default: every parameter of a pair is stored with the pair
+        handlerFunction = 'runSyncFreeBusyPairs', // Default: the global entry point below
+        scriptApp = typeof ScriptApp === 'undefined' ? null : ScriptApp,
+        lockService = typeof LockService === 'undefined' ? null : LockService,
+        lockTimeout = 10 * 1000, // Default: wait ten seconds for a run in progress
+        triggerDebounce = 2 * 60 * 1000 // Default: ignore calendar-updated triggers for two minutes after a write
+    } = params;
+
+    // The key of the sync pairs in the state store, the key of the calendars the last run wrote to, the key of the
+    // scheduled follow-up run, and the prefix of the state of every pair
+    const pairsKey = 'SyncFreeBusy:pairs';
+    const lastWritesKey = 'SyncFreeBusy:lastWrites';
+    const followUpKey = 'SyncFreeBusy:followUp';
+    const getPairStateKey = (name) => `SyncFreeBusy:pair:${name}`;
+
+    // The intervals Apps Script supports for time-driven triggers
+    const triggerIntervals = [1, 5, 10, 15, 30];
+
+    // The access roles that can write events
+    const writableAccessRoles = ['owner', 'writer'];
+
+    /**
+     * Reads every saved sync pair.
+     *
+     * @returns {Object} - The configuration of every pair, by name.
+     */
+    const readPairs = () => stateStore.get(pairsKey) || {};
+
+    /**
+     * Creates the SyncFreeBusy instance of a pair. Every pair keeps its state under its own key.
+     *
+     * @param {string} name - The name of the pair.
+     * @param {Object} config - The SyncFreeBusy parameters of the pair.
+     * @returns {Object} - The SyncFreeBusy module of the pair.
+     */
+    const createSync = (name, config) => SyncFreeBusy({
+        stateKey: getPairStateKey(name),
+        ...defaults,
+        ...config,
+        stateStore,
+        calendarBackend
+    });
+
+    /**
+     * Throws when the trigger service is missing, e.g. under Node.
+     */
+    const requireScriptApp = () => {
+        if (!scriptApp) {
+            throw new Error("scriptApp is required to manage triggers");
+        }
+    };
+
+    /**
+     * Checks whether the script can write to calendars. Reading a calendar is not enough: calendars shared with "See
+     * all event details" can be read but not written. The access role of a calendar tells; when the calendar backend
+     * does not know it (e.g. CalDAV), a short event far in the past is created and deleted instead.
+     *
+     * @param {Array<string>} calendarIds - The IDs of the calendars to check.
+     * @returns {Array<Object>} - The `calendarId`, whether it is `writable` and, when it is not, the `error` of every
+     *   calendar.
+     */
+    const checkWriteAccess = (calendarIds) => [...new Set(calendarIds)].map(calendarId => {
+        try {
+            const calendar = calendarBackend.getCalendarById(calendarId);
+            if (!calendar) {
+                return { calendarId, writable: false, error: `Calendar with ID ${calendarId} not found` };
+            }
+
+            const accessRole = calendarBackend.getAccessRole ? calendarBackend.getAccessRole(calendarId) : null;
+            if (accessRole) {
+                return writableAccessRoles.includes(accessRole)
+                    ? { calendarId, writable: true }
+                    : { calendarId, writable: false, error: `Access role ${accessRole}` };
+            }
+
+            const probe = calendar.createEvent('SyncFreeBusy write check', new Date('2000-01-01T00:00:00Z'), new Date('2000-01-01T00:01:00Z'));
+            probe.deleteEvent();
+            return { calendarId, writable: true };
+        } catch (error) {
+            return { calendarId, writable: false, error: String(error && error.message || error) };
+        }
+    });
+
+    /**
+     * Saves a named sync pair, so `runSyncPairs` synchronizes it. The configuration is validated by creating its
+     * SyncFreeBusy instance, and the script must be able to write to every target calendar.
+     *
+     * @param {string} name - The name of the pair; a pair with the same name is replaced.
+     * @param {Object} config - The SyncFreeBusy parameters of the pair (e.g. `primaryCalendarId` and
+     *   `remoteCalendarId`, or a `syncGraph`). They must be serializable as JSON; pass functions and regular
+     *   expressions in the `defaults` of the setup instead.
+     * @param {Object} [options] - The options for saving.
+     * @param {boolean} [options.checkAccess=true] - Check the write access to the target calendars.
+     */
+    const saveSyncPair = (name, config, { checkAccess = true } = {}) => {
+        // Validate required parameters
+        if (typeof name !== 'string' || !name) {
+            throw new Error("name is required");
+        }
+        if (!config || typeof config !== 'object') {
+            throw new Error("config is required");
+        }
+
+        // Functions and regular expressions would silently get lost in the script properties
+        JSON.stringify(config, (key, value) => {
+            if (typeof value === 'function' || value instanceof RegExp) {
+                throw new Error(`${key} of sync pair ${name} cannot be stored in the script properties; pass it in the defaults of SyncFreeBusySetup`);
+            }
+            return value;
+        });
+
+        const sync = createSync(name, config);
+
+        if (checkAccess) {
+            const targetCalendarIds = sync.getSyncGraph().map(direction => direction.targetCalendarId);
+            const failures = checkWriteAccess(targetCalendarIds).filter(access => !access.writable);
+            if (failures.length > 0) {
+                throw new Error(`No write access to ${failures.map(access => `calendar ${access.calendarId} (${access.error})`).join(', ')}`);
+            }
+        }
+
+        stateStore.set(pairsKey, { ...readPairs(), [name]: config });
+        console.log(`Saved sync pair ${name}`);
+    };
+
+    /**
+     * Reads a saved sync pair.
+     *
+     * @param {string} name - The name of the pair.
+     * @returns {Object|null} - The configuration of the pair, or null when there is no pair with that name.
+     */
+    const getSyncPair = (name) => readPairs()[name] || null;
+
+    /**
+     * Lists the names of the saved sync pairs.
+     *
+     * @returns {Array<string>} - The names, in the order the pairs were saved.
+     */
+    const listSyncPairs = () => Object.keys(readPairs());
+
+    /**
+     * Removes a saved sync pair and the state of its runs. Its blocking events are kept; remove them first with
+     * `removeBlockingEvents` when they are no longer wanted.
+     *
+     * @param {string} name - The name of the pair.
+     * @returns {boolean} - Whether there was a pair with that name.
+     */
+    const removeSyncPair = (name) => {
+        const pairs = readPairs();
+        if (!(name in pairs)) {
+            return false;
+        }
+
+        delete pairs[name];
+        stateStore.set(pairsKey, pairs);
+
+        const stateKey = getPairStateKey(name);
+        ['', ':cursor', ':failures', ':conflicts'].forEach(suffix => stateStore.remove(`${stateKey}${suffix}`));
+
+        console.log(`Removed sync pair ${name}`);
+        return true;
+    };
+
+    /**
+     * Lists the triggers that call the handler function.
+     *
+     * @returns {Array<Object>} - The `id`, `eventType` and, for calendar-updated triggers, the `calendarId` of every
+     *   trigger.
+     */
+    const listTriggers = () => {
+        requireScriptApp();
+
+        return scriptApp.getProjectTriggers()
+            .filter(trigger => trigger.getHandlerFunction() === handlerFunction)
+            .map(trigger => ({
+                id: trigger.getUniqueId(),
+                eventType: String(trigger.getEventType()),
+                calendarId: String(trigger.getTriggerSource()) === String(scriptApp.TriggerSource.CALENDAR)
+                    ? trigger.getTriggerSourceId()
+                    : null
+            }));
+    };
+
+    /**
+     * Removes every trigger that calls the handler function.
+     *
+     * @returns {number} - The number of removed triggers.
+     */
+    const removeTriggers = () => {
+        requireScriptApp();
+
+        const triggers = scriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === handlerFunction);
+        triggers.forEach(trigger => scriptApp.deleteTrigger(trigger));
+        stateStore.remove(followUpKey);
+
+        console.log(`Removed ${triggers.length} triggers of ${handlerFunction}`);
+        return triggers.length;
+    };
+
+    /**
+     * Installs the triggers that run the sync pairs: a time-driven trigger, and a calendar-updated trigger for every
+     * source calendar of the pairs, for near-real-time synchronization. Existing triggers of the handler function
+     * are replaced, so it is safe to call again after the pairs changed. The blocks a run writes set off the
+     * calendar-updated triggers of their calendars too; those runs are skipped (see `params.triggerDebounce`).
+     *
+     * @param {Object} [options] - The options for the triggers.
+     * @param {number} [options.everyMinutes=15] - How often the time-driven trigger runs: 1, 5, 10, 15 or 30 minutes.
+     * @param {boolean} [options.onEventUpdated=true] - Also run when an event changes in a source calendar. Only
+     *   Google calendars of the user can have these triggers; the others are skipped with a warning.
+     * @returns {Array<Object>} - The installed triggers (see `listTriggers`).
+     */
+    const installTriggers = ({ everyMinutes = 15, onEventUpdated = true } = {}) => {
+        requireScriptApp();
+        if (!triggerIntervals.includes(everyMinutes)) {
+            throw new Error(`everyMinutes must be one of ${triggerIntervals.join(', ')}, not ${everyMinutes}`);
+        }
+
+        removeTriggers();
+
+        scriptApp.newTrigger(handlerFunction).timeBased().everyMinutes(everyMinutes).create();
+
+        if (onEventUpdated) {
+            const sourceCalendarIds = new Set();
+            Object.entries(readPairs()).forEach(([name, config]) => {
+                try {
+                    createSync(name, config).getSyncGraph().forEach(direction => sourceCalendarIds.add(direction.sourceCalendarId));
+                } catch (error) {
+                    console.warn(`Reading the calendars of sync pair ${name} failed: ${error.message}`);
+                }
+            });
+
+            sourceCalendarIds.forEach(calendarId => {
+                try {
+                    scriptApp.newTrigger(handlerFunction).forUserCalendar(calendarId).onEventUpdated().create();
+                } catch (error) {
+                    console.warn(`Installing a calendar-updated trigger for calendar ${calendarId} failed: ${error.message}`);
+                }
+            });
+        }
+
+        const triggers = listTriggers();
+        console.log(`Installed ${triggers.length} triggers of ${handlerFunction}`);
+        return triggers;
+    };
+
+    /**
+     * Removes the trigger of the follow-up run, once a run of every pair made it unnecessary (or it ran itself).
+     */
+    const clearFollowUp = () => {
+        const followUp = stateStore.get(followUpKey);
+        if (!followUp) {
+            return;
+        }
+
+        if (scriptApp) {
+            scriptApp.getProjectTriggers()
+                .filter(trigger => trigger.getUniqueId() === followUp.triggerId)
+                .forEach(trigger => scriptApp.deleteTrigger(trigger));
+        }
+        stateStore.remove(followUpKey);
+    };
+
+    /**
+     * Schedules a run of every pair, for a calendar-updated trigger that was skipped: it may have been set off by a
+     * change of your own rather than by the blocks of the previous run. A follow-up run that is still to come covers
+     * the trigger as well, so triggers in the same `triggerDebounce` share one run.
+     *
+     * @param {number} delay - How long from now to run, in milliseconds.
+     */
+    const scheduleFollowUp = (delay) => {
+        const followUp = stateStore.get(followUpKey);
+        if (followUp && followUp.time > Date.now()) {
+            return;
+        }
+        if (!scriptApp) {
+            console.log('No scriptApp to schedule a follow-up run; the next time-driven run synchronizes the calendar');
+            return;
+        }
+
+        // A follow-up run that has not cleared its trigger (e.g. it was skipped for a run in progress) is replaced
+        clearFollowUp();
+        try {
+            const trigger = scriptApp.newTrigger(handlerFunction).timeBased().after(delay).create();
+            stateStore.set(followUpKey, { triggerId: trigger.getUniqueId(), time: Date.now() + delay });
+        } catch (error) {
+            console.warn(`Scheduling a follow-up run failed, the next time-driven run synchronizes the calendar: ${error.message}`);
+        }
+    };
+
+    /**
+     * Synchronizes every saved sync pair, or only the pairs of one calendar. A pair that fails does not stop the
+     * others. Runs never overlap: a run that cannot get the lock in time is skipped, as the run in progress already
+     * synchronizes the calendars. A run for a calendar that a run wrote blocks to within the `triggerDebounce` is
+     * skipped as well, as it was most likely set off by those blocks; a follow-up run of every pair at the end of the
+     * `triggerDebounce` synchronizes a change of your own in that time.
+     *
+     * @param {Object} [options] - The options for the run.
+     * @param {string} [options.calendarId] - Only synchronize the pairs with this calendar, e.g. the calendar of a
+     *   calendar-updated trigger.
+     * @returns {Object} - The report of every pair that ran by name, or its `error` when it failed.
+     */
+    const runSyncPairs = ({ calendarId } = {}) => {
+        const lock = lockService ? lockService.getScriptLock() : null;
+        if (lock && !lock.tryLock(lockTimeout)) {
+            console.log('Skipping the run, another run of the sync pairs is still in progress');
+            return {};
+        }
+
+        try {
+            // The calendars the last runs wrote to, with the time of their last write
+            const lastWrites = stateStore.get(lastWritesKey) || {};
+            if (calendarId && lastWrites[calendarId] && Date.now() - lastWrites[calendarId] < triggerDebounce) {
+                console.log(`Skipping the run for calendar ${calendarId}, it was most likely set off by the blocks of the previous run`);
+                scheduleFollowUp(lastWrites[calendarId] + triggerDebounce - Date.now());
+                return {};
+            }
+
+            // A run of every pair is the follow-up run, or makes it unnecessary
+            if (!calendarId) {
+                clearFollowUp();
+            }
+
+            const results = {};
+            Object.entries(readPairs()).forEach(([name, config]) => {
+                try {
+                    const sync = createSync(name, config);
+                    const directions = sync.getSyncGraph();
+                    if (calendarId && !directions.some(direction => direction.sourceCalendarId === calendarId || direction.targetCalendarId === calendarId)) {
+                        return;
+                    }
+
+                    results[name] = sync.synchronizeCalendars();
+                } catch (error) {
+                    console.error(`Synchronizing sync pair ${name} failed:`, error);
+                    results[name] = { error: String(error && error.message || error) };
+                }
+            });
+
+            // Remember the calendars this run wrote blocks to, so the triggers their blocks set off are skipped
+            const writeTime = Date.now();
+            Object.values(results).filter(report => !report.dryRun).forEach(report => (report.actions || []).forEach(action => {
+                lastWrites[action.calendarId] = writeTime;
+            }));
+            Object.keys(lastWrites).forEach(writtenCalendarId => {
+                if (writeTime - lastWrites[writtenCalendarId] >= triggerDebounce) {
+                    delete lastWrites[writtenCalendarId];
+                }
+            });
+            stateStore.set(lastWritesKey, lastWrites);
+
+            return results;
+        } finally {
+            if (lock) {
+                lock.releaseLock();
+            }
+        }
+    };
+
+    return Object.freeze({
+        // Named sync pairs in the script properties
+        saveSyncPair,
+        getSyncPair,
+        listSyncPairs,
+        removeSyncPair,
+
+        // Checks the write access to calendars before a first run
+        checkWriteAccess,
+
+        // Triggers that run the sync pairs
+        installTriggers,
+        listTriggers,
+        removeTriggers,
+
+        // Runs the sync pairs
+        runSyncPairs
+    });
+};
+
+/**
+ * Runs every sync pair saved with `SyncFreeBusySetup().saveSyncPair`. This is the global entry point the triggers
+ * installed by `installTriggers` call; a calendar-updated trigger only runs the pairs of the calendar that changed.
+ *
+ * @param {Object} [event] - The event of the trigger.
+ * @returns {Object} - The report of every pair that ran, by name.
+ */
+function runSyncFreeBusyPairs(event) {
+    return SyncFreeBusySetup().runSyncPairs({ calendarId: event && event.calendarId });
+}
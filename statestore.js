@@ -0,0 +1,98 @@
+/* global PropertiesService */
+
+/**
+ * PropertiesStateStore Module
+ *
+ * Stores the state SyncFreeBusy keeps between runs (e.g. the watermark of an incremental sync) in the script
+ * properties of the Apps Script project. Values are stored as JSON strings.
+ *
+ * Any object with the same `get`, `set` and `remove` methods can be passed to SyncFreeBusy as a `stateStore`.
+ *
+ * @param {GoogleAppsScript.Properties.Properties} [properties] - The properties to use (default is the script
+ *   properties).
+ * @returns {Object} - The state store exposing the `get`, `set` and `remove` methods.
+ */
+const PropertiesStateStore = (properties = PropertiesService.getScriptProperties()) => {
+    /**
+     * Reads a value from the properties.
+     *
+     * @param {string} key - The key of the value.
+     * @returns {*} - The stored value, or null when the key is not set.
+     */
+    const get = (key) => {
+        const value = properties.getProperty(key);
+        return value === null ? null : JSON.parse(value);
+    };
+
+    /**
+     * Writes a value to the properties.
+     *
+     * @param {string} key - The key of the value.
+     * @param {*} value - The value to store; it must be serializable as JSON.
+     */
+    const set = (key, value) => {
+        properties.setProperty(key, JSON.stringify(value));
+    };
+
+    /**
+     * Removes a value from the properties.
+     *
+     * @param {string} key - The key of the value.
+     */
+    const remove = (key) => {
+        properties.deleteProperty(key);
+    };
+
+    return Object.freeze({
+        get,
+        set,
+        remove
+    });
+};
+
+/**
+ * MemoryStateStore Module
+ *
+ * Keeps the state SyncFreeBusy keeps between runs in memory. Useful for tests, or to run a sync without keeping
+ * any state in the script properties.
+ *
+ * @param {Object} [initialState={}] - The initial values by key.
+ * @returns {Object} - The state store exposing the `get`, `set` and `remove` methods.
+ */
+const MemoryStateStore = (initialState = {}) => {
+    // Values are stored as JSON strings, so callers never share objects with the store
+    const values = new Map(Object.entries(initialState).map(([key, value]) => [key, JSON.stringify(value)]));
+
+    /**
+     * Reads a value from memory.
+     *
+     * @param {string} key - The key of the value.
+     * @returns {*} - The stored value, or null when the key is not set.
+     */
+    const get = (key) => values.has(key) ? JSON.parse(values.get(key)) : null;
+
+    /**
+     * Writes a value to memory.
+     *
+     * @param {string} key - The key of the value.
+     * @param {*} value - The value to store; it must be serializable as JSON.
+     */
+    const set = (key, value) => {
+        values.set(key, JSON.stringify(value));
+    };
+
+    /**
+     * Removes a value from memory.
+     *
+     * @param {string} key - The key of the value.
+     */
+    const remove = (key) => {
+        values.delete(key);
+    };
+
+    return Object.freeze({
+        get,
+        set,
+        remove
+    });
+};
@@ -1,4 +1,4 @@
-/* global CalendarApp, console */
+/* global CalendarAppBackend, PropertiesStateStore, getTimeZoneOffset, console */
 
 /**
  * SyncFreeBusy Module
@@ -17,459 +17,3032 @@
  * promoting better maintainability and reducing the risk of conflicts in the global namespace.
  * 
  * @param {Object} params - The parameters for the SyncFreeBusy.
- * @param {string} params.primaryCalendarId - The ID of the primary calendar.
- * @param {string} params.remoteCalendarId - The ID of the remote calendar.
- * @param {number} [params.lookBackPeriod=604800000] - The look-back period in milliseconds (default is 1 week).
+ * @param {string} [params.primaryCalendarId] - The ID of the primary calendar (used together with `remoteCalendarId`).
+ * @param {string} [params.remoteCalendarId] - The ID of the remote calendar (used together with `primaryCalendarId`).
+ * @param {Array<string>} [params.calendarIds] - The IDs of calendars that should all mirror busy time to each other.
+ * @param {Array<Object>} [params.syncGraph] - Explicit sync directions, each with a `sourceCalendarId`, a
+ *   `targetCalendarId`, an optional `isPersonalCalendar` flag (blocks in the target show the source title), an
+ *   optional `filter` that overrides the rules of `params.filter` for that direction, an optional `busyStatus`
+ *   that overrides single fields of `params.busyStatus`, an optional `recurringBlocks` that overrides
+ *   `params.recurringBlocks`, and an optional `lookBackPeriod` and `lookAheadPeriod` that override the periods of
+ *   `params` for that direction.
+ * @param {Object} [params.filter] - The rules that decide which source events are mirrored, for every direction.
+ * @param {boolean} [params.filter.skipAllDayEvents=false] - Skip all-day events.
+ * @param {boolean} [params.filter.skipFreeEvents=false] - Skip events that show as free (transparent).
+ * @param {boolean} [params.filter.skipDeclinedEvents=false] - Skip events you declined.
+ * @param {boolean} [params.filter.skipUnansweredEvents=false] - Skip invitations you haven't answered yet.
+ * @param {number} [params.filter.minimumDuration=0] - Skip events shorter than this number of minutes.
+ * @param {Array<string|RegExp>} [params.filter.excludeTitles=[]] - Skip events whose title matches one of these
+ *   patterns. Strings match case-insensitively anywhere in the title.
+ * @param {Array<string>} [params.filter.excludeColors=[]] - Skip events with one of these colours
+ *   (`CalendarApp.EventColor` values).
+ * @param {Object} [params.blockTemplate] - How blocking events look, for every direction. A `syncGraph` edge can
+ *   override single fields with its own `blockTemplate`. Text fields are strings with `{title}`, `{location}`,
+ *   `{calendarName}`, `{sourceCalendarId}`, `{duration}` and `{link}` placeholders, or functions that receive
+ *   these fields and return a string.
+ * @param {string|Function} [params.blockTemplate.title] - The title of the block (default is
+ *   `{sourceCalendarId}: {title}` for personal calendars and "Blocked by remote calendar" otherwise).
+ * @param {string|Function} [params.blockTemplate.description=''] - The description of the block.
+ * @param {string} [params.blockTemplate.color] - The colour of the block (a `CalendarApp.EventColor` value).
+ * @param {GoogleAppsScript.Calendar.Visibility} [params.blockTemplate.visibility] - The visibility of the block.
+ * @param {boolean} [params.blockTemplate.reminders=true] - Whether the block keeps the calendar's default reminders.
+ * @param {boolean} [params.blockTemplate.redacted=false] - Hide the title, location and link of the source event.
+ * @param {Object} [params.availability] - How blocking events reflect your real availability, for every direction. A
+ *   `syncGraph` edge can override single fields with its own `availability`. Times are in minutes.
+ * @param {number} [params.availability.paddingBefore=0] - Block this time before every source event (buffer time).
+ * @param {number} [params.availability.paddingAfter=0] - Block this time after every source event.
+ * @param {number} [params.availability.travelPaddingBefore] - Block this time before source events with a location
+ *   instead (travel time; default is `paddingBefore`).
+ * @param {number} [params.availability.travelPaddingAfter] - Block this time after source events with a location
+ *   instead (default is `paddingAfter`).
+ * @param {boolean} [params.availability.merge=false] - Merge overlapping and adjacent (padded) source events into a
+ *   single block.
+ * @param {number} [params.availability.mergeGap=0] - Also merge source events that are at most this far apart.
+ * @param {Object} [params.availability.workingHours] - The working hours of the target calendar, e.g.
+ *   `{ start: '09:00', end: '17:30' }`.
+ * @param {Array<number>} [params.availability.workingDays] - The working days of the target calendar (0 is Sunday),
+ *   e.g. `[1, 2, 3, 4, 5]` (default is every day when `workingHours` are set).
+ * @param {string} [params.availability.timeZone] - The time zone of the working hours (default is the time zone of
+ *   the target calendar).
+ * @param {string} [params.availability.outsideWorkingHours='clip'] - `clip` cuts blocks to the working hours and
+ *   days, `skip` only skips blocks that are completely outside them.
+ * @param {Object} [params.busyStatus] - How your response to a source event and its transparency show on its block,
+ *   for every direction. A `syncGraph` edge can override single fields with its own `busyStatus`. Every status maps
+ *   to `busy` (an opaque block), `free` (a transparent block) or `skip` (no block; an existing block is removed).
+ *   Events you own or accepted are always `busy`, unless they show as free. By default every event is mirrored as
+ *   busy; the `skipFreeEvents`, `skipDeclinedEvents` and `skipUnansweredEvents` filter rules still skip their events
+ *   whatever the mapping.
+ * @param {string} [params.busyStatus.declined='busy'] - Events you declined.
+ * @param {string} [params.busyStatus.free='busy'] - Events that show as free (transparent).
+ * @param {string} [params.busyStatus.tentative='busy'] - Events you answered with maybe.
+ * @param {string} [params.busyStatus.unanswered='busy'] - Invitations you haven't answered yet.
+ * @param {string} [params.busyStatus.tentativePrefix=''] - Prepended to the title of the blocks of tentative
+ *   events, e.g. "Tentative: ".
+ * @param {string} [params.recurringBlocks='instances'] - How recurring source events are blocked: `instances` creates
+ *   a single block per instance, `series` creates one recurring block series per source series (this requires the
+ *   Advanced Calendar service, or a `calendarBackend` that supports event series). Either way every instance is
+ *   identified by its series and its original start time, so moved or cancelled instances only change their own block.
+ * @param {Object} [params.calendarBackend] - How calendars are read and written (default is a `CalendarAppBackend`
+ *   for Google Calendar); see `calendarbackends.js` for the interface and a `MemoryCalendarBackend`.
+ * @param {number} [params.lookBackPeriod=604800000] - The look-back period in milliseconds (default is 1 week). The
+ *   window is computed again at every call, so a long-lived instance never synchronizes a stale window.
  * @param {number} [params.lookAheadPeriod=7776000000] - The look-ahead period in milliseconds (default is 60 days).
- * @returns {Object} - The SyncFreeBusy module exposing the `synchronizeCalendars` and `removeBlockingEvents` methods.
+ * @param {boolean} [params.dryRun=false] - Only log the planned changes instead of applying them to the calendars.
+ * @param {boolean} [params.incremental=false] - Only fetch the calendars that changed since the previous run (by a
+ *   watermark per calendar) and only reconcile their changed source events, with a full reconciliation every
+ *   `fullSyncInterval`.
+ * @param {number} [params.fullSyncInterval=86400000] - How often an incremental sync falls back to a full
+ *   reconciliation, in milliseconds (default is 1 day).
+ * @param {Object} [params.stateStore] - Where the state between runs is kept (incremental watermarks, cursor, failed
+ *   actions), an object with `get`, `set` and `remove` methods (default is a `PropertiesStateStore` on the script
+ *   properties).
+ * @param {string} [params.stateKey] - The key of the state of this instance in the state store (default is derived
+ *   from the instance ID and the sync graph). The state of an older version, whose key was derived from the sync graph
+ *   only, is moved to the new key by the first instance that finds it.
+ * @param {string} [params.instanceId='default'] - The ID of this instance, written in the `syncInstanceId` tag of every
+ *   blocking event. Instances with different IDs never touch each other's blocks, even when they synchronize the same
+ *   calendars. Blocks created before instance IDs existed are claimed by the first instance that upgrades them.
+ * @param {number} [params.timeBudget] - The time a synchronization may take, in milliseconds. The run stops before
+ *   the budget is spent and the next run continues where it left off (default is no limit).
+ * @param {number} [params.maxRetries=3] - How often a calendar operation that failed with a transient error (e.g.
+ *   "rate limit exceeded") is retried, with exponential backoff.
+ * @param {number} [params.retryDelay=1000] - The delay before the first retry, in milliseconds; it doubles with every
+ *   retry.
+ * @param {number} [params.quarantineAfter=5] - The number of runs an action may fail before it is quarantined, i.e.
+ *   no longer attempted (0 to never quarantine).
+ * @param {Function} [params.onReport] - Called with the report of every synchronization, e.g. to email it or to
+ *   append it to a spreadsheet. Errors thrown by the hook are logged and do not fail the synchronization.
+ * @param {Object} [params.conflicts] - How real double-bookings are handled. Every synchronization lists the real
+ *   (non-blocking) events that overlap between the calendars of a direction in the `conflicts` of its report.
+ * @param {boolean} [params.conflicts.ignoreAllDayEvents=true] - Ignore all-day events.
+ * @param {boolean} [params.conflicts.ignoreFreeEvents=true] - Ignore events that show as free or that you declined.
+ * @param {number} [params.conflicts.leadTime] - Only notify about and tag conflicts that start within this time, in
+ *   milliseconds (default is the look-ahead period).
+ * @param {Function} [params.conflicts.onConflicts] - Called once with the new conflicts within the lead time and the
+ *   report, e.g. an `EmailConflictHook`. Errors thrown by the hook are logged and do not fail the synchronization.
+ * @param {boolean} [params.conflicts.tagEvents=false] - Tag the conflicting events with a `conflict` tag; the tag is
+ *   removed when the conflict is resolved.
+ * @param {string} [params.conflicts.color] - Also colour the conflicting events (a `CalendarApp.EventColor` value);
+ *   their own colour is restored when the conflict is resolved. Requires `tagEvents`.
+ * @returns {Object} - The SyncFreeBusy module exposing the `synchronizeCalendars`, `planSynchronization`,
+ *   `removeBlockingEvents`, `findOrphans`, `repairBlockingEvents` and `getSyncGraph` methods.
  */
 const SyncFreeBusy = (params = {}) => {
     // Validate required parameters
-    // Ensure that both primaryCalendarId and remoteCalendarId are provided in the params object.
-    if (!params.primaryCalendarId || !params.remoteCalendarId) {
-        throw new Error("primaryCalendarId and remoteCalendarId are required");
+    // Ensure that a sync graph, a list of calendars or both primaryCalendarId and remoteCalendarId are provided.
+    const hasSyncGraph = Array.isArray(params.syncGraph) && params.syncGraph.length > 0;
+    const hasCalendarIds = Array.isArray(params.calendarIds) && params.calendarIds.length > 0;
+    const hasCalendarPair = Boolean(params.primaryCalendarId && params.remoteCalendarId);
+    if (!hasSyncGraph && !hasCalendarIds && !hasCalendarPair) {
+        throw new Error("syncGraph, calendarIds or primaryCalendarId and remoteCalendarId are required");
     }
 
     // Destructure and set default values from the params object
     const {
-        primaryCalendarId,
-        remoteCalendarId,
         lookBackPeriod = 7 * 24 * 60 * 60 * 1000, // Default look-back period: one week in milliseconds
         lookAheadPeriod = 60 * 24 * 60 * 60 * 1000, // Default look-ahead period: 60 days in milliseconds
+        dryRun = false, // Default: apply the planned changes to the calendars
+        incremental = false, // Default: reconcile every source event on every run
+        fullSyncInterval = 24 * 60 * 60 * 1000, // Default full reconciliation interval: one day in milliseconds
+        timeBudget = null, // Default: no time limit
+        maxRetries = 3, // Default: retry a transient failure three times
+        retryDelay = 1000, // Default: wait one second before the first retry
+        quarantineAfter = 5, // Default: stop attempting an action after it failed in five runs
+        onReport = null, // Default: only return the report
+        conflicts: conflictOptions = {}, // Default: only list conflicts in the report
+        instanceId = 'default', // Default: a single instance per calendar
+        calendarBackend = CalendarAppBackend(), // Default: Google Calendar through CalendarApp
     } = params;
 
-    // Get the primary calendar object by its ID
-    const primaryCalendar = CalendarApp.getCalendarById(primaryCalendarId);
-    // Get the remote calendar object by its ID
-    const remoteCalendar = CalendarApp.getCalendarById(remoteCalendarId);
+    if (typeof instanceId !== 'string' || !instanceId) {
+        throw new Error("instanceId must be a non-empty string");
+    }
+
+    // The default title of blocks in non-personal calendars, and the title of every block before templates existed
+    const legacyBlockTitle = 'Blocked by remote calendar';
+
+    /**
+     * Parses a time of day such as `09:00` or `17:30`.
+     *
+     * @param {string} clockTime - The time of day.
+     * @returns {number} - The minutes since midnight.
+     */
+    const parseClockTime = (clockTime) => {
+        const [hours, minutes] = clockTime.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+
+    /**
+     * Tells whether the availability rules of a direction change the times of blocks.
+     *
+     * @param {Object} availability - The availability rules (see `params.availability`).
+     * @returns {boolean} - Whether blocks are padded, merged or limited to working hours.
+     */
+    const hasAvailabilityRules = ({ paddingBefore, paddingAfter, travelPaddingBefore, travelPaddingAfter, merge, workingHours, workingDays }) =>
+        Boolean(paddingBefore || paddingAfter || travelPaddingBefore || travelPaddingAfter || merge || workingHours || workingDays);
+
+    /**
+     * Builds the list of sync directions (edges) from the params object.
+     *
+     * - `syncGraph` is used as given, so every direction can be configured separately.
+     * - `calendarIds` mirrors every calendar into every other calendar.
+     * - `primaryCalendarId`/`remoteCalendarId` keeps the original two-way behaviour, where blocks in the remote
+     *   calendar show the title of the primary event.
+     *
+     * @returns {Array<Object>} - The edges, each with `sourceCalendarId`, `targetCalendarId` and `isPersonalCalendar`,
+     *   and the `filter`, `blockTemplate`, `availability`, `busyStatus`, `recurringBlocks` mode, `lookBackPeriod`
+     *   and `lookAheadPeriod` of the direction.
+     */
+    const buildSyncGraph = () => {
+        let edges;
+
+        if (hasSyncGraph) {
+            edges = params.syncGraph.map(edge => {
+                if (!edge || !edge.sourceCalendarId || !edge.targetCalendarId) {
+                    throw new Error("Every syncGraph edge requires a sourceCalendarId and a targetCalendarId");
+                }
+                return {
+                    sourceCalendarId: edge.sourceCalendarId,
+                    targetCalendarId: edge.targetCalendarId,
+                    isPersonalCalendar: edge.isPersonalCalendar === true,
+                    filter: edge.filter,
+                    blockTemplate: edge.blockTemplate,
+                    availability: edge.availability,
+                    busyStatus: edge.busyStatus,
+                    recurringBlocks: edge.recurringBlocks,
+                    lookBackPeriod: edge.lookBackPeriod,
+                    lookAheadPeriod: edge.lookAheadPeriod
+                };
+            });
+        } else if (hasCalendarIds) {
+            const calendarIds = [...new Set(params.calendarIds)];
+            if (calendarIds.length < 2) {
+                throw new Error("calendarIds must contain at least two different calendar IDs");
+            }
+
+            // Mirror every calendar into every other calendar
+            edges = calendarIds.flatMap(sourceCalendarId => calendarIds
+                .filter(targetCalendarId => targetCalendarId !== sourceCalendarId)
+                .map(targetCalendarId => ({ sourceCalendarId, targetCalendarId, isPersonalCalendar: false })));
+        } else {
+            edges = [
+                { sourceCalendarId: params.primaryCalendarId, targetCalendarId: params.remoteCalendarId, isPersonalCalendar: true },
+                { sourceCalendarId: params.remoteCalendarId, targetCalendarId: params.primaryCalendarId, isPersonalCalendar: false }
+            ];
+        }
+
+        // A calendar can never mirror into itself, and every direction is only synchronized once
+        const seenEdges = new Set();
+        const uniqueEdges = edges.filter(edge => {
+            if (edge.sourceCalendarId === edge.targetCalendarId) {
+                throw new Error(`Calendar ${edge.sourceCalendarId} cannot be synchronized with itself`);
+            }
+
+            const edgeKey = `${edge.sourceCalendarId}>${edge.targetCalendarId}`;
+            if (seenEdges.has(edgeKey)) {
+                return false;
+            }
+            seenEdges.add(edgeKey);
+            return true;
+        });
+
+        // The rules and template of a direction override the ones that apply to every direction
+        return uniqueEdges.map(edge => {
+            const recurringBlocks = edge.recurringBlocks || params.recurringBlocks || 'instances';
+            if (recurringBlocks !== 'instances' && recurringBlocks !== 'series') {
+                throw new Error(`recurringBlocks must be 'instances' or 'series', not '${recurringBlocks}'`);
+            }
+
+            // A block series copies the recurrence rule of its source series, which CalendarApp only exposes through
+            // the Advanced Calendar service
+            if (recurringBlocks === 'series' && !calendarBackend.supportsEventSeries) {
+                throw new Error("recurringBlocks 'series' requires the Advanced Calendar service (or a calendarBackend that supports event series)");
+            }
+
+            const availability = { ...params.availability, ...edge.availability };
+            const { workingHours } = availability;
+            if (workingHours && !(/^\d\d?:\d\d$/.test(workingHours.start) && /^\d\d?:\d\d$/.test(workingHours.end)
+                && parseClockTime(workingHours.start) < parseClockTime(workingHours.end))) {
+                throw new Error("availability.workingHours requires a start and a later end, e.g. { start: '09:00', end: '17:30' }");
+            }
+            if (![undefined, 'clip', 'skip'].includes(availability.outsideWorkingHours)) {
+                throw new Error(`availability.outsideWorkingHours must be 'clip' or 'skip', not '${availability.outsideWorkingHours}'`);
+            }
+
+            // A block series copies the times of its source series, so it cannot be padded, merged or clipped
+            if (recurringBlocks === 'series' && hasAvailabilityRules(availability)) {
+                throw new Error("recurringBlocks 'series' cannot be combined with padding, merging or working hours");
+            }
+
+            const busyStatus = {
+                declined: 'busy',
+                free: 'busy',
+                tentative: 'busy',
+                unanswered: 'busy',
+                tentativePrefix: '',
+                ...params.busyStatus,
+                ...edge.busyStatus
+            };
+            ['declined', 'free', 'tentative', 'unanswered'].forEach(status => {
+                if (!['busy', 'free', 'skip'].includes(busyStatus[status])) {
+                    throw new Error(`busyStatus.${status} must be 'busy', 'free' or 'skip', not '${busyStatus[status]}'`);
+                }
+            });
+            if (typeof busyStatus.tentativePrefix !== 'string') {
+                throw new Error("busyStatus.tentativePrefix must be a string");
+            }
+
+            const edgeLookBackPeriod = edge.lookBackPeriod === undefined ? lookBackPeriod : edge.lookBackPeriod;
+            const edgeLookAheadPeriod = edge.lookAheadPeriod === undefined ? lookAheadPeriod : edge.lookAheadPeriod;
+            if (![edgeLookBackPeriod, edgeLookAheadPeriod].every(period => typeof period === 'number' && period >= 0 && isFinite(period))) {
+                throw new Error("lookBackPeriod and lookAheadPeriod must be non-negative numbers of milliseconds");
+            }
+
+            return {
+                ...edge,
+                filter: { ...params.filter, ...edge.filter },
+                blockTemplate: {
+                    title: edge.isPersonalCalendar ? '{sourceCalendarId}: {title}' : legacyBlockTitle,
+                    ...params.blockTemplate,
+                    ...edge.blockTemplate
+                },
+                availability,
+                busyStatus,
+                recurringBlocks,
+                lookBackPeriod: edgeLookBackPeriod,
+                lookAheadPeriod: edgeLookAheadPeriod
+            };
+        });
+    };
+
+    /**
+     * Compares an enum value of an event with a value of an enum of the calendar backend. Enums are compared by name,
+     * so events of a calendar in another backend (see CompositeCalendarBackend) match.
+     *
+     * @param {*} value - The enum value of the event, e.g. its transparency.
+     * @param {*} enumValue - The enum value to compare with, e.g. `calendarBackend.EventTransparency.TRANSPARENT`.
+     * @returns {boolean} - Whether the values have the same name.
+     */
+    const isEnumValue = (value, enumValue) => String(value) === String(enumValue);
+
+    /**
+     * Tells how a source event shows on its block, from your response to it and its transparency. A declined event
+     * counts as declined even when it shows as free, and a free event as free even when you answered with maybe.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} sourceEvent - The source event.
+     * @param {Object} busyStatus - The busy status mapping of the direction (see `params.busyStatus`).
+     * @returns {Object} - The `status` of the event (`declined`, `free`, `tentative`, `unanswered` or `busy`) and the
+     *   `busyState` of its block (`busy`, `free` or `skip`).
+     */
+    const getBusyState = (sourceEvent, busyStatus) => {
+        const myStatus = sourceEvent.getMyStatus();
+        let status = 'busy';
+        if (isEnumValue(myStatus, calendarBackend.GuestStatus.NO)) {
+            status = 'declined';
+        } else if (isEnumValue(sourceEvent.getTransparency(), calendarBackend.EventTransparency.TRANSPARENT)) {
+            status = 'free';
+        } else if (isEnumValue(myStatus, calendarBackend.GuestStatus.MAYBE)) {
+            status = 'tentative';
+        } else if (isEnumValue(myStatus, calendarBackend.GuestStatus.INVITED)) {
+            status = 'unanswered';
+        }
+
+        return { status, busyState: status === 'busy' ? 'busy' : busyStatus[status] };
+    };
+
+    /**
+     * Checks a source event against the filter rules of a direction, and against the statuses it skips.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} sourceEvent - The source event to check.
+     * @param {Object} filter - The filter rules of the direction (see `params.filter`).
+     * @param {Object} busyStatus - The busy status mapping of the direction (see `params.busyStatus`).
+     * @returns {string|null} - The rule that excludes the event, or null when the event should be mirrored.
+     */
+    const getFilterReason = (sourceEvent, filter, busyStatus) => {
+        const {
+            skipAllDayEvents = false,
+            skipFreeEvents = false,
+            skipDeclinedEvents = false,
+            skipUnansweredEvents = false,
+            minimumDuration = 0,
+            excludeTitles = [],
+            excludeColors = []
+        } = filter;
+
+        if (skipAllDayEvents && sourceEvent.isAllDayEvent()) {
+            return 'all-day';
+        }
+
+        if (skipFreeEvents && isEnumValue(sourceEvent.getTransparency(), calendarBackend.EventTransparency.TRANSPARENT)) {
+            return 'free';
+        }
+
+        // Your own response to the event; events you own are never declined or unanswered
+        const myStatus = sourceEvent.getMyStatus();
+        if (skipDeclinedEvents && isEnumValue(myStatus, calendarBackend.GuestStatus.NO)) {
+            return 'declined';
+        }
+        if (skipUnansweredEvents && isEnumValue(myStatus, calendarBackend.GuestStatus.INVITED)) {
+            return 'unanswered';
+        }
+
+        const durationInMinutes = (sourceEvent.getEndTime().getTime() - sourceEvent.getStartTime().getTime()) / (60 * 1000);
+        if (durationInMinutes < minimumDuration) {
+            return 'too-short';
+        }
+
+        const title = sourceEvent.getTitle();
+        const hasExcludedTitle = excludeTitles.some(pattern => pattern instanceof RegExp
+            ? pattern.test(title)
+            : title.toLowerCase().includes(String(pattern).toLowerCase()));
+        if (hasExcludedTitle) {
+            return 'excluded-title';
+        }
+
+        if (excludeColors.includes(sourceEvent.getColor())) {
+            return 'excluded-color';
+        }
+
+        // Skip the statuses that map to no block, e.g. declined events
+        const { status, busyState } = getBusyState(sourceEvent, busyStatus);
+        if (busyState === 'skip') {
+            return status;
+        }
+
+        return null;
+    };
+
+    /**
+     * Calculates a short, non-cryptographic hash of a string (djb2), used to detect changes cheaply.
+     *
+     * @param {string} value - The string to hash.
+     * @returns {string} - The hash in base 36.
+     */
+    const hashString = (value) => {
+        let hash = 5381;
+        for (let i = 0; i < value.length; i++) {
+            hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(36);
+    };
+
+    /**
+     * Returns the key that identifies how a blocking event looks, apart from its title and times.
+     * It is stored in the `blockStyle` tag, so blocks are re-rendered when the template changes.
+     *
+     * @param {Object} block - The rendered `description`, `color`, `visibility` and `reminders` of a block.
+     * @returns {string} - The style key.
+     */
+    const getBlockStyleKey = ({ description, color, visibility, reminders }) =>
+        hashString(JSON.stringify([description, color, String(visibility), reminders]));
+
+    // Blocks created before templates existed have no description, colour or visibility and keep their reminders
+    const defaultBlockStyleKey = getBlockStyleKey({ description: '', color: '', visibility: '', reminders: true });
+
+    // The version of the tags written to every blocking event. Version 1 blocks (without a `schemaVersion` tag) have
+    // no instance ID and no source hash; they are upgraded in place by the next synchronization.
+    const blockSchemaVersion = '2';
+
+    /**
+     * Checks whether an event is a blocking event of this instance: it is tagged as blocked, and either carries the
+     * ID of this instance or was created before instance IDs existed.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The event to check.
+     * @returns {boolean} - True when the event is a blocking event of this instance.
+     */
+    const isOwnBlockingEvent = (event) => {
+        if (event.getTag('blocked') !== 'true') {
+            return false;
+        }
+
+        const instanceIdTag = event.getTag('syncInstanceId');
+        return !instanceIdTag || instanceIdTag === instanceId;
+    };
+
+    /**
+     * Calculates the hash of the source events of a block: their IDs, titles, times and locations. It is stored in the
+     * `sourceHash` tag, so a block can be checked against its source without comparing every field.
+     *
+     * @param {Array} sourceEvents - The source events of the block.
+     * @returns {string} - The source hash.
+     */
+    const getSourceHash = (sourceEvents) => hashString(JSON.stringify(sourceEvents.map(event =>
+        [event.getId(), event.getTitle(), event.getStartTime().getTime(), event.getEndTime().getTime(), event.getLocation()])));
+
+    /**
+     * Renders the title, description, colour, visibility and reminders of a blocking event from the template of a
+     * direction, and its transparency from the busy status mapping. A block of merged source events shows all their
+     * titles and locations, and their total duration; it is only tentative or free when all its source events are.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} sourceEvent - The source event that requires blocking.
+     * @param {Object} edge - The sync direction, with its `sourceCalendarId`, `blockTemplate` and `busyStatus`.
+     * @param {Array} [sourceEvents] - All source events of a merged block, starting with `sourceEvent`.
+     * @returns {Object} - The rendered `title`, `description`, `color`, `visibility`, `reminders`, `style` key and
+     *   `transparency`. The transparency is not part of the style, as it follows the source events.
+     */
+    const renderBlock = (sourceEvent, { sourceCalendarId, blockTemplate, busyStatus }, sourceEvents = [sourceEvent]) => {
+        const { title, description = '', color = '', visibility = '', reminders = true, redacted = false } = blockTemplate;
+
+        const startTime = Math.min(...sourceEvents.map(event => event.getStartTime().getTime()));
+        const endTime = Math.max(...sourceEvents.map(event => event.getEndTime().getTime()));
+        const durationInMinutes = Math.round((endTime - startTime) / (60 * 1000));
+        const hours = Math.floor(durationInMinutes / 60);
+        const minutes = durationInMinutes % 60;
+
+        const joinUnique = (values, separator) => [...new Set(values.filter(Boolean))].join(separator);
+
+        // The source fields that can be used in the templates
+        const fields = {
+            title: redacted ? 'Busy' : joinUnique(sourceEvents.map(event => event.getTitle()), ', '),
+            location: redacted ? '' : joinUnique(sourceEvents.map(event => event.getLocation()), '; '),
+            calendarName: calendars.get(sourceCalendarId).getName(),
+            sourceCalendarId,
+            duration: [hours && `${hours}h`, (minutes || !hours) && `${minutes}m`].filter(Boolean).join(' '),
+            link: redacted ? '' : calendarBackend.getEventLink(sourceEvent, sourceCalendarId)
+        };
+
+        /**
+         * Renders a single template with the source fields.
+         *
+         * @param {string|Function} template - A string with `{field}` placeholders or a function of the fields.
+         * @returns {string} - The rendered text.
+         */
+        const render = (template) => typeof template === 'function'
+            ? String(template(fields))
+            : String(template).replace(/\{(\w+)\}/g, (placeholder, name) => name in fields ? fields[name] : placeholder);
+
+        const busyStates = sourceEvents.map(event => getBusyState(event, busyStatus));
+        const isTentative = busyStates.every(({ status }) => status === 'tentative');
+        const isFree = busyStates.every(({ busyState }) => busyState === 'free');
+
+        const block = {
+            title: `${isTentative ? busyStatus.tentativePrefix : ''}${render(title)}`,
+            description: render(description),
+            color,
+            visibility,
+            reminders
+        };
+
+        return {
+            ...block,
+            style: getBlockStyleKey(block),
+            transparency: isFree ? calendarBackend.EventTransparency.TRANSPARENT : calendarBackend.EventTransparency.OPAQUE
+        };
+    };
+
+    /**
+     * Returns the time zone the working hours of a target calendar are in.
+     *
+     * @param {string} calendarId - The ID of the target calendar.
+     * @param {Object} availability - The availability rules of the direction.
+     * @returns {string} - The IANA name of the time zone.
+     */
+    const getWorkingTimeZone = (calendarId, availability) => {
+        if (availability.timeZone) {
+            return availability.timeZone;
+        }
+
+        const calendar = calendars.get(calendarId);
+        return (calendar.getTimeZone && calendar.getTimeZone()) || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    };
+
+    /**
+     * Cuts a time range to the working hours and days of a target calendar. A range that spans several working days
+     * is cut into one part per day.
+     *
+     * @param {number} startTime - The start of the range, in milliseconds.
+     * @param {number} endTime - The end of the range, in milliseconds.
+     * @param {Object} availability - The availability rules, with the `workingHours` and `workingDays`.
+     * @param {string} timeZone - The time zone of the working hours.
+     * @returns {Array<Object>} - The parts within working hours, each with a `startTime` and `endTime` in milliseconds.
+     */
+    const clipToWorkingHours = (startTime, endTime, availability, timeZone) => {
+        const { workingHours = { start: '00:00', end: '24:00' }, workingDays = [0, 1, 2, 3, 4, 5, 6] } = availability;
+        const day = 24 * 60 * 60 * 1000;
+
+        // Wall-clock times are handled as if the time zone were UTC, and converted back per working day, so the
+        // working hours stay the same across daylight saving time changes
+        const toWallTime = (time) => time + getTimeZoneOffset(timeZone, time);
+        const fromWallTime = (wallTime) => wallTime - getTimeZoneOffset(timeZone, wallTime - getTimeZoneOffset(timeZone, wallTime));
+
+        const parts = [];
+        for (let wallDay = Math.floor(toWallTime(startTime) / day) * day; wallDay < toWallTime(endTime); wallDay += day) {
+            if (!workingDays.includes(new Date(wallDay).getUTCDay())) {
+                continue;
+            }
+
+            const partStart = Math.max(startTime, fromWallTime(wallDay + parseClockTime(workingHours.start) * 60 * 1000));
+            const partEnd = Math.min(endTime, fromWallTime(wallDay + parseClockTime(workingHours.end) * 60 * 1000));
+            if (partStart < partEnd) {
+                parts.push({ startTime: partStart, endTime: partEnd });
+            }
+        }
+
+        return parts;
+    };
+
+    /**
+     * Returns the times a source event blocks: its own times, padded by the availability rules of the direction.
+     * All-day events are not padded, and events with a location get the travel time.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} sourceEvent - The source event.
+     * @param {Object} availability - The availability rules of the direction.
+     * @returns {Object} - The padded `startTime` and `endTime`, in milliseconds since the epoch.
+     */
+    const getPaddedTimes = (sourceEvent, availability) => {
+        const {
+            paddingBefore = 0,
+            paddingAfter = 0,
+            travelPaddingBefore = paddingBefore,
+            travelPaddingAfter = paddingAfter
+        } = availability;
+        const minute = 60 * 1000;
+        const startTime = sourceEvent.getStartTime().getTime();
+        const endTime = sourceEvent.getEndTime().getTime();
+        if (sourceEvent.isAllDayEvent()) {
+            return { startTime, endTime };
+        }
+
+        const hasLocation = Boolean(sourceEvent.getLocation());
+        return {
+            startTime: startTime - (hasLocation ? travelPaddingBefore : paddingBefore) * minute,
+            endTime: endTime + (hasLocation ? travelPaddingAfter : paddingAfter) * minute
+        };
+    };
+
+    /**
+     * Shapes the source events of a direction into the blocks they need, with the availability rules of the
+     * direction: every source event is padded, overlapping or adjacent events are merged, and the result is cut to
+     * the working hours of the target calendar.
+     *
+     * Every block is identified by the key of its first source event, and its `part` when a block was cut into
+     * several parts. Without availability rules, every source event gets one block with its own times.
+     *
+     * @param {Array<Array>} sourceEntries - The source events that need blocking, as `[sourceEventKey, sourceEvent]`.
+     * @param {Object} edge - The sync direction, with its `targetCalendarId` and `availability` rules.
+     * @returns {Object} - The `blocks` by block key (each with its `key`, `sourceEventKey`, `part`, `sourceEvent`, all
+     *   `sourceEvents`, `sourceEventKeys`, `startTime` and `endTime`), the block key per source event key
+     *   (`blockKeys`), and the keys of source events that are completely outside working hours (`outsideKeys`).
+     */
+    const shapeBlocks = (sourceEntries, { targetCalendarId, availability }) => {
+        const { merge = false, mergeGap = 0, workingHours, workingDays, outsideWorkingHours = 'clip' } = availability;
+        const minute = 60 * 1000;
+
+        // Pad every source event
+        const padded = sourceEntries.map(([sourceEventKey, sourceEvent]) => ({
+            sourceEventKey,
+            sourceEvent,
+            ...getPaddedTimes(sourceEvent, availability)
+        })).sort((a, b) => a.startTime - b.startTime || a.endTime - b.endTime || (a.sourceEventKey < b.sourceEventKey ? -1 : 1));
+
+        // Merge events that overlap or are at most `mergeGap` apart
+        const groups = [];
+        padded.forEach(entry => {
+            const group = groups[groups.length - 1];
+            if (merge && group && entry.startTime <= group.endTime + mergeGap * minute) {
+                group.entries.push(entry);
+                group.endTime = Math.max(group.endTime, entry.endTime);
+            } else {
+                groups.push({ entries: [entry], startTime: entry.startTime, endTime: entry.endTime });
+            }
+        });
+
+        const blocks = new Map();
+        const blockKeys = new Map();
+        const outsideKeys = new Set();
+        const timeZone = workingHours || workingDays ? getWorkingTimeZone(targetCalendarId, availability) : null;
+
+        groups.forEach(group => {
+            let parts = [{ startTime: group.startTime, endTime: group.endTime }];
+            if (timeZone) {
+                const workingParts = clipToWorkingHours(group.startTime, group.endTime, availability, timeZone);
+                parts = outsideWorkingHours === 'skip' && workingParts.length > 0 ? parts : workingParts;
+            }
+
+            const [first] = group.entries;
+            if (parts.length === 0) {
+                group.entries.forEach(entry => outsideKeys.add(entry.sourceEventKey));
+                return;
+            }
+
+            group.entries.forEach(entry => blockKeys.set(entry.sourceEventKey, first.sourceEventKey));
+            parts.forEach((part, index) => {
+                const key = index === 0 ? first.sourceEventKey : `${first.sourceEventKey}#${index}`;
+                blocks.set(key, {
+                    key,
+                    sourceEventKey: first.sourceEventKey,
+                    part: index,
+                    sourceEvent: first.sourceEvent,
+                    sourceEvents: group.entries.map(entry => entry.sourceEvent),
+                    sourceEventKeys: group.entries.map(entry => entry.sourceEventKey),
+                    startTime: new Date(part.startTime),
+                    endTime: new Date(part.endTime)
+                });
+            });
+        });
+
+        return { blocks, blockKeys, outsideKeys };
+    };
+
+    // The sync directions handled by this instance
+    const syncGraph = buildSyncGraph();
+
+    // The IDs of all calendars that take part in the synchronization
+    const calendarIds = [...new Set(syncGraph.flatMap(edge => [edge.sourceCalendarId, edge.targetCalendarId]))];
+
+    /**
+     * Returns a key that changes whenever the configuration of the sync directions changes.
+     * An incremental sync falls back to a full reconciliation when it does, so changed rules or templates are
+     * applied to every block.
+     *
+     * @returns {string} - The configuration key.
+     */
+    const getConfigKey = () => hashString(JSON.stringify(
+        [syncGraph, lookBackPeriod, lookAheadPeriod],
+        (key, value) => typeof value === 'function' || value instanceof RegExp ? String(value) : value
+    ));
+
+    // The key of the configuration of this instance
+    const configKey = getConfigKey();
+
+    // Where the state between runs is kept, and the key of this instance in it
+    const stateStore = params.stateStore || PropertiesStateStore();
+    const graphKey = hashString(syncGraph.map(edge => `${edge.sourceCalendarId}>${edge.targetCalendarId}`).join(','));
+    const stateKey = params.stateKey || `SyncFreeBusy:${instanceId}:${graphKey}`;
+
+    // The keys of the state of an instance: its watermarks, cursor, failed actions and notified conflicts
+    const stateKeySuffixes = ['', ':cursor', ':failures', ':conflicts'];
+
+    // Whether the state of an older version was looked for already; an explicit `stateKey` has none
+    let hasMovedLegacyState = Boolean(params.stateKey);
+
+    /**
+     * Moves the state of an older version, kept under a key without the instance ID, unless this instance already has
+     * state of its own. It is moved by the first run that saves state, so dry runs and plans leave the state store
+     * alone.
+     */
+    const moveLegacyState = () => {
+        if (hasMovedLegacyState) {
+            return;
+        }
+        hasMovedLegacyState = true;
+
+        const legacyStateKey = `SyncFreeBusy:${graphKey}`;
+        const hasState = stateKeySuffixes.some(suffix => stateStore.get(`${stateKey}${suffix}`) !== null);
+        stateKeySuffixes.forEach(suffix => {
+            const value = stateStore.get(`${legacyStateKey}${suffix}`);
+            if (value === null) {
+                return;
+            }
+            if (!hasState) {
+                stateStore.set(`${stateKey}${suffix}`, value);
+            }
+            stateStore.remove(`${legacyStateKey}${suffix}`);
+        });
+    };
+
+    // Get the calendar objects by their IDs and validate that each calendar was successfully retrieved
+    const calendars = new Map();
+    calendarIds.forEach(calendarId => {
+        const calendar = calendarBackend.getCalendarById(calendarId);
+        if (!calendar) {
+            throw new Error(`Calendar with ID ${calendarId} not found`);
+        }
+        calendars.set(calendarId, calendar);
+    });
+
+    /**
+     * Computes the window of a run, at the time of the call. Every direction has its own window from its look-back
+     * and look-ahead periods; the calendars are fetched once for the window that covers them all. An explicit window
+     * replaces the window of every direction, e.g. for a one-off backfill.
+     *
+     * @param {Object} [explicitWindow] - An explicit `start` and `end` (Dates) for every direction.
+     * @returns {Object} - The `start` and `end` of the run, whether the window is `explicit`, and the `edges` Map with
+     *   the `start` and `end` per direction.
+     */
+    const createWindow = (explicitWindow) => {
+        const edges = new Map();
+
+        if (explicitWindow) {
+            const { start, end } = explicitWindow;
+            if (!(start instanceof Date) || !(end instanceof Date) || !(start < end)) {
+                throw new Error("window requires a start and an end date, with start before end");
+            }
+            syncGraph.forEach(edge => edges.set(edge, { start, end }));
+            return { start, end, explicit: true, edges };
+        }
+
+        // Calculate the look-back and look-ahead dates of every direction based on the current date
+        const now = Date.now();
+        syncGraph.forEach(edge => edges.set(edge, {
+            start: new Date(now - edge.lookBackPeriod), // Date/time from which to start looking back
+            end: new Date(now + edge.lookAheadPeriod) // Date/time up to which to look ahead
+        }));
+
+        const windows = [...edges.values()];
+        return {
+            start: new Date(Math.min(...windows.map(({ start }) => start.getTime()))),
+            end: new Date(Math.max(...windows.map(({ end }) => end.getTime()))),
+            explicit: false,
+            edges
+        };
+    };
+
+    /**
+     * Checks whether an event overlaps a window. An event whose times cannot be read counts as inside, so its error is
+     * recorded when it is reconciled.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The event.
+     * @param {Object} window - The `start` and `end` of the window.
+     * @returns {boolean} - True when the event overlaps the window.
+     */
+    const isInWindow = (event, { start, end }) => {
+        try {
+            return event.getEndTime() > start && event.getStartTime() < end;
+        } catch (error) {
+            return true;
+        }
+    };
+
+    /**
+     * Creates the report of a synchronization run. The report only holds plain data, so it can be logged, emailed or
+     * stored as JSON.
+     *
+     * @param {Object} window - The window of the run (see `createWindow`).
+     * @returns {Object} - The report, with the `window` used, the `created`, `updated`, `deleted` and `skipped`
+     *   counts and event IDs per direction, the applied `actions`, the `errors`, the `quarantined` actions that were
+     *   not attempted, the `conflicts` between real events and the `timings` in milliseconds.
+     */
+    const createReport = (window) => {
+        /**
+         * Creates an empty count of events.
+         *
+         * @returns {Object} - The `count` and `eventIds` of the events.
+         */
+        const createCount = () => ({ count: 0, eventIds: [] });
+
+        return {
+            complete: false,
+            dryRun,
+            window: { start: window.start, end: window.end },
+            startTime: new Date(),
+            endTime: null,
+            directions: syncGraph.map(({ sourceCalendarId, targetCalendarId }) => ({
+                sourceCalendarId,
+                targetCalendarId,
+                created: createCount(),
+                updated: createCount(),
+                deleted: createCount(),
+                skipped: createCount()
+            })),
+            actions: [],
+            errors: [],
+            quarantined: [],
+            conflicts: [],
+            timings: {}
+        };
+    };
+
+    /**
+     * Adds an event to one of the counts of a direction in the report.
+     *
+     * @param {Object} report - The report of the run.
+     * @param {string} sourceCalendarId - The ID of the source calendar of the direction.
+     * @param {string} targetCalendarId - The ID of the target calendar of the direction.
+     * @param {string} countName - The count to add the event to: `created`, `updated`, `deleted` or `skipped`.
+     * @param {string|null} eventId - The ID of the event, or null when it is not known (e.g. in a dry run).
+     */
+    const countInReport = (report, sourceCalendarId, targetCalendarId, countName, eventId) => {
+        const direction = report.directions.find(entry =>
+            entry.sourceCalendarId === sourceCalendarId && entry.targetCalendarId === targetCalendarId);
+        if (!direction) {
+            return;
+        }
+
+        direction[countName].count++;
+        if (eventId) {
+            direction[countName].eventIds.push(eventId);
+        }
+    };
+
+    /**
+     * Creates a timer that adds the time spent per label to the timings of a report, and logs it.
+     * The same label can be timed more than once; its durations are added up.
+     *
+     * @param {Object} timings - The timings of the report, in milliseconds per label.
+     * @returns {Object} - The timer exposing the `time` and `timeEnd` methods.
+     */
+    const createTimer = (timings) => {
+        const startTimes = new Map();
+
+        return Object.freeze({
+            // Start timing a label
+            time: (label) => {
+                startTimes.set(label, Date.now());
+            },
+
+            // Stop timing a label and add the duration to the timings
+            timeEnd: (label) => {
+                const duration = Date.now() - startTimes.get(label);
+                timings[label] = (timings[label] || 0) + duration;
+                console.log(`${label}: ${duration}ms`);
+            }
+        });
+    };
+
+    /**
+     * Tells whether an error from a calendar operation is transient, i.e. likely to succeed when retried later
+     * (rate limits, quotas, timeouts and server errors). Other errors, such as a deleted event, are permanent.
+     *
+     * @param {Error} error - The error thrown by the calendar operation.
+     * @returns {boolean} - Whether the error is transient.
+     */
+    const isTransientError = (error) => /rate limit|too many|quota|try again|timed? ?out|temporarily|unavailable|backend error|internal error|\b(429|500|502|503|504)\b/i
+        .test(String(error && error.message || error));
+
+    /**
+     * Runs a calendar operation, and retries it with exponential backoff while it fails with a transient error.
+     *
+     * @param {Function} operation - The calendar operation.
+     * @param {string} description - A description of the operation, for the log.
+     * @returns {*} - The result of the operation.
+     */
+    const withRetry = (operation, description) => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return operation();
+            } catch (error) {
+                if (!isTransientError(error) || attempt > maxRetries) {
+                    throw error;
+                }
+
+                // Wait twice as long after every attempt, with some jitter so parallel runs spread out
+                const delay = retryDelay * Math.pow(2, attempt - 1) + Math.floor(Math.random() * retryDelay);
+                console.warn(`${description} failed (attempt ${attempt} of ${maxRetries + 1}), retrying in ${delay}ms: ${error.message}`);
+                calendarBackend.sleep(delay);
+            }
+        }
+    };
+
+    /**
+     * Records an error in the report and logs it.
+     *
+     * @param {Object} report - The report of the run.
+     * @param {Error} error - The error.
+     * @param {Object} details - What failed, e.g. the `calendarId` and `eventId`, or the `action`.
+     */
+    const recordError = (report, error, details) => {
+        const message = String(error && error.message || error);
+        console.error(`${message} (${JSON.stringify(details)})`);
+
+        report.errors.push({ message, transient: isTransientError(error), ...details });
+    };
+
+    /**
+     * Returns the ID of an event, or null when even that cannot be read (e.g. for a deleted recurrence instance).
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The event.
+     * @returns {string|null} - The ID of the event.
+     */
+    const getEventIdSafely = (event) => {
+        try {
+            return event.getId();
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /**
+     * Calls a callback for every event. An error on one event is recorded in the report and does not stop the others.
+     *
+     * @param {Array} events - The events.
+     * @param {Object} report - The report of the run.
+     * @param {string} calendarId - The ID of the calendar that holds the events.
+     * @param {Function} callback - Called with every event.
+     * @param {Function} [onError] - Called with the ID of an event the callback failed on.
+     */
+    const forEachEvent = (events, report, calendarId, callback, onError) => {
+        events.forEach(event => {
+            try {
+                callback(event);
+            } catch (error) {
+                const eventId = getEventIdSafely(event);
+                recordError(report, error, { calendarId, eventId });
+
+                if (onError) {
+                    onError(eventId);
+                }
+            }
+        });
+    };
+
+    /**
+     * Creates the quarantine of a run: the actions that failed in earlier runs, kept in the state store.
+     * An action that failed in `quarantineAfter` runs is no longer attempted, so one broken event cannot fail every
+     * run. Quarantined actions older than a week are forgotten, so they are attempted again.
+     *
+     * @returns {Object} - The quarantine exposing the `isQuarantined`, `recordFailure`, `recordSuccess` and `save`
+     *   methods.
+     */
+    const createQuarantine = () => {
+        const failuresKey = `${stateKey}:failures`;
+        const failures = stateStore.get(failuresKey) || {};
+        let hasChanges = false;
+
+        // Forget failures older than a week
+        const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        Object.keys(failures).forEach(actionKey => {
+            if (failures[actionKey].lastFailure < weekAgo) {
+                delete failures[actionKey];
+                hasChanges = true;
+            }
+        });
+
+        return Object.freeze({
+            // Whether the action failed too often to be attempted again
+            isQuarantined: (actionKey) => quarantineAfter > 0
+                && Boolean(failures[actionKey])
+                && failures[actionKey].failedRuns >= quarantineAfter,
+
+            // Count a failed run of the action; returns the number of failed runs
+            recordFailure: (actionKey, error) => {
+                const failedRuns = (failures[actionKey] ? failures[actionKey].failedRuns : 0) + 1;
+                failures[actionKey] = { failedRuns, lastFailure: Date.now(), lastError: String(error && error.message || error).slice(0, 200) };
+                hasChanges = true;
+                return failedRuns;
+            },
+
+            // Forget the failures of an action that succeeded
+            recordSuccess: (actionKey) => {
+                if (failures[actionKey]) {
+                    delete failures[actionKey];
+                    hasChanges = true;
+                }
+            },
+
+            // Save the failures for the next run
+            save: () => {
+                if (!hasChanges) {
+                    return;
+                }
+
+                if (Object.keys(failures).length === 0) {
+                    stateStore.remove(failuresKey);
+                } else {
+                    stateStore.set(failuresKey, failures);
+                }
+            }
+        });
+    };
+
+
+    /**
+     * Builds the index of the recurring instances in a calendar. CalendarApp returns every instance of a series with
+     * the ID of the series and its current start time, but not the start time the series gave it. The index maps
+     * `seriesId_startTime` to that original start time and to the `recurringEventId` of the series, so an instance
+     * keeps its identity when it is moved.
+     *
+     * When the calendar backend cannot list instances (CalendarApp without the Advanced Calendar service) the index is
+     * empty, and instances are identified by their current start time: a moved instance then gets a new block instead
+     * of an updated one.
+     *
+     * In an incremental sync, the listed instances are cached in the state store, and a series is only listed again
+     * when one of its fetched instances was updated since. The cache covers the window until the next full
+     * reconciliation, and only keeps the moved instances; the others start at their original start time.
+     *
+     * @param {string} calendarId - The ID of the calendar.
+     * @param {Array} events - The events fetched from the calendar.
+     * @param {Date} startDate - The start of the range the events were fetched for.
+     * @param {Date} endDate - The end of the range the events were fetched for.
+     * @param {number} fetchTime - The time the events were fetched at, in milliseconds since the epoch.
+     * @returns {Object} - The `instanceIndex`, with the `originalStartTime` (in milliseconds) and `recurringEventId`
+     *   per `seriesId_startTime`, and the `instanceCache` to save, or null when no series was listed.
+     */
+    const buildInstanceIndex = (calendarId, events, startDate, endDate, fetchTime) => {
+        const cached = incremental ? stateStore.get(`${stateKey}:instances:${calendarId}`) : null;
+        const cache = cached && cached.startTime <= startDate.getTime() && cached.endTime >= endDate.getTime() ? cached : null;
+
+        // The start times of the fetched instances per series, and the series that changed since they were cached
+        const startTimesBySeries = new Map();
+        const changedSeriesIds = new Set();
+        events.forEach(event => {
+            try {
+                if (event.isRecurringEvent()) {
+                    const seriesId = event.getId();
+                    startTimesBySeries.set(seriesId, [...(startTimesBySeries.get(seriesId) || []), event.getStartTime().getTime()]);
+                    if (!cache || !cache.series[seriesId] || event.getLastUpdated().getTime() >= cache.fetchTime) {
+                        changedSeriesIds.add(seriesId);
+                    }
+                }
+            } catch (error) {
+                // The event is recorded as an error when it is reconciled
+            }
+        });
+
+        // List the changed series until the next full reconciliation, so the cache covers the windows until then
+        const listEndDate = incremental ? new Date(endDate.getTime() + fullSyncInterval) : endDate;
+        const series = {};
+        startTimesBySeries.forEach((startTimes, iCalUID) => {
+            if (!changedSeriesIds.has(iCalUID)) {
+                series[iCalUID] = cache.series[iCalUID];
+                return;
+            }
+
+            try {
+                const instances = withRetry(() => calendarBackend.listInstances(calendarId, iCalUID, startDate, listEndDate),
+                    `Listing the instances of ${iCalUID} in calendar ${calendarId}`);
+
+                if (instances.length > 0) {
+                    series[iCalUID] = {
+                        recurringEventId: instances[0].recurringEventId,
+                        moved: instances
+                            .filter(instance => instance.startTime.getTime() !== instance.originalStartTime.getTime())
+                            .map(instance => [instance.startTime.getTime(), instance.originalStartTime.getTime()])
+                    };
+                }
+            } catch (error) {
+                // Fall back to the current start times for this series
+                console.warn(`Listing the instances of ${iCalUID} in calendar ${calendarId} failed: ${error.message}`);
+            }
+        });
+
+        // Index the moved instances, and the fetched instances that start at their original start time
+        const instanceIndex = new Map();
+        Object.entries(series).forEach(([iCalUID, { recurringEventId, moved }]) => {
+            moved.forEach(([startTime, originalStartTime]) => {
+                instanceIndex.set(`${iCalUID}_${startTime}`, { originalStartTime, recurringEventId });
+            });
+            startTimesBySeries.get(iCalUID).filter(startTime => !instanceIndex.has(`${iCalUID}_${startTime}`)).forEach(startTime => {
+                instanceIndex.set(`${iCalUID}_${startTime}`, { originalStartTime: startTime, recurringEventId });
+            });
+        });
+
+        const instanceCache = changedSeriesIds.size > 0
+            ? { fetchTime, startTime: startDate.getTime(), endTime: listEndDate.getTime(), series }
+            : null;
+        return { instanceIndex, instanceCache };
+    };
+
+    /**
+     * Fetches events from a specified calendar within a given time range, then separates them into past and active events.
+     *
+     * @param {Object} params - The parameters for fetching events.
+     * @param {string} params.calendarId - The ID of the calendar from which to fetch events.
+     * @param {Date} params.lookBackDate - The start date from which to fetch past events.
+     * @param {Date} params.lookAheadDate - The end date up to which to fetch future events.
+     * @param {Object} params.timer - The timer of the run.
+     * @returns {Object} - An object containing two arrays, `pastEvents` and `activeEvents`, the `instanceIndex` of its
+     *   recurring instances and the `instanceCache` to save (see `buildInstanceIndex`).
+     */
+    const fetchEventsFromCalendar = ({ calendarId, lookBackDate, lookAheadDate, timer }) => {
+        timer.time('fetchEvents'); // Start timing the fetch process
+
+        // Attempt to retrieve the calendar object by its ID
+        const calendar = calendarBackend.getCalendarById(calendarId);
+        if (!calendar) {
+            // Fail the calendar instead of returning no events, so the blocks of its directions are not removed; the
+            // caller records the error and skips its directions
+            timer.timeEnd('fetchEvents'); // End timing with an error
+            throw new Error(`Calendar with ID ${calendarId} not found`);
+        }
+
+        // Fetch events within the specified time range (from lookBackDate to lookAheadDate)
+        const fetchTime = Date.now();
+        const events = withRetry(() => calendar.getEvents(lookBackDate, lookAheadDate), `Fetching events from calendar ${calendarId}`);
+
+        // Get the current date and time to determine if events are past or active
+        const now = new Date();
+
+        // Filter the events into past events (those that have ended) and active events (those that are ongoing or upcoming).
+        // An event whose end time cannot be read counts as active, so its error is recorded when it is reconciled.
+        const hasEnded = (event) => {
+            try {
+                return event.getEndTime() < now;
+            } catch (error) {
+                return false;
+            }
+        };
+        const pastEvents = events.filter(event => hasEnded(event));
+        const activeEvents = events.filter(event => !hasEnded(event));
+
+        // Log the number of events fetched and the breakdown of past vs. active events
+        console.log(`Fetched ${events.length} events from calendar ${calendarId} - Past events: ${pastEvents.length}, Active events: ${activeEvents.length}`);
+
+        // Look up the original start time of every recurring instance
+        const { instanceIndex, instanceCache } = buildInstanceIndex(calendarId, events, lookBackDate, lookAheadDate, fetchTime);
+
+        timer.timeEnd('fetchEvents'); // End timing the fetch process
+
+        // Return an object containing the past and active events, and the index of recurring instances
+        return { pastEvents, activeEvents, instanceIndex, instanceCache };
+    };
+
+    /**
+     * Fetches the past and active events of every calendar in the sync graph, or of the given calendars.
+     * Calendars that are already in `eventsByCalendar` are not fetched again. A calendar that cannot be read is
+     * recorded in the report and left out of `eventsByCalendar`.
+     *
+     * @param {Object} params - The parameters for fetching events.
+     * @param {Object} params.window - The window of the run (see `createWindow`); the events of its `start` to `end`
+     *   are fetched.
+     * @param {Object} params.report - The report of the run.
+     * @param {Object} params.timer - The timer of the run.
+     * @param {Array<string>} [params.ids] - The IDs of the calendars to fetch (default is every calendar in the sync
+     *   graph).
+     * @param {Map} [params.eventsByCalendar] - The events fetched earlier in the same run, extended in place.
+     * @returns {Map} - A map where the key is the calendar ID and the value holds its `pastEvents`, `activeEvents` and
+     *   `instanceIndex`.
+     */
+    const fetchEventsFromAllCalendars = ({ window, report, timer, ids = calendarIds, eventsByCalendar = new Map() }) => {
+        ids.filter(calendarId => !eventsByCalendar.has(calendarId)).forEach(calendarId => {
+            try {
+                eventsByCalendar.set(calendarId, fetchEventsFromCalendar({
+                    calendarId,
+                    lookBackDate: window.start,
+                    lookAheadDate: window.end,
+                    timer
+                }));
+            } catch (error) {
+                recordError(report, error, { calendarId });
+            }
+        });
+        return eventsByCalendar;
+    };
+
+    /**
+     * Creates a planned action. Every change to a calendar is first described as an action, so a synchronization
+     * can be reviewed (dry run) before anything is written.
+     *
+     * @param {Object} params - The parameters for the action.
+     * @param {string} params.type - The type of the action: `create`, `update` or `delete`.
+     * @param {string} params.reason - Why the action is needed (e.g. `expired`, `source-changed`, `not-blocked`).
+     * @param {string} params.calendarId - The ID of the target calendar that will be changed.
+     * @param {string} params.sourceCalendarId - The ID of the calendar where the original event lives.
+     * @param {string} params.sourceEventId - The ID of the original event.
+     * @param {string} [params.sourceEventKey] - The key that identifies the original event (instance).
+     * @param {Array<string>} [params.sourceEventKeys] - The keys of all source events of a merged block (create,
+     *   update).
+     * @param {number} [params.blockPart=0] - The part of a block that was cut into parts by the working hours.
+     * @param {string} params.title - The title of the blocking event.
+     * @param {Date} params.startTime - The start time of the blocking event.
+     * @param {Date} params.endTime - The end time of the blocking event.
+     * @param {Object} [params.block] - The rendered look of the blocking event (create, update).
+     * @param {string} [params.sourceHash] - The hash of the source events of the block (create, update; see
+     *   `getSourceHash`).
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} [params.event] - The blocking event to change (update, delete).
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} [params.sourceEvent] - The source event to block (create).
+     * @param {boolean} [params.series=false] - Whether the action creates or deletes a whole block series.
+     * @param {string} [params.recurringEventId] - The API ID of the source series to copy the recurrence from
+     *   (create of a block series).
+     * @returns {Object} - The planned action.
+     */
+    const createAction = ({ type, reason, calendarId, sourceCalendarId, sourceEventId, sourceEventKey, sourceEventKeys, blockPart = 0, title, startTime, endTime, block, sourceHash, event, sourceEvent, series = false, recurringEventId }) => ({
+        type,
+        reason,
+        calendarId,
+        sourceCalendarId,
+        sourceEventId,
+        sourceEventKey,
+        sourceEventKeys,
+        blockPart,
+        title,
+        startTime,
+        endTime,
+        block,
+        sourceHash,
+        event,
+        sourceEvent,
+        series,
+        recurringEventId
+    });
+
+    /**
+     * Describes a planned action without the calendar objects it refers to, so it can be logged or reviewed.
+     * An `update` also describes the title and times of the blocking event before the update, and a merged or cut
+     * block the keys of all its source events and its part.
+     *
+     * @param {Object} action - The planned action.
+     * @returns {Object} - A plain copy of the action.
+     */
+    const describeAction = ({ type, reason, calendarId, sourceCalendarId, sourceEventId, sourceEventKey, sourceEventKeys, blockPart, title, startTime, endTime, event, series }) => {
+        const description = { type, reason, calendarId, sourceCalendarId, sourceEventId, sourceEventKey, title, startTime, endTime };
+
+        if (series) {
+            description.series = true;
+        }
+        if (sourceEventKeys && sourceEventKeys.length > 1) {
+            description.sourceEventKeys = sourceEventKeys;
+        }
+        if (blockPart) {
+            description.blockPart = blockPart;
+        }
+
+        if (type === 'update') {
+            description.previousTitle = event.getTitle();
+            description.previousStartTime = event.getStartTime();
+            description.previousEndTime = event.getEndTime();
+        }
+
+        return description;
+    };
+
+    /**
+     * Creates a planned `delete` action for a blocking event.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The blocking event to delete.
+     * @param {string} calendarId - The ID of the calendar that holds the blocking event.
+     * @param {string} reason - Why the blocking event is deleted.
+     * @param {string} [sourceEventKey] - The key of the source event (instance) the block was created for.
+     * @param {boolean} [series=false] - Delete the whole block series the event is an instance of.
+     * @returns {Object} - The planned action.
+     */
+    const createDeleteAction = (event, calendarId, reason, sourceEventKey, series = false) => createAction({
+        type: 'delete',
+        reason,
+        calendarId,
+        sourceCalendarId: event.getTag('sourceCalendarId'),
+        sourceEventId: event.getTag('sourceEventId'),
+        sourceEventKey,
+        series,
+        title: event.getTitle(),
+        startTime: event.getStartTime(),
+        endTime: event.getEndTime(),
+        event
+    });
+
+    /**
+     * Plans the removal of expired blocking events from every target calendar in the sync graph.
+     * Expired blocking events are those created by this script in a target calendar that have passed their end time.
+     *
+     * @param {Object} params - The parameters for planning the removal of expired blocking events.
+     * @param {Map} params.eventsByCalendar - The past and active events per calendar ID.
+     * @param {Object} params.report - The report of the run.
+     * @param {Object} params.timer - The timer of the run.
+     * @param {Array<Object>} [params.edges] - The sync directions to plan (default is the whole sync graph).
+     * @returns {Array<Object>} - The planned `delete` actions.
+     */
+    const planExpiredBlockingEvents = ({ eventsByCalendar, report, timer, edges = syncGraph }) => {
+        timer.time('planExpiredBlockingEvents'); // Start timing the planning process
+
+        /**
+         * Finds expired blocking events in a specific calendar.
+         *
+         * @param {Array} events - The list of past events to check for expiration.
+         * @param {string} sourceCalendarId - The ID of the calendar that originally created these blocking events.
+         * @param {string} calendarId - The ID of the calendar where the events would be removed.
+         * @returns {Array<Object>} - The planned `delete` actions.
+         */
+        const planForCalendar = (events, sourceCalendarId, calendarId) => {
+            const now = new Date(); // Get the current date and time
+            const { instanceIndex } = eventsByCalendar.get(calendarId);
+
+            // Check the events to find those that should be deleted
+            const actions = [];
+            forEachEvent(events, report, calendarId, event => {
+                const sourceCalendarIdTag = event.getTag('sourceCalendarId');
+
+                // Identify events that were created by this instance and are now expired. Past instances of a block
+                // series are kept, like those of any recurring event.
+                if (isOwnBlockingEvent(event) && sourceCalendarIdTag === sourceCalendarId && event.getEndTime() < now
+                    && event.getTag('blockSeries') !== 'true') {
+                    actions.push(createDeleteAction(event, calendarId, 'expired', getBlockedEventKey(event, new Map(), instanceIndex)));
+                }
+            });
+
+            // Log the number of expired blocking events found in the calendar
+            console.log(`Found ${actions.length} expired blocking events in calendar ${calendarId} (source calendar ${sourceCalendarId})`);
+
+            return actions;
+        };
+
+        // Find expired blocking events in each target calendar that were created based on events from its source calendar
+        const actions = edges.flatMap(({ sourceCalendarId, targetCalendarId }) =>
+            planForCalendar(eventsByCalendar.get(targetCalendarId).pastEvents, sourceCalendarId, targetCalendarId));
+
+        timer.timeEnd('planExpiredBlockingEvents'); // End timing the planning process
+
+        return actions;
+    };
+
+    /**
+     * Returns the original start time of an event: the start time its series gave it, or its start time when it is
+     * not an instance of a series (or the index does not know the instance).
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The event.
+     * @param {Map} instanceIndex - The index of the recurring instances in its calendar (see `buildInstanceIndex`).
+     * @returns {number} - The original start time in milliseconds.
+     */
+    const getOriginalStartTime = (event, instanceIndex) => {
+        const startTime = event.getStartTime().getTime();
+        const instance = instanceIndex.get(`${event.getId()}_${startTime}`);
+        return instance ? instance.originalStartTime : startTime;
+    };
+
+    /**
+     * Returns the key that identifies a source event across synchronizations.
+     * A single event keeps its ID when it moves, so the ID alone is used. The instances of a recurring event share
+     * the ID of their series, so the original start time of the instance is added to tell them apart. A moved
+     * instance keeps its original start time, so it keeps its key.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} sourceEvent - The source event.
+     * @param {Map} instanceIndex - The index of the recurring instances in the source calendar.
+     * @returns {string} - The key of the source event.
+     */
+    const getSourceEventKey = (sourceEvent, instanceIndex) => sourceEvent.isRecurringEvent()
+        ? `${sourceEvent.getId()}_${getOriginalStartTime(sourceEvent, instanceIndex)}`
+        : sourceEvent.getId();
+
+    /**
+     * Returns the key of the source event a blocking event was created for.
+     * An instance of a block series shares its tags with the whole series, so it is keyed by the source series and its
+     * own original start time, which is the original start time of its source instance. Blocks created before the
+     * `sourceEventKey` tag existed are keyed by their source event ID and start time.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The blocking event.
+     * @param {Map} sourceEventMap - The source events by key, to recognize blocks of single events.
+     * @param {Map} instanceIndex - The index of the recurring instances in the target calendar.
+     * @returns {string} - The key of the source event.
+     */
+    const getBlockedEventKey = (event, sourceEventMap, instanceIndex) => {
+        const sourceEventKey = event.getTag('sourceEventKey');
+        if (sourceEventKey) {
+            return sourceEventKey;
+        }
+
+        const sourceEventId = event.getTag('sourceEventId');
+        if (event.getTag('blockSeries') === 'true') {
+            return `${sourceEventId}_${getOriginalStartTime(event, instanceIndex)}`;
+        }
+
+        return sourceEventMap.has(sourceEventId)
+            ? sourceEventId
+            : `${sourceEventId}_${event.getStartTime().getTime()}`;
+    };
+
+    /**
+     * Plans blocking events in every target calendar of the sync graph based on the events from its source calendar.
+     *
+     * Every blocking event is reconciled with its source event by the key of the source event:
+     * - a source event without a blocking event gets a new blocking event (`create`),
+     * - a blocking event whose source event moved or was renamed, or whose template changed, is patched in place
+     *   (`update`),
+     * - a blocking event whose source event is really gone or no longer passes the filter rules, or a second block
+     *   for the same source event, is removed (`delete`).
+     *
+     * The times of a block follow the availability rules of the direction (see `shapeBlocks`): a padded, merged or cut
+     * block is compared with the times it should have, not with the times of its source event. A merged block keeps
+     * the key of its first source event; the blocks of the other source events are removed (`merged`), and so are
+     * the blocks of source events outside working hours (`outside-working-hours`).
+     *
+     * This ensures that no double-booking occurs, without the churn of deleting and recreating blocks when a source
+     * event moves. Blocking events are never mirrored again, so every block always refers to the calendar where the
+     * original event lives.
+     *
+     * In an incremental sync, blocks of source events that did not change since the watermark of their calendar are
+     * kept as they are. Missing blocks are still created, and blocks of deleted source events are still removed.
+     *
+     * Every direction only reconciles the source events and blocks in its own window; blocks outside it are left as
+     * they are.
+     *
+     * @param {Object} params - The parameters for planning blocking events.
+     * @param {Object} params.window - The window of the run, with the window of every direction (see `createWindow`).
+     * @param {Map} params.eventsByCalendar - The past and active events per calendar ID.
+     * @param {Map|null} params.changedSince - Only reconcile source events updated since the watermark (a Date) of
+     *   their calendar (null for all). Calendars without a watermark are reconciled in full.
+     * @param {Object} params.report - The report of the run; source events skipped by the filter rules are counted,
+     *   and events that cannot be read are recorded as errors.
+     * @param {Object} params.timer - The timer of the run.
+     * @param {Array<Object>} [params.edges] - The sync directions to plan (default is the whole sync graph).
+     * @returns {Array<Object>} - The planned `delete`, `update` and `create` actions.
+     */
+    const planBlockingEvents = ({ window, eventsByCalendar, changedSince, report, timer, edges = syncGraph }) => {
+        timer.time('planBlockingEvents'); // Start timing the process of planning blocking events
+
+        if (changedSince) {
+            console.log('Reconciling source events changed since the previous run');
+        }
+
+        /**
+         * Looks up a single source event that is no longer in the fetched window, e.g. because it moved outside of it.
+         *
+         * @param {Object} edge - The sync direction, with its `sourceCalendarId` and `availability` rules.
+         * @param {string} sourceEventId - The ID of the source event.
+         * @returns {GoogleAppsScript.Calendar.CalendarEvent|null} - The source event, or null when it is really gone.
+         */
+        const findMovedSourceEvent = ({ sourceCalendarId, availability }, sourceEventId) => {
+            const sourceEvent = sourceEventId
+                ? withRetry(() => calendars.get(sourceCalendarId).getEventById(sourceEventId), `Looking up source event ${sourceEventId}`)
+                : null;
+            if (!sourceEvent || sourceEvent.isRecurringEvent() || sourceEvent.getTag('blocked') === 'true') {
+                return null;
+            }
+
+            // A source event that moved into the past no longer needs a block, once its padding has ended as well
+            return getPaddedTimes(sourceEvent, availability).endTime < Date.now() ? null : sourceEvent;
+        };
+
+        /**
+         * Plans the blocking events in the target calendar for events in the source calendar.
+         *
+         * @param {Object} edge - The sync direction, with its `sourceCalendarId`, `targetCalendarId`, `filter` rules,
+         *   `busyStatus` mapping, `blockTemplate` and `recurringBlocks` mode.
+         * @param {Object} source - The fetched source calendar: its `activeEvents` might require blocking.
+         * @param {Object} target - The fetched target calendar: its `activeEvents` hold the blocking events.
+         * @returns {Array<Object>} - The planned actions.
+         */
+        const planBlocks = (edge, source, target) => {
+            const { sourceCalendarId, targetCalendarId, filter, busyStatus, availability, recurringBlocks } = edge;
+            const now = new Date(); // Current date and time
+            const edgeWindow = window.edges.get(edge);
+            const sourceChangedSince = changedSince && changedSince.get(sourceCalendarId);
+
+            // Map the source events that need blocking by their key, and remember the keys of filtered events and the
+            // IDs of source events that cannot be read
+            const sourceEventMap = new Map();
+            const filteredEventKeys = new Set();
+            const unreadableEventIds = new Set();
+            const endedEventMap = new Map();
+            // Events that have ended still need their block while its padding runs
+            const sourceEvents = [...source.pastEvents, ...source.activeEvents].filter(event => isInWindow(event, edgeWindow));
+            forEachEvent(sourceEvents, report, sourceCalendarId, sourceEvent => {
+                // Skip blocking events created by this script, so blocks are never mirrored again
+                const isBlockingEvent = sourceEvent.getTag('blocked') === 'true';
+                if (isBlockingEvent) {
+                    return;
+                }
+
+                // Events whose block has already ended need no block of their own. When blocks are merged, they are
+                // still shaped, so a merged block keeps the key of its first source event until the whole block ends.
+                if (getPaddedTimes(sourceEvent, availability).endTime < now.getTime()) {
+                    if (availability.merge && !getFilterReason(sourceEvent, filter, busyStatus)) {
+                        endedEventMap.set(getSourceEventKey(sourceEvent, source.instanceIndex), sourceEvent);
+                    }
+                    return;
+                }
+
+                // Skip events excluded by the filter rules of this direction
+                if (getFilterReason(sourceEvent, filter, busyStatus)) {
+                    filteredEventKeys.add(getSourceEventKey(sourceEvent, source.instanceIndex));
+                    countInReport(report, sourceCalendarId, targetCalendarId, 'skipped', sourceEvent.getId());
+                    return;
+                }
+
+                sourceEventMap.set(getSourceEventKey(sourceEvent, source.instanceIndex), sourceEvent);
+            }, eventId => unreadableEventIds.add(eventId));
+
+            // Shape the source events into the blocks they need: padded, merged and cut to the working hours. Blocks
+            // (or parts of cut blocks) that have already ended are left to `planExpiredBlockingEvents`.
+            const shaped = shapeBlocks([...endedEventMap.entries(), ...sourceEventMap.entries()], edge);
+            const { blockKeys, outsideKeys } = shaped;
+            const blocks = new Map([...shaped.blocks].filter(([, shape]) => shape.endTime >= now));
+            outsideKeys.forEach(sourceEventKey => {
+                if (sourceEventMap.has(sourceEventKey)) {
+                    countInReport(report, sourceCalendarId, targetCalendarId, 'skipped', sourceEventMap.get(sourceEventKey).getId());
+                }
+            });
+
+            const deleteActions = [];
+            const updateActions = [];
+            const blockedEventKeys = new Set();
+            const blockedSeriesIds = new Set();
+
+            // Reconcile every blocking event created by this instance for this source calendar with its source event
+            forEachEvent(target.activeEvents.filter(event => isInWindow(event, edgeWindow)), report, targetCalendarId, event => {
+                if (!isOwnBlockingEvent(event) || event.getTag('sourceCalendarId') !== sourceCalendarId) {
+                    return;
+                }
+
+                // Remember the source series that have a block series, so no second one is created
+                if (event.getTag('blockSeries') === 'true') {
+                    blockedSeriesIds.add(event.getTag('sourceEventId'));
+                }
+
+                // Keep the blocks of source events that cannot be read in this run as they are
+                if (unreadableEventIds.has(event.getTag('sourceEventId'))) {
+                    return;
+                }
+
+                const sourceEventKey = getBlockedEventKey(event, sourceEventMap, target.instanceIndex);
+                const blockPart = Number(event.getTag('blockPart')) || 0;
+                const blockKey = blockPart ? `${sourceEventKey}#${blockPart}` : sourceEventKey;
+
+                // Only one blocking event per source event (or part of a cut block) is kept
+                if (blockedEventKeys.has(blockKey)) {
+                    deleteActions.push(createDeleteAction(event, targetCalendarId, 'duplicate', sourceEventKey));
+                    return;
+                }
+
+                // Remove blocks of source events that no longer pass the filter rules
+                if (filteredEventKeys.has(sourceEventKey)) {
+                    deleteActions.push(createDeleteAction(event, targetCalendarId, 'filtered', sourceEventKey));
+                    return;
+                }
+
+                // The source event is still there, but its block is no longer needed: it was merged into the block of
+                // another source event, it is outside working hours, or its block was cut into fewer parts
+                if (sourceEventMap.has(sourceEventKey) && !blocks.has(blockKey)) {
+                    let reason = 'source-changed';
+                    if (outsideKeys.has(sourceEventKey)) {
+                        reason = 'outside-working-hours';
+                    } else if (blockKeys.get(sourceEventKey) !== sourceEventKey) {
+                        reason = 'merged';
+                    }
+                    deleteActions.push(createDeleteAction(event, targetCalendarId, reason, sourceEventKey));
+                    return;
+                }
+
+                let shape = blocks.get(blockKey);
+                if (!shape) {
+                    const sourceEvent = findMovedSourceEvent(edge, event.getTag('sourceEventId'));
+
+                    // Mark as obsolete if the source event (instance) is really gone, e.g. cancelled or cut off its series
+                    if (!sourceEvent) {
+                        deleteActions.push(createDeleteAction(event, targetCalendarId, 'source-deleted', sourceEventKey));
+                        return;
+                    }
+
+                    if (getFilterReason(sourceEvent, filter, busyStatus)) {
+                        deleteActions.push(createDeleteAction(event, targetCalendarId, 'filtered', sourceEventKey));
+                        return;
+                    }
+
+                    // A source event that moved out of the window is shaped on its own
+                    shape = shapeBlocks([[sourceEventKey, sourceEvent]], edge).blocks.get(blockKey);
+                    if (!shape) {
+                        deleteActions.push(createDeleteAction(event, targetCalendarId, 'outside-working-hours', sourceEventKey));
+                        return;
+                    }
+                }
+
+                blockedEventKeys.add(blockKey);
+
+                // In an incremental sync, the block of unchanged source events is kept as it is
+                if (sourceChangedSince && shape.sourceEvents.every(sourceEvent => sourceEvent.getLastUpdated() < sourceChangedSince)) {
+                    return;
+                }
+
+                const { sourceEvent } = shape;
+                const block = renderBlock(sourceEvent, edge, shape.sourceEvents);
+                const hasMoved = shape.startTime.getTime() !== event.getStartTime().getTime()
+                    || shape.endTime.getTime() !== event.getEndTime().getTime();
+                const hasNewStyle = block.style !== (event.getTag('blockStyle') || defaultBlockStyleKey);
+                const hasNewTitle = block.title !== event.getTitle();
+
+                // An instance of a block series carries the tags of the whole series, so only single blocks are
+                // upgraded and keep a source hash
+                const isSingleBlock = event.getTag('blockSeries') !== 'true';
+                const sourceHash = isSingleBlock ? getSourceHash(shape.sourceEvents) : undefined;
+                const isOutdated = isSingleBlock && event.getTag('schemaVersion') !== blockSchemaVersion;
+                const hasNewSource = isSingleBlock && !isOutdated && event.getTag('sourceHash') !== sourceHash;
+
+                // The transparency of a block series is set when it is created, so only single blocks follow the
+                // busy status of their source events. A title that only gained or lost the tentative prefix also
+                // counts as a new status.
+                const hasNewTransparency = isSingleBlock && !isEnumValue(event.getTransparency(), block.transparency);
+                const withoutPrefix = (title) => busyStatus.tentativePrefix && title.startsWith(busyStatus.tentativePrefix)
+                    ? title.slice(busyStatus.tentativePrefix.length)
+                    : title;
+                const hasNewStatus = hasNewTransparency || (hasNewTitle && withoutPrefix(block.title) === withoutPrefix(event.getTitle()));
+
+                // Patch the blocking event when its source event moved or was renamed, your response to it changed,
+                // the template changed, or the block was created by an older version
+                if (hasMoved || hasNewStyle || hasNewTitle || hasNewTransparency || hasNewSource || isOutdated) {
+                    let reason = 'source-changed';
+                    if (hasNewStyle && !hasMoved) {
+                        reason = 'template-changed';
+                    } else if (hasNewStatus && !hasMoved) {
+                        reason = 'status-changed';
+                    } else if (isOutdated && !hasMoved && !hasNewTitle) {
+                        reason = 'schema-upgraded';
+                    }
+
+                    updateActions.push(createAction({
+                        type: 'update',
+                        reason,
+                        calendarId: targetCalendarId,
+                        sourceCalendarId,
+                        sourceEventId: sourceEvent.getId(),
+                        sourceEventKey,
+                        sourceEventKeys: shape.sourceEventKeys,
+                        blockPart,
+                        title: block.title,
+                        startTime: shape.startTime,
+                        endTime: shape.endTime,
+                        block,
+                        sourceHash,
+                        event
+                    }));
+                }
+            });
+
+            // Create blocking events for the source events that are not blocked yet
+            const createActions = [];
+            const plannedSeriesIds = new Set();
+            blocks.forEach((shape, blockKey) => {
+                if (blockedEventKeys.has(blockKey)) {
+                    return;
+                }
+
+                const { sourceEvent, sourceEventKey } = shape;
+
+                // In series mode, a source series without a block series gets one block series for all its instances.
+                // An instance that is missing from an existing block series gets a single block.
+                const instance = sourceEvent.isRecurringEvent()
+                    && source.instanceIndex.get(`${sourceEvent.getId()}_${sourceEvent.getStartTime().getTime()}`);
+                const seriesId = sourceEvent.getId();
+                const isNewSeries = recurringBlocks === 'series' && Boolean(instance) && !blockedSeriesIds.has(seriesId);
+                if (isNewSeries && plannedSeriesIds.has(seriesId)) {
+                    return;
+                }
+
+                let block;
+                try {
+                    block = renderBlock(sourceEvent, edge, shape.sourceEvents);
+                } catch (error) {
+                    recordError(report, error, { calendarId: sourceCalendarId, eventId: getEventIdSafely(sourceEvent) });
+                    return;
+                }
+
+                if (isNewSeries) {
+                    plannedSeriesIds.add(seriesId);
+                }
+
+                createActions.push(createAction({
+                    type: 'create',
+                    reason: 'not-blocked',
+                    calendarId: targetCalendarId,
+                    sourceCalendarId,
+                    sourceEventId: seriesId,
+                    sourceEventKey: isNewSeries ? seriesId : sourceEventKey,
+                    sourceEventKeys: shape.sourceEventKeys,
+                    blockPart: shape.part,
+                    title: block.title,
+                    startTime: shape.startTime,
+                    endTime: shape.endTime,
+                    block,
+                    sourceHash: isNewSeries ? undefined : getSourceHash(shape.sourceEvents),
+                    sourceEvent,
+                    series: isNewSeries,
+                    recurringEventId: isNewSeries ? instance.recurringEventId : undefined
+                }));
+            });
+
+            // Log the number of planned changes for this direction
+            console.log(`Planned ${createActions.length} new, ${updateActions.length} updated and ${deleteActions.length} obsolete blocking events in calendar ${targetCalendarId} (source calendar ${sourceCalendarId})`);
+
+            return [...deleteActions, ...updateActions, ...createActions];
+        };
+
+        // Plan blocking events in each target calendar based on the events from its source calendar
+        const actions = edges.flatMap(edge =>
+            planBlocks(edge, eventsByCalendar.get(edge.sourceCalendarId), eventsByCalendar.get(edge.targetCalendarId)));
+
+        timer.timeEnd('planBlockingEvents'); // End timing the process of planning blocking events
+
+        return actions;
+    };
+
+    /**
+     * Applies the rendered block to a blocking event: its description, colour, visibility and reminders.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The blocking event.
+     * @param {Object} block - The rendered block (see `renderBlock`).
+     * @param {boolean} isNew - Whether the event was just created, with the defaults of its calendar.
+     */
+    const applyBlockStyle = (event, block, isNew) => {
+        if (!isNew) {
+            event.setDescription(block.description);
+        }
+        if (block.color) {
+            event.setColor(block.color);
+        }
+        if (block.visibility || !isNew) {
+            event.setVisibility(block.visibility || calendarBackend.Visibility.DEFAULT);
+        }
+        if (!block.reminders) {
+            event.removeAllReminders();
+        } else if (!isNew) {
+            event.resetRemindersToDefault();
+        }
+    };
+
+    /**
+     * Creates a block series that copies the recurrence of a source series, including its cancelled instances.
+     * Moved instances start at their original time in the block series, and are moved with their source instance by
+     * the next synchronization.
+     *
+     * @param {Object} action - The planned `create` action of the block series.
+     * @returns {string} - The ID of the block series.
+     */
+    const createBlockSeries = (action) => {
+        const { block } = action;
+
+        const eventSeries = withRetry(() => calendarBackend.createEventSeries(action.calendarId, {
+            sourceCalendarId: action.sourceCalendarId,
+            recurringEventId: action.recurringEventId,
+            title: block.title,
+            description: block.description
+        }), `Creating blocking series in calendar ${action.calendarId}`);
+
+        // Tag and style the series, so every instance carries the tags of the series
+        withRetry(() => {
+            eventSeries.setTag('blocked', 'true');
+            eventSeries.setTag('blockSeries', 'true');
+            eventSeries.setTag('sourceEventId', action.sourceEventId);
+            eventSeries.setTag('sourceCalendarId', action.sourceCalendarId);
+            eventSeries.setTag('syncInstanceId', instanceId);
+            eventSeries.setTag('schemaVersion', blockSchemaVersion);
+
+            applyBlockStyle(eventSeries, block, true);
+            eventSeries.setTag('blockStyle', block.style);
+        }, `Tagging blocking series ${eventSeries.getId()}`);
+
+        console.log(`Created blocking series from ${action.startTime.toDateString()} in calendar ${action.calendarId} from source calendar ${action.sourceCalendarId}`);
+
+        return eventSeries.getId();
+    };
+
+    /**
+     * Tags an event as a blocking event of this instance for the source event of an action: its ownership, its source
+     * and the schema version of its tags, which is set last.
+     *
+     * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The blocking event.
+     * @param {Object} action - The planned `create` or `update` action.
+     */
+    const tagBlockingEvent = (event, action) => {
+        event.setTag('blocked', 'true');
+        event.setTag('syncInstanceId', instanceId);
+        event.setTag('sourceEventId', action.sourceEventId);
+        event.setTag('sourceCalendarId', action.sourceCalendarId);
+        if (action.blockPart) {
+            event.setTag('blockPart', String(action.blockPart));
+        }
+        event.setTag('schemaVersion', blockSchemaVersion);
+    };
+
+    /**
+     * Finds the event that an earlier attempt to create a block created after all: an untagged event with the title
+     * and times of the block, changed since the first attempt. The clock of the calendar server may differ a little
+     * from the clock of the script, so events changed shortly before the first attempt count as well.
+     *
+     * @param {GoogleAppsScript.Calendar.Calendar} calendar - The calendar the block was created in.
+     * @param {string} title - The title of the block.
+     * @param {Object} action - The planned `create` action, with the `startTime` and `endTime` of the block.
+     * @param {number} creationTime - The time of the first attempt, in milliseconds since the epoch.
+     * @returns {GoogleAppsScript.Calendar.CalendarEvent|null} - The created event, or null when there is none.
+     */
+    const findCreatedEvent = (calendar, title, { startTime, endTime }, creationTime) => {
+        const clockSkew = 60 * 1000;
+        return calendar.getEvents(startTime, endTime).find(event => event.getTag('blocked') === null
+            && event.getTitle() === title
+            && event.getStartTime().getTime() === startTime.getTime()
+            && event.getEndTime().getTime() === endTime.getTime()
+            && event.getLastUpdated().getTime() >= creationTime - clockSkew) || null;
+    };
+
+    /**
+     * Applies a single planned action to its calendar. Calendar operations that fail with a transient error are
+     * retried; every step is safe to repeat.
+     *
+     * @param {Object} action - The planned action.
+     * @returns {string} - The ID of the created, updated or deleted blocking event.
+     */
+    const applyAction = (action) => {
+        if (action.type === 'delete') {
+            console.log(`Deleting ${action.reason} blocking ${action.series ? 'series' : 'event'}: ${action.title} (Start: ${action.startTime}, End: ${action.endTime}) in calendar ${action.calendarId}`);
+            const eventId = action.event.getId();
+
+            // Deleting an instance of a block series only deletes that instance
+            withRetry(() => action.series ? calendarBackend.deleteEventSeries(action.calendarId, action.event) : action.event.deleteEvent(), `Deleting blocking event ${eventId}`);
+            return eventId;
+        }
 
-    // Validate that the primary calendar was successfully retrieved
-    if (!primaryCalendar) {
-        throw new Error(`Primary calendar with ID ${primaryCalendarId} not found`);
-    }
+        if (action.type === 'update') {
+            const { event, block } = action;
 
-    // Validate that the remote calendar was successfully retrieved
-    if (!remoteCalendar) {
-        throw new Error(`Remote calendar with ID ${remoteCalendarId} not found`);
-    }
+            // Patch the existing blocking event, so it keeps its ID and the slot never shows as free. The changes are
+            // written at once where the backend can (see `batchWrites`).
+            withRetry(() => calendarBackend.batchWrites(action.calendarId, event, () => {
+                event.setTime(action.startTime, action.endTime);
+                if (event.getTitle() !== block.title) {
+                    event.setTitle(block.title);
+                }
+
+                // Re-render the rest of the block when the template changed; the style tag is set last, so a block
+                // that was only partly re-rendered is re-rendered again
+                if (event.getTag('blockStyle') !== block.style) {
+                    applyBlockStyle(event, block, false);
+                    event.setTag('blockStyle', block.style);
+                }
+                if (event.getTag('blockSeries') !== 'true' && !isEnumValue(event.getTransparency(), block.transparency)) {
+                    event.setTransparency(block.transparency);
+                }
+                event.setTag('sourceEventKey', action.sourceEventKey);
+                if (action.sourceHash && event.getTag('sourceHash') !== action.sourceHash) {
+                    event.setTag('sourceHash', action.sourceHash);
+                }
+
+                // Tag a block of an older version (or an untagged block that is adopted) as a block of this instance;
+                // the schema version is set last, so a block that was only partly tagged is tagged again
+                if (event.getTag('blockSeries') !== 'true' && event.getTag('schemaVersion') !== blockSchemaVersion) {
+                    tagBlockingEvent(event, action);
+                }
+            }), `Updating blocking event ${event.getId()}`);
+
+            console.log(`Updated blocking event to ${action.startTime} - ${action.endTime} in calendar ${action.calendarId} from source calendar ${action.sourceCalendarId}`);
+            return event.getId();
+        }
+
+        const { block } = action;
 
-    // Calculate the look-back and look-ahead dates based on the current date
-    const now = new Date();  // Current date and time
-    const lookBackDate = new Date(now.getTime() - lookBackPeriod); // Date/time from which to start looking back
-    const lookAheadDate = new Date(now.getTime() + lookAheadPeriod); // Date/time up to which to look ahead
+        if (action.series) {
+            return createBlockSeries(action);
+        }
+
+        // Create a new event in the target calendar with the rendered title and description and same start/end times.
+        // A creation that failed with a transient error may still have created the event, e.g. when the request timed
+        // out after the server handled it. Before a retry, the calendar is searched for that event, so a retry never
+        // leaves a second, untagged event behind.
+        const calendar = calendars.get(action.calendarId);
+        const creationTime = Date.now();
+        let attempt = 0;
+        const newEvent = withRetry(() => {
+            const createdEvent = attempt++ > 0 ? findCreatedEvent(calendar, block.title, action, creationTime) : null;
+            return createdEvent || calendar.createEvent(
+                block.title,
+                action.startTime,
+                action.endTime,
+                { description: block.description }
+            );
+        }, `Creating blocking event in calendar ${action.calendarId}`);
+
+        withRetry(() => calendarBackend.batchWrites(action.calendarId, newEvent, () => {
+            // Tag the new event first to indicate it's a blocking event and reference the source event, so the next
+            // run recognizes it even when the rest fails
+            tagBlockingEvent(newEvent, action);
+            newEvent.setTag('sourceEventKey', action.sourceEventKey);
+            newEvent.setTag('sourceHash', action.sourceHash);
 
+            // Apply the rest of the template; the style tag is set last, so the next run re-renders a partly styled block
+            applyBlockStyle(newEvent, block, true);
+            newEvent.setTag('blockStyle', block.style);
+
+            // New events are busy; a block of free or tentative source events may show as free
+            if (!isEnumValue(block.transparency, calendarBackend.EventTransparency.OPAQUE)) {
+                newEvent.setTransparency(block.transparency);
+            }
+        }), `Tagging blocking event ${newEvent.getId()}`);
+
+        // Log the creation of the blocking event
+        console.log(`Created blocking event on ${action.startTime.toDateString()} in calendar ${action.calendarId} from source calendar ${action.sourceCalendarId}`);
+
+        return newEvent.getId();
+    };
 
     /**
-     * Fetches events from a specified calendar within a given time range, then separates them into past and active events.
+     * Returns the key that identifies an action across runs, for the quarantine.
      *
-     * @param {Object} params - The parameters for fetching events.
-     * @param {string} params.calendarId - The ID of the calendar from which to fetch events.
-     * @param {Date} params.lookBackDate - The start date from which to fetch past events.
-     * @param {Date} params.lookAheadDate - The end date up to which to fetch future events.
-     * @returns {Object} - An object containing two arrays: `pastEvents` and `activeEvents`.
+     * @param {Object} action - The planned action.
+     * @returns {string} - The key of the action.
      */
-    const fetchEventsFromCalendar = ({ calendarId, lookBackDate, lookAheadDate }) => {
-        console.time(`Fetching events from calendar ${calendarId}`); // Start timing the fetch process
+    const getActionKey = (action) => action.event
+        ? `${action.type}:${action.calendarId}:${action.event.getId()}`
+        : `${action.type}:${action.calendarId}:${action.sourceCalendarId}:${action.sourceEventKey}${action.blockPart ? `#${action.blockPart}` : ''}`;
 
-        // Attempt to retrieve the calendar object by its ID
-        const calendar = CalendarApp.getCalendarById(calendarId);
-        if (!calendar) {
-            // Log an error if the calendar was not found and return an empty array
-            console.error(`Calendar with ID ${calendarId} not found`);
-            console.timeEnd(`Fetching events from calendar ${calendarId}`); // End timing with an error
-            return [];
+    /**
+     * Applies planned actions to the calendars, in the order they were planned, and counts them in the report.
+     * A failing action is recorded in the report and does not stop the others. Actions that failed in too many runs
+     * are quarantined: they are listed in the report instead of attempted. With a time budget, every action is
+     * checked against the deadline before it is written, and the remaining actions are left for the next run.
+     *
+     * @param {Array<Object>} actions - The planned actions.
+     * @param {Object} report - The report of the run.
+     * @param {Object} timer - The timer of the run.
+     * @param {Object} quarantine - The quarantine of the run (see `createQuarantine`).
+     * @param {Object} [budget] - The time budget of the run (see `createTimeBudget`), or null for no limit.
+     * @returns {number} - The number of applied actions.
+     */
+    const applyActions = (actions, report, timer, quarantine, budget = null) => {
+        timer.time('applyActions'); // Start timing the process of applying the actions
+
+        let appliedCount = 0;
+        for (const action of actions) {
+            // Stop when the next write is expected to run past the deadline
+            if (budget && !budget.fits('write')) {
+                break;
+            }
+
+            appliedCount++;
+            const actionKey = getActionKey(action);
+
+            if (quarantine.isQuarantined(actionKey)) {
+                console.warn(`Skipping quarantined action ${actionKey}`);
+                report.quarantined.push(describeAction(action));
+                continue;
+            }
+
+            // Describe the action before it is applied, so an update describes the blocking event as it was
+            let description = null;
+            try {
+                description = describeAction(action);
+                const eventId = budget ? budget.measure('write', () => applyAction(action)) : applyAction(action);
+                quarantine.recordSuccess(actionKey);
+
+                countInReport(report, action.sourceCalendarId, action.calendarId, `${action.type}d`, eventId);
+                report.actions.push(description);
+            } catch (error) {
+                const failedRuns = quarantine.recordFailure(actionKey, error);
+                recordError(report, error, {
+                    action: description || describeAction(action),
+                    failedRuns,
+                    quarantined: quarantineAfter > 0 && failedRuns >= quarantineAfter
+                });
+            }
         }
 
-        // Fetch events within the specified time range (from lookBackDate to lookAheadDate)
-        const events = calendar.getEvents(lookBackDate, lookAheadDate);
-
-        // Get the current date and time to determine if events are past or active
-        const now = new Date();
-
-        // Filter the events into past events (those that have ended) and active events (those that are ongoing or upcoming)
-        const pastEvents = events.filter(event => event.getEndTime() < now);
-        const activeEvents = events.filter(event => event.getEndTime() >= now);
+        timer.timeEnd('applyActions'); // End timing the process of applying the actions
 
-        // Log the number of events fetched and the breakdown of past vs. active events
-        console.log(`Fetched ${events.length} events from calendar ${calendarId} - Past events: ${pastEvents.length}, Active events: ${activeEvents.length}`);
+        return appliedCount;
+    };
 
-        console.timeEnd(`Fetching events from calendar ${calendarId}`); // End timing the fetch process
+    /**
+     * Logs planned actions without applying them (dry run), and counts them in the report.
+     *
+     * @param {Array<Object>} actions - The planned actions.
+     * @param {Object} report - The report of the run.
+     */
+    const logActions = (actions, report) => {
+        actions.forEach(action => {
+            console.log(`[dry run] Would ${action.type} ${action.reason} blocking event: ${action.title} (Start: ${action.startTime}, End: ${action.endTime}) in calendar ${action.calendarId}`);
 
-        // Return an object containing the past and active events
-        return { pastEvents, activeEvents };
+            countInReport(report, action.sourceCalendarId, action.calendarId, `${action.type}d`, action.event ? action.event.getId() : null);
+            report.actions.push(describeAction(action));
+        });
     };
 
     /**
-     * Removes expired blocking events from both the primary and remote calendars.
-     * Expired blocking events are those created by this script in either calendar that have passed their end time.
+     * Finds the calendars that changed since their watermark, so an incremental run only fetches and reconciles the
+     * directions of those calendars. Changed blocking events do not count, as they are the writes of the
+     * synchronizations themselves, but deleted ones do. Neither do events whose last change was the conflict tag the
+     * previous run wrote (see `handleConflicts`). A calendar without a watermark, or whose changes cannot be listed
+     * (e.g. an ICS feed, or a watermark that is too long ago), counts as changed and is read in full.
      *
-     * @param {Object} params - The parameters for removing expired blocking events.
-     * @param {Array} params.pastPrimaryEvents - The past events from the primary calendar.
-     * @param {Array} params.pastRemoteEvents - The past events from the remote calendar.
-     * @param {string} params.primaryCalendarId - The ID of the primary calendar.
-     * @param {string} params.remoteCalendarId - The ID of the remote calendar.
+     * @param {Map} changedSince - The watermark (a Date) per calendar ID.
+     * @returns {Set<string>} - The IDs of the changed calendars.
      */
-    const removeExpiredBlockingEvents = ({ pastPrimaryEvents, pastRemoteEvents, primaryCalendarId, remoteCalendarId }) => {
-        console.time('Removing expired blocking events'); // Start timing the removal process
+    const findChangedCalendars = (changedSince) => {
+        const changedCalendarIds = new Set();
+        const tagWrites = stateStore.get(`${stateKey}:tagWrites`) || {};
 
         /**
-         * Removes expired blocking events from a specific calendar.
+         * Tells whether a change is a write of this script rather than a change to a source event.
          *
-         * @param {Array} events - The list of past events to check for expiration.
-         * @param {string} calendarId - The ID of the calendar that originally created these blocking events.
+         * @param {Object} change - The change (see `listChangedEvents`).
+         * @param {Object} ownTagWrites - The times of the tag writes of the previous run in the calendar, by event ID.
+         * @returns {boolean} - Whether the change is a write of this script.
          */
-        const removeForCalendar = (events, calendarId) => {
-            const now = new Date(); // Get the current date and time
+        const isOwnWrite = ({ eventId, deleted, tags, updated }, ownTagWrites) => !deleted
+            && (tags.blocked === 'true' || Boolean(ownTagWrites[eventId] && updated && updated.getTime() <= ownTagWrites[eventId]));
+
+        calendarIds.forEach(calendarId => {
+            const watermark = changedSince.get(calendarId);
+            if (!watermark || !calendarBackend.listChangedEvents) {
+                changedCalendarIds.add(calendarId);
+                return;
+            }
+
+            try {
+                const changes = withRetry(() => calendarBackend.listChangedEvents(calendarId, watermark),
+                    `Listing the changes in calendar ${calendarId}`);
+                if (!changes || changes.some(change => !isOwnWrite(change, tagWrites[calendarId] || {}))) {
+                    changedCalendarIds.add(calendarId);
+                }
+            } catch (error) {
+                // Fall back to the whole window of the calendar
+                console.warn(`Listing the changes in calendar ${calendarId} failed, reading it in full: ${error.message}`);
+                changedCalendarIds.add(calendarId);
+            }
+        });
 
-            // Filter the events to find those that should be deleted
-            const eventsToDelete = events.filter(event => {
-                const blockedTag = event.getTag('blocked');
-                const sourceCalendarIdTag = event.getTag('sourceCalendarId');
+        console.log(`Calendars changed since the previous run: ${[...changedCalendarIds].join(', ') || 'none'}`);
+        return changedCalendarIds;
+    };
 
-                // Identify events that were created by this script and are now expired
-                return blockedTag === 'true' && sourceCalendarIdTag === calendarId && event.getEndTime() < now;
-            });
+    /**
+     * Decides whether a run reconciles every source event (full) or only the changed ones (incremental).
+     * A full reconciliation is used when incremental sync is off, when there is no state from a previous run, when
+     * the configuration changed, or when the last full reconciliation is older than `fullSyncInterval`.
+     *
+     * @param {Date} startTime - The start time of the run.
+     * @param {boolean} [fullSync=false] - Whether a full reconciliation is requested.
+     * @returns {Object} - The `state` of the previous run, the `changedSince` watermark per calendar ID (null for a
+     *   full run) and the `changedCalendarIds` to reconcile (null for all).
+     */
+    const getSyncMode = (startTime, fullSync = false) => {
+        const state = incremental ? stateStore.get(stateKey) : null;
 
-            // Delete the identified expired blocking events
-            eventsToDelete.forEach(event => {
-                event.deleteEvent();
-            });
+        /**
+         * Completes the sync mode with the calendars that changed since their watermarks.
+         *
+         * @param {Object|null} watermarks - The watermark (in milliseconds since the epoch) per calendar ID, or null.
+         * @param {Object|null} cursor - The cursor of the run that was cut short, or null.
+         * @returns {Object} - The sync mode.
+         */
+        const toSyncMode = (watermarks, cursor) => {
+            const changedSince = watermarks
+                ? new Map(Object.entries(watermarks).map(([calendarId, time]) => [calendarId, new Date(time)]))
+                : null;
 
-            // Log the number of expired blocking events removed from the calendar
-            console.log(`Removed ${eventsToDelete.length} expired blocking events from calendar ${calendarId}`);
+            return { state, cursor, changedSince, changedCalendarIds: changedSince ? findChangedCalendars(changedSince) : null };
         };
 
-        // Remove expired blocking events in the primary calendar that were created based on events from the remote calendar
-        removeForCalendar(pastPrimaryEvents, remoteCalendarId);
+        // Continue the run that was cut short, with the same sync mode
+        const cursor = timeBudget && !fullSync ? stateStore.get(`${stateKey}:cursor`) : null;
+        if (cursor && cursor.configKey === configKey) {
+            return toSyncMode(cursor.changedSince, cursor);
+        }
 
-        // Remove expired blocking events in the remote calendar that were created based on events from the primary calendar
-        removeForCalendar(pastRemoteEvents, primaryCalendarId);
+        // State of a version with a single watermark for all calendars also starts over with a full reconciliation
+        const isFullSync = fullSync
+            || !state
+            || !state.watermarks
+            || state.configKey !== configKey
+            || startTime.getTime() - state.lastFullSync >= fullSyncInterval;
 
-        console.timeEnd('Removing expired blocking events'); // End timing the removal process
+        return toSyncMode(isFullSync ? null : state.watermarks, null);
     };
 
     /**
-     * Removes obsolete blocking events from both the primary and remote calendars.
-     * Obsolete blocking events are those where the original source event has been deleted or its time has changed.
+     * Returns the IDs of the calendars involved in the failed reads and actions of a run, including those of the
+     * earlier parts of a run that was cut short.
      *
-     * @param {Object} params - The parameters for removing obsolete blocking events.
-     * @param {Array} params.primaryEvents - The active events from the primary calendar.
-     * @param {Array} params.remoteEvents - The active events from the remote calendar.
-     * @param {string} params.primaryCalendarId - The ID of the primary calendar.
-     * @param {string} params.remoteCalendarId - The ID of the remote calendar.
+     * @param {Object} report - The report of the run.
+     * @param {Object|null} cursor - The cursor the run continued from, or null.
+     * @returns {Array<string>} - The IDs of the calendars.
      */
-    const removeObsoleteBlockingEvents = ({ primaryEvents, remoteEvents, primaryCalendarId, remoteCalendarId }) => {
-        console.time('Removing obsolete blocking events'); // Start timing the removal process
+    const getFailedCalendarIds = (report, cursor) => [...new Set([
+        ...(cursor && cursor.failedCalendarIds || []),
+        ...report.errors.flatMap(({ calendarId, action }) => action ? [action.calendarId, action.sourceCalendarId] : [calendarId])
+    ])].filter(Boolean);
 
-        const now = new Date(); // Get the current date and time
-
-        /**
-         * Creates a map of events for fast lookups by a unique key (combination of event ID and start time).
-         * This map will help quickly find corresponding events when checking for obsolescence.
-         *
-         * @param {Array} events - The list of events to map.
-         * @returns {Map} - A map where the key is the unique event ID and start time, and the value is the event object.
-         */
-        const createEventMap = (events) => {
-            const eventMap = new Map();
-            events.forEach(event => {
-                const uniqueEventId = `${event.getId()}_${event.getStartTime().getTime()}`;
-                eventMap.set(uniqueEventId, event);
-            });
-            return eventMap;
-        };
+    /**
+     * Saves the state of an incremental run, so the next run only reconciles the calendars and events changed since.
+     * The calendars of the reads and actions that failed get no watermark, so the next run reconciles them in full.
+     * The instances of the recurring series listed in this run are cached for the next runs.
+     *
+     * @param {Date} startTime - The start time of the run; changes made during the run are picked up by the next run.
+     *   A run that continues an earlier run uses the start time of the earlier run.
+     * @param {Object} syncMode - The sync mode of the run (see `getSyncMode`).
+     * @param {Object} report - The report of the run.
+     * @param {Map} eventsByCalendar - The events fetched in this run.
+     */
+    const saveSyncState = (startTime, { state, cursor, changedSince }, report, eventsByCalendar) => {
+        if (!incremental) {
+            return;
+        }
 
-        // Create maps for quick lookups of the primary and remote events by their unique IDs and start times
-        const primaryEventMap = createEventMap(primaryEvents);
-        const remoteEventMap = createEventMap(remoteEvents);
+        eventsByCalendar.forEach(({ instanceCache }, calendarId) => {
+            if (!instanceCache) {
+                return;
+            }
+
+            // The cache only saves listing instances again, so a cache that cannot be saved is no error
+            try {
+                stateStore.set(`${stateKey}:instances:${calendarId}`, instanceCache);
+            } catch (error) {
+                console.warn(`Caching the recurring instances of calendar ${calendarId} failed: ${error.message}`);
+            }
+        });
 
-        /**
-         * Removes obsolete blocking events from the calendar.
-         * Obsolete events are those that no longer match their source events in terms of existence or time.
-         *
-         * @param {Array} events - The list of events to check for obsolescence.
-         * @param {Map} sourceEventMap - A map of source events to check against.
-         * @param {string} calendarId - The ID of the calendar where the events are being removed.
-         * @param {string} sourceCalendarId - The ID of the calendar from which the original events originated.
-         */
-        const removeObsolete = (events, sourceEventMap, calendarId, sourceCalendarId) => {
-            const eventsToDelete = events.filter(event => {
-                const blockedTag = event.getTag('blocked');
-                const sourceEventId = event.getTag('sourceEventId');
-                const sourceCalendarIdTag = event.getTag('sourceCalendarId');
+        const failedCalendarIds = new Set(getFailedCalendarIds(report, cursor));
 
-                // Ensure the event was created by this script and corresponds to the source calendar
-                if (blockedTag === 'true' && sourceCalendarIdTag === sourceCalendarId) {
-                    const uniqueEventId = `${sourceEventId}_${event.getStartTime().getTime()}`;
-                    const sourceEvent = sourceEventMap.get(uniqueEventId);
+        const runStartTime = cursor ? cursor.startTime : startTime.getTime();
+        const watermarks = {};
+        calendarIds.filter(calendarId => !failedCalendarIds.has(calendarId)).forEach(calendarId => {
+            watermarks[calendarId] = runStartTime;
+        });
 
-                    // Mark as obsolete if no matching source event exists or if event times don't match
-                    if (!sourceEvent) {
-                        return true;
-                    }
+        stateStore.set(stateKey, {
+            configKey,
+            watermarks,
+            lastFullSync: changedSince ? state.lastFullSync : runStartTime
+        });
+    };
 
-                    const sourceStartTime = sourceEvent.getStartTime().getTime();
-                    const sourceEndTime = sourceEvent.getEndTime().getTime();
-                    const eventStartTime = event.getStartTime().getTime();
-                    const eventEndTime = event.getEndTime().getTime();
+    /**
+     * Saves where a run that was cut short stopped, so the next run continues from there.
+     * Planning is idempotent, so the next run plans the direction it stopped in again and only finds the work that
+     * was not done yet. The calendars that failed so far are kept with the cursor, so the run that completes does
+     * not give them a watermark.
+     *
+     * @param {Date} startTime - The start time of the run.
+     * @param {Object} syncMode - The sync mode of the run (see `getSyncMode`).
+     * @param {number} edgeIndex - The index in the sync graph of the direction to continue with.
+     * @param {Object} report - The report of the run.
+     */
+    const saveCursor = (startTime, { cursor, changedSince }, edgeIndex, report) => {
+        stateStore.set(`${stateKey}:cursor`, {
+            configKey,
+            edgeIndex,
+            startTime: cursor ? cursor.startTime : startTime.getTime(),
+            failedCalendarIds: getFailedCalendarIds(report, cursor),
+            changedSince: changedSince
+                ? Object.fromEntries([...changedSince].map(([calendarId, time]) => [calendarId, time.getTime()]))
+                : null
+        });
+    };
 
-                    // If the times don't match, it's obsolete
-                    return sourceStartTime !== eventStartTime || sourceEndTime !== eventEndTime;
+    /**
+     * Creates the time budget of a run. It remembers how long the last planning of a direction (including fetching
+     * its events) and the last calendar write took, across all directions of the run, so every step is checked against
+     * the deadline before it starts. Until a step of a kind has run, only the deadline itself is checked.
+     *
+     * @param {number} deadline - The time (in milliseconds since the epoch) to stop at.
+     * @returns {Object} - The time budget.
+     */
+    const createTimeBudget = (deadline) => {
+        const durations = { plan: 0, write: 0 };
+
+        return Object.freeze({
+            // Whether a step of a kind ('plan' or 'write') is expected to finish before the deadline
+            fits: (kind) => Date.now() + durations[kind] < deadline,
+
+            // Run a step of a kind and remember how long it took
+            measure: (kind, step) => {
+                const stepStartTime = Date.now();
+                try {
+                    return step();
+                } finally {
+                    durations[kind] = Date.now() - stepStartTime;
                 }
+            }
+        });
+    };
 
-                return false;
-            });
+    /**
+     * Plans the synchronization of events between all calendars in the sync graph, without changing any calendar.
+     *
+     * The process involves:
+     * 1. Fetching past and active events from every calendar.
+     * 2. Finding expired blocking events that are no longer relevant.
+     * 3. Reconciling blocking events with their source events: creating missing blocks, updating blocks whose
+     *    source event moved or was renamed, and removing blocks whose source event is gone.
+     *
+     * @param {Object} params - The parameters for planning the synchronization.
+     * @param {Object} params.window - The window of the run (see `createWindow`).
+     * @param {Map|null} params.changedSince - Only reconcile source events updated since the watermark of their
+     *   calendar (null for all).
+     * @param {Set<string>|null} [params.changedCalendarIds] - Only plan the directions from or to these calendars
+     *   (null for all).
+     * @param {Array<Object>} [params.edges] - The sync directions to plan (default is the whole sync graph).
+     * @param {Object} params.report - The report of the run.
+     * @param {Object} params.timer - The timer of the run.
+     * @param {Map} [params.eventsByCalendar] - The events fetched earlier in the same run.
+     * @returns {Array<Object>} - The planned actions, in the order they would be applied.
+     */
+    const planActions = ({ window, changedSince, changedCalendarIds = null, report, timer, edges = syncGraph, eventsByCalendar = new Map() }) => {
+        // In an incremental sync, the directions between calendars without changes are not fetched at all
+        const changedEdges = changedCalendarIds
+            ? edges.filter(edge => changedCalendarIds.has(edge.sourceCalendarId) || changedCalendarIds.has(edge.targetCalendarId))
+            : edges;
 
-            // Delete the identified obsolete events
-            eventsToDelete.forEach(event => {
-                console.log(`Deleting obsolete event: ${event.getTitle()} (Start: ${event.getStartTime()}, End: ${event.getEndTime()})`);
-                event.deleteEvent();
-            });
+        // Fetch events from the calendars of the sync directions
+        const ids = [...new Set(changedEdges.flatMap(edge => [edge.sourceCalendarId, edge.targetCalendarId]))];
+        fetchEventsFromAllCalendars({ window, report, timer, ids, eventsByCalendar });
 
-            // Log the number of obsolete blocking events removed
-            console.log(`Removed ${eventsToDelete.length} obsolete blocking events from calendar ${calendarId}`);
-        };
+        // Skip the directions with a calendar that could not be read; their errors are in the report
+        const readableEdges = changedEdges.filter(edge =>
+            eventsByCalendar.has(edge.sourceCalendarId) && eventsByCalendar.has(edge.targetCalendarId));
 
-        // Remove obsolete events in the primary calendar that were created based on remote events
-        removeObsolete(primaryEvents, remoteEventMap, primaryCalendarId, remoteCalendarId);
+        // Remove expired blocking events that are no longer relevant
+        const expiredActions = planExpiredBlockingEvents({ eventsByCalendar, report, timer, edges: readableEdges });
 
-        // Remove obsolete events in the remote calendar that were created based on primary events
-        removeObsolete(remoteEvents, primaryEventMap, remoteCalendarId, primaryCalendarId);
+        // Reconcile blocking events with their source events to prevent double-booking
+        const blockingActions = planBlockingEvents({ window, eventsByCalendar, changedSince, report, timer, edges: readableEdges });
 
-        console.timeEnd('Removing obsolete blocking events'); // End timing the removal process
+        return [...expiredActions, ...blockingActions];
     };
 
     /**
-     * Creates blocking events in both the primary and remote calendars based on the events from the other calendar.
-     *
-     * This function ensures that no double-booking occurs by creating blocking events in one calendar if the other
-     * calendar has an event at the same time.
+     * Finds real double-bookings: real (non-blocking) events that overlap between two calendars that are synchronized
+     * with each other. These are exactly the conflicts the blocks are meant to prevent, e.g. two meetings accepted at
+     * the same time before the blocks existed. The same meeting on both calendars is not a conflict.
      *
-     * @param {Object} params - The parameters for creating blocking events.
-     * @param {Array} params.primaryEvents - The active events from the primary calendar.
-     * @param {Array} params.remoteEvents - The active events from the remote calendar.
-     * @param {GoogleAppsScript.Calendar.Calendar} params.primaryCalendar - The primary calendar object.
-     * @param {GoogleAppsScript.Calendar.Calendar} params.remoteCalendar - The remote calendar object.
-     * @param {string} params.primaryCalendarId - The ID of the primary calendar.
-     * @param {string} params.remoteCalendarId - The ID of the remote calendar.
+     * @param {Map} eventsByCalendar - The past and active events per calendar ID.
+     * @param {Object} timer - The timer of the run.
+     * @returns {Array<Object>} - The conflicts, each with its `key`, the `startTime` and `endTime` of the overlap, the
+     *   two conflicting `events` (their `calendarId`, `eventId`, `title`, `startTime` and `endTime`) and the
+     *   `calendarEvents` themselves.
      */
-    const createBlockingEvents = ({ primaryEvents, remoteEvents, primaryCalendar, remoteCalendar, primaryCalendarId, remoteCalendarId }) => {
-        console.time('Creating blocking events'); // Start timing the process of creating blocking events
+    const detectConflicts = (eventsByCalendar, timer) => {
+        timer.time('detectConflicts');
+
+        const { ignoreAllDayEvents = true, ignoreFreeEvents = true } = conflictOptions;
+        const now = new Date();
 
         /**
-         * Creates a blocking event in the specified calendar based on a source event from another calendar.
+         * Returns the real events of a calendar that can conflict, sorted by start time.
          *
-         * @param {GoogleAppsScript.Calendar.Calendar} calendar - The calendar where the blocking event will be created.
-         * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The source event that requires blocking.
-         * @param {string} sourceCalendarId - The ID of the calendar from which the event originated.
-         * @param {boolean} isPersonalCalendar - Whether the target calendar is a personal calendar (affects the event title).
+         * @param {string} calendarId - The ID of the calendar.
+         * @returns {Array<Object>} - The events, with their `key`, `startTime` and `endTime` in milliseconds.
          */
-        const createBlockingEvent = (calendar, event, sourceCalendarId, isPersonalCalendar) => {
-            // Set the title of the blocking event based on whether it's a personal calendar
-            const title = isPersonalCalendar
-                ? `${sourceCalendarId}: ${event.getTitle()}`
-                : "Blocked by remote calendar";
-
-            // Create a new event in the target calendar with the blocking title and same start/end times
-            const newEvent = calendar.createEvent(
-                title,
-                event.getStartTime(),
-                event.getEndTime()
-            );
+        const getCandidates = (calendarId) => {
+            const { activeEvents, instanceIndex } = eventsByCalendar.get(calendarId);
+            const candidates = [];
+
+            activeEvents.forEach(event => {
+                try {
+                    const isFree = isEnumValue(event.getTransparency(), calendarBackend.EventTransparency.TRANSPARENT)
+                        || isEnumValue(event.getMyStatus(), calendarBackend.GuestStatus.NO);
+                    if (event.getTag('blocked') === 'true' || event.getEndTime() < now
+                        || (ignoreAllDayEvents && event.isAllDayEvent()) || (ignoreFreeEvents && isFree)) {
+                        return;
+                    }
 
-            // Tag the new event to indicate it's a blocking event and reference the source event
-            newEvent.setTag('blocked', 'true');
-            newEvent.setTag('sourceEventId', event.getId());
-            newEvent.setTag('sourceCalendarId', sourceCalendarId);
+                    candidates.push({
+                        event,
+                        calendarId,
+                        key: getSourceEventKey(event, instanceIndex),
+                        startTime: event.getStartTime().getTime(),
+                        endTime: event.getEndTime().getTime()
+                    });
+                } catch (error) {
+                    // The event is recorded as an error when it is reconciled
+                }
+            });
 
-            // Log the creation of the blocking event
-            console.log(`Created blocking event on ${event.getStartTime().toDateString()} in calendar ${calendar.getId()} from source calendar ${sourceCalendarId}`);
+            return candidates.sort((a, b) => a.startTime - b.startTime);
         };
 
         /**
-         * Creates blocking events in the target calendar for events in the source calendar.
+         * Describes a conflicting event as plain data.
          *
-         * @param {Array} sourceEvents - The list of source events that might require blocking.
-         * @param {GoogleAppsScript.Calendar.Calendar} targetCalendar - The calendar where blocking events will be created.
-         * @param {string} sourceCalendarId - The ID of the source calendar from which the events originate.
-         * @param {boolean} isPersonalCalendar - Whether the target calendar is a personal calendar.
-         * @param {string} targetCalendarId - The ID of the target calendar where blocking events will be created.
+         * @param {Object} candidate - The conflicting event (see `getCandidates`).
+         * @returns {Object} - The `calendarId`, `eventId`, `title`, `startTime` and `endTime` of the event.
          */
-        const createBlocks = (sourceEvents, targetCalendar, sourceCalendarId, isPersonalCalendar, targetCalendarId) => {
-            const now = new Date(); // Current date and time
+        const describeEvent = ({ event, calendarId, startTime, endTime }) => ({
+            calendarId,
+            eventId: event.getId(),
+            title: event.getTitle(),
+            startTime: new Date(startTime),
+            endTime: new Date(endTime)
+        });
+
+        // Every pair of calendars that are synchronized in either direction, once
+        const calendarPairs = new Map();
+        syncGraph.forEach(({ sourceCalendarId, targetCalendarId }) => {
+            const pair = [sourceCalendarId, targetCalendarId].sort();
+            if (eventsByCalendar.has(pair[0]) && eventsByCalendar.has(pair[1])) {
+                calendarPairs.set(pair.join('|'), pair);
+            }
+        });
 
-            // Filter the source events to determine which need blocking
-            const eventsToBlock = sourceEvents.filter(sourceEvent => {
-                // Ignore events that have already ended
-                if (sourceEvent.getEndTime() < now) {
-                    return false;
+        const candidatesByCalendar = new Map();
+        const getCachedCandidates = (calendarId) => {
+            if (!candidatesByCalendar.has(calendarId)) {
+                candidatesByCalendar.set(calendarId, getCandidates(calendarId));
+            }
+            return candidatesByCalendar.get(calendarId);
+        };
+
+        const conflicts = [];
+        calendarPairs.forEach(([calendarId, otherCalendarId]) => {
+            const otherCandidates = getCachedCandidates(otherCalendarId);
+
+            getCachedCandidates(calendarId).forEach(candidate => {
+                for (const other of otherCandidates) {
+                    // The other events are sorted, so no later one overlaps
+                    if (other.startTime >= candidate.endTime) {
+                        break;
+                    }
+                    if (other.endTime <= candidate.startTime || other.event.getId() === candidate.event.getId()) {
+                        continue;
+                    }
+
+                    conflicts.push({
+                        key: `${calendarId}:${candidate.key}|${otherCalendarId}:${other.key}`,
+                        startTime: new Date(Math.max(candidate.startTime, other.startTime)),
+                        endTime: new Date(Math.min(candidate.endTime, other.endTime)),
+                        events: [describeEvent(candidate), describeEvent(other)],
+                        calendarEvents: [candidate.event, other.event]
+                    });
+                }
+            });
+        });
+
+        if (conflicts.length > 0) {
+            console.log(`Found ${conflicts.length} conflicts between real events`);
+        }
+
+        timer.timeEnd('detectConflicts');
+
+        return conflicts.sort((a, b) => a.startTime - b.startTime);
+    };
+
+    /**
+     * Notifies about and tags the conflicts that start within the lead time. Every conflict is passed to the
+     * `onConflicts` hook once; conflicts that were resolved are forgotten, and their events are untagged.
+     *
+     * @param {Array<Object>} conflicts - The conflicts of this run (see `detectConflicts`).
+     * @param {Map} eventsByCalendar - The past and active events per calendar ID, to find resolved conflicts.
+     * @param {Object} report - The report of the run.
+     */
+    const handleConflicts = (conflicts, eventsByCalendar, report) => {
+        const { leadTime = lookAheadPeriod, onConflicts = null, tagEvents = false, color = '' } = conflictOptions;
+        const upcomingConflicts = conflicts.filter(conflict => conflict.startTime.getTime() <= Date.now() + leadTime);
+
+        // Notify about the conflicts that were not notified before, and forget the ones that were resolved
+        if (onConflicts) {
+            const notifiedKey = `${stateKey}:conflicts`;
+            const notified = stateStore.get(notifiedKey) || {};
+            const newConflicts = upcomingConflicts.filter(conflict => !notified[conflict.key]);
+
+            if (newConflicts.length > 0) {
+                try {
+                    onConflicts(newConflicts.map(({ calendarEvents, ...conflict }) => conflict), report);
+                    newConflicts.forEach(conflict => {
+                        notified[conflict.key] = Date.now();
+                    });
+                } catch (error) {
+                    console.error('Notifying about conflicts failed:', error);
                 }
+            }
+
+            // Only the conflicts between calendars fetched in this run can be known to be resolved; an incremental
+            // run skips the calendars without changes
+            const fetchedCalendarIds = [...eventsByCalendar.keys()];
+            const wasChecked = (key) => fetchedCalendarIds.some(calendarId => key.startsWith(`${calendarId}:`))
+                && fetchedCalendarIds.some(calendarId => key.includes(`|${calendarId}:`));
+            const conflictKeys = new Set(conflicts.map(conflict => conflict.key));
+            Object.keys(notified).filter(key => wasChecked(key) && !conflictKeys.has(key)).forEach(key => delete notified[key]);
+            if (Object.keys(notified).length === 0) {
+                stateStore.remove(notifiedKey);
+            } else {
+                stateStore.set(notifiedKey, notified);
+            }
+        }
+
+        if (!tagEvents) {
+            return;
+        }
+
+        // The time of every tag write per calendar and event ID, so the next incremental run does not count the writes
+        // as changes (see `findChangedCalendars`)
+        const tagWrites = {};
+        const recordTagWrite = (calendarId, event) => {
+            tagWrites[calendarId] = { ...tagWrites[calendarId], [event.getId()]: Date.now() };
+        };
 
-                // Skip events that are already blocking events created by this script
-                const isAlreadyBlocked = sourceEvent.getTag('blocked') === 'true' && sourceEvent.getTag('sourceCalendarId') === targetCalendarId;
-                if (isAlreadyBlocked) {
-                    return false;
+        // Tag (and colour) the events of upcoming conflicts; their own colour is kept in a tag to restore it later
+        const conflictingEvents = new Map(upcomingConflicts.flatMap(conflict =>
+            conflict.calendarEvents.map((event, index) => [event, conflict.events[index].calendarId])));
+        conflictingEvents.forEach((calendarId, event) => {
+            try {
+                if (event.getTag('conflict') === 'true') {
+                    return;
                 }
 
-                // Check if this event's time slot is already blocked in the target calendar
-                const isBlocked = targetCalendar.getEvents(sourceEvent.getStartTime(), sourceEvent.getEndTime()).some(targetEvent => {
-                    const blockedTag = targetEvent.getTag('blocked');
-                    const targetSourceEventId = targetEvent.getTag('sourceEventId');
-                    const targetSourceCalendarIdTag = targetEvent.getTag('sourceCalendarId');
+                withRetry(() => {
+                    if (color) {
+                        event.setTag('conflictColor', event.getColor());
+                        event.setColor(color);
+                    }
+                    event.setTag('conflict', 'true');
+                }, `Tagging conflicting event ${event.getId()}`);
+                recordTagWrite(calendarId, event);
+            } catch (error) {
+                // Tags are only a hint, e.g. events of an ICS feed cannot be tagged; the conflict is in the report
+                console.warn(`Tagging conflicting event ${getEventIdSafely(event)} failed: ${error.message}`);
+            }
+        });
 
-                    // Ensure that the event isn't blocked by another blocking event created by the script
-                    const isSameCalendarBlock = blockedTag === 'true' && targetSourceCalendarIdTag === sourceCalendarId;
-                    return isSameCalendarBlock && targetSourceEventId === sourceEvent.getId();
-                });
+        // Untag the events whose conflicts were resolved
+        eventsByCalendar.forEach(({ activeEvents }, calendarId) => {
+            activeEvents.forEach(event => {
+                try {
+                    if (conflictingEvents.has(event) || event.getTag('conflict') !== 'true') {
+                        return;
+                    }
 
-                // Include the event only if it is not already blocked
-                return !isBlocked;
+                    withRetry(() => {
+                        const previousColor = event.getTag('conflictColor');
+                        if (previousColor !== null) {
+                            event.setColor(previousColor);
+                            event.deleteTag('conflictColor');
+                        }
+                        event.deleteTag('conflict');
+                    }, `Untagging resolved conflicting event ${event.getId()}`);
+                    recordTagWrite(calendarId, event);
+                } catch (error) {
+                    console.warn(`Untagging resolved conflicting event ${getEventIdSafely(event)} in calendar ${calendarId} failed: ${error.message}`);
+                }
             });
+        });
 
-            // Create blocking events for each event that needs blocking
-            eventsToBlock.forEach(sourceEvent => {
-                console.log(`Blocking time in ${targetCalendarId} for source event: ${sourceEvent.getTitle()} (Date: ${sourceEvent.getStartTime().toDateString()})`);
+        // Only the next run lists the changes since this run, so the writes of earlier runs are no longer needed
+        if (incremental) {
+            if (Object.keys(tagWrites).length === 0) {
+                stateStore.remove(`${stateKey}:tagWrites`);
+            } else {
+                stateStore.set(`${stateKey}:tagWrites`, tagWrites);
+            }
+        }
+    };
 
-                createBlockingEvent(targetCalendar, sourceEvent, sourceCalendarId, isPersonalCalendar);
-            });
-        };
+    /**
+     * Returns the actions a synchronization would apply, without changing any calendar.
+     * Each action describes its `type` (`create`, `update` or `delete`), `reason`, target `calendarId`,
+     * `sourceCalendarId`, `sourceEventId`, `title`, `startTime` and `endTime`.
+     *
+     * @param {Object} [options] - The options for planning.
+     * @param {boolean} [options.fullSync=false] - Plan a full reconciliation, even in an incremental sync.
+     * @param {Object} [options.window] - An explicit `start` and `end` (Dates) for every direction, instead of the
+     *   look-back and look-ahead periods. It always plans a full reconciliation.
+     * @returns {Array<Object>} - The planned actions, in the order they would be applied.
+     */
+    const planSynchronization = ({ fullSync = false, window: explicitWindow } = {}) => {
+        const window = createWindow(explicitWindow);
+        const report = createReport(window);
+        const timer = createTimer(report.timings);
+        timer.time('total');
 
-        // Create blocking events in the primary calendar based on events from the remote calendar
-        createBlocks(remoteEvents, primaryCalendar, remoteCalendarId, false, primaryCalendarId);
+        console.log(`Planning synchronization from ${window.start.toDateString()} to ${window.end.toDateString()}`);
+        const { changedSince, changedCalendarIds } = getSyncMode(new Date(), fullSync || window.explicit);
+        const actions = planActions({ window, changedSince, changedCalendarIds, report, timer });
 
-        // Create blocking events in the remote calendar based on events from the primary calendar
-        createBlocks(primaryEvents, remoteCalendar, primaryCalendarId, true, remoteCalendarId);
+        timer.timeEnd('total');
 
-        console.timeEnd('Creating blocking events'); // End timing the process of creating blocking events
+        return actions.map(describeAction);
     };
 
+    /**
+     * Passes the report of a synchronization to the `onReport` hook. A failing hook never fails the synchronization.
+     *
+     * @param {Object} report - The report of the run.
+     */
+    const publishReport = (report) => {
+        if (!onReport) {
+            return;
+        }
+
+        try {
+            onReport(report);
+        } catch (error) {
+            console.error('Publishing the synchronization report failed:', error);
+        }
+    };
 
     /**
-     * Synchronizes events between a primary and remote calendar, removing expired and obsolete blocking events,
-     * and creating new blocking events as necessary.
+     * Synchronizes events between all calendars in the sync graph, removing expired and obsolete blocking events,
+     * updating moved blocking events and creating new blocking events as necessary. With the `dryRun` option the
+     * planned actions are only logged. With the `incremental` option only changed source events are reconciled.
      *
-     * The process involves:
-     * 1. Fetching past and active events from both calendars.
-     * 2. Removing expired blocking events that are no longer relevant.
-     * 3. Removing obsolete blocking events where the original event has changed or been deleted.
-     * 4. Creating new blocking events in both calendars to prevent double-booking.
+     * With the `timeBudget` option the directions are synchronized one by one, and the run stops cleanly before the
+     * budget is spent. It then saves a cursor, and the next run continues from that cursor.
+     *
+     * A calendar, event or action that fails is recorded in the `errors` of the report, and the rest of the run
+     * continues. Transient errors are retried with backoff; actions that keep failing are quarantined.
+     *
+     * Every run that finishes also lists the `conflicts` between real events, and notifies about and tags them as
+     * configured in `params.conflicts`.
+     *
+     * The window is computed at every call. A run with an explicit `window` (e.g. a one-off backfill) is always a full
+     * reconciliation of that window, and leaves the incremental state and the cursor of the regular runs alone; when
+     * it is cut short by the time budget, call it again.
+     *
+     * @param {Object} [options] - The options for the synchronization.
+     * @param {boolean} [options.fullSync=false] - Run a full reconciliation, even in an incremental sync. This also
+     *   discards the cursor of a run that was cut short.
+     * @param {Object} [options.window] - An explicit `start` and `end` (Dates) for every direction, instead of the
+     *   look-back and look-ahead periods.
+     * @returns {Object} - The report of the run: whether it is `complete`, the `window` used, the `created`,
+     *   `updated`, `deleted` and `skipped` counts and event IDs per direction, the applied (or, in a dry run,
+     *   planned) `actions`, the `errors`, the `quarantined` actions, the `conflicts` and the `timings` in
+     *   milliseconds.
      */
-    const synchronizeCalendars = () => {
-        console.time('Total Synchronization Time');
+    const synchronizeCalendars = ({ fullSync = false, window: explicitWindow } = {}) => {
+        const window = createWindow(explicitWindow);
+        const report = createReport(window);
+        const timer = createTimer(report.timings);
+        timer.time('total');
+
+        /**
+         * Finishes the report of the run and passes it to the `onReport` hook.
+         *
+         * @param {boolean} complete - Whether the run finished.
+         * @returns {Object} - The report of the run.
+         */
+        const finishReport = (complete) => {
+            report.complete = complete;
+            report.endTime = new Date();
+            timer.timeEnd('total');
+
+            publishReport(report);
+            return report;
+        };
 
         try {
-            console.log(`Starting synchronization from ${lookBackDate.toDateString()} to ${lookAheadDate.toDateString()}`);
+            console.log(`Starting synchronization from ${window.start.toDateString()} to ${window.end.toDateString()}`);
+
+            // The state of an older version is moved before it is read
+            if (!dryRun) {
+                moveLegacyState();
+            }
+
+            const startTime = report.startTime;
+            const syncMode = getSyncMode(startTime, fullSync || window.explicit);
+            const quarantine = createQuarantine();
+
+            /**
+             * Lists the conflicts between real events in the report, and notifies about them unless in a dry run.
+             *
+             * @param {Map} eventsByCalendar - The events fetched in this run.
+             */
+            const reportConflicts = (eventsByCalendar) => {
+                const conflicts = detectConflicts(eventsByCalendar, timer);
+                report.conflicts = conflicts.map(({ calendarEvents, ...conflict }) => conflict);
+                if (!dryRun) {
+                    handleConflicts(conflicts, eventsByCalendar, report);
+                }
+            };
+
+            // Without a time budget (or in a dry run), all directions are planned and applied at once
+            if (dryRun || !timeBudget) {
+                const eventsByCalendar = new Map();
+                const actions = planActions({ window, changedSince: syncMode.changedSince, changedCalendarIds: syncMode.changedCalendarIds, report, timer, eventsByCalendar });
+
+                if (dryRun) {
+                    logActions(actions, report);
+                } else {
+                    applyActions(actions, report, timer, quarantine);
+                    quarantine.save();
+                    if (!window.explicit) {
+                        saveSyncState(startTime, syncMode, report, eventsByCalendar);
+                    }
+                }
+                reportConflicts(eventsByCalendar);
+
+                console.log(`Synchronization complete${report.errors.length > 0 ? ` with ${report.errors.length} errors` : ''}`);
+                return finishReport(true);
+            }
+
+            // With a time budget, the directions are planned and applied one by one, starting at the cursor. One
+            // budget covers the fetching, planning and writing of all directions.
+            const budget = createTimeBudget(startTime.getTime() + timeBudget);
+            const eventsByCalendar = new Map();
+
+            /**
+             * Stops the run cleanly and saves the cursor, so the next run continues at the given direction.
+             *
+             * @param {number} edgeIndex - The index in the sync graph of the direction to continue with.
+             * @returns {Object} - The report of the run that was cut short.
+             */
+            const stopAt = (edgeIndex) => {
+                quarantine.save();
+                if (!window.explicit) {
+                    saveCursor(startTime, syncMode, edgeIndex, report);
+                }
 
-            // Fetch events from both calendars
-            const { pastEvents: pastPrimaryEvents, activeEvents: activePrimaryEvents } = fetchEventsFromCalendar({
-                calendarId: primaryCalendarId,
-                lookBackDate,
-                lookAheadDate
-            });
+                console.log(`Synchronization cut short at direction ${edgeIndex + 1} of ${syncGraph.length}; the next run continues from there`);
+                return finishReport(false);
+            };
 
-            const { pastEvents: pastRemoteEvents, activeEvents: activeRemoteEvents } = fetchEventsFromCalendar({
-                calendarId: remoteCalendarId,
-                lookBackDate,
-                lookAheadDate
-            });
+            if (syncMode.cursor) {
+                console.log(`Continuing the synchronization that was cut short at direction ${syncMode.cursor.edgeIndex + 1} of ${syncGraph.length}`);
+            }
 
-            // Remove expired blocking events that are no longer relevant
-            removeExpiredBlockingEvents({
-                pastPrimaryEvents,
-                pastRemoteEvents,
-                primaryCalendarId,
-                remoteCalendarId
-            });
+            for (let edgeIndex = syncMode.cursor ? syncMode.cursor.edgeIndex : 0; edgeIndex < syncGraph.length; edgeIndex++) {
+                // Stop when fetching and planning the direction is expected to run past the deadline
+                if (!budget.fits('plan')) {
+                    return stopAt(edgeIndex);
+                }
 
-            // Remove obsolete blocking events where the original event has been deleted or changed
-            removeObsoleteBlockingEvents({
-                primaryEvents: activePrimaryEvents,
-                remoteEvents: activeRemoteEvents,
-                primaryCalendarId,
-                remoteCalendarId
-            });
+                const actions = budget.measure('plan', () => planActions({
+                    window,
+                    changedSince: syncMode.changedSince,
+                    changedCalendarIds: syncMode.changedCalendarIds,
+                    report,
+                    timer,
+                    edges: [syncGraph[edgeIndex]],
+                    eventsByCalendar
+                }));
+                const appliedCount = applyActions(actions, report, timer, quarantine, budget);
+
+                if (appliedCount < actions.length) {
+                    return stopAt(edgeIndex);
+                }
+            }
 
-            // Create new blocking events to prevent double-booking
-            createBlockingEvents({
-                primaryEvents: activePrimaryEvents,
-                remoteEvents: activeRemoteEvents,
-                primaryCalendar,
-                remoteCalendar,
-                primaryCalendarId,
-                remoteCalendarId
-            });
+            quarantine.save();
+            if (!window.explicit) {
+                stateStore.remove(`${stateKey}:cursor`);
+                saveSyncState(startTime, syncMode, report, eventsByCalendar);
+            }
+            reportConflicts(eventsByCalendar);
 
-            console.log('Synchronization complete');
-            console.timeEnd('Total Synchronization Time');
+            console.log(`Synchronization complete${report.errors.length > 0 ? ` with ${report.errors.length} errors` : ''}`);
+            return finishReport(true);
         } catch (error) {
-            console.error(`Synchronization error for calendars ${primaryCalendarId} and ${remoteCalendarId}:`, error);
+            console.error(`Synchronization error for calendars ${calendarIds.join(', ')}:`, error);
+
+            // Publish the report of the failed run, so monitoring sees the failure
+            report.errors.push({ message: String(error && error.message || error) });
+            finishReport(false);
+
             throw error;  // Re-throw the error for higher-level handling
         }
     };
 
     /**
-     * Removes all blocking events (both past and future) created by the script from the primary and remote calendars.
-     * This function iterates over the events in both the primary and remote calendars, identifies events marked as 
-     * "blocked" by this script, and removes them.
+     * Removes blocking events (both past and future) created by the script from the target calendars.
+     * This function iterates over the events in every target calendar, identifies events marked as
+     * "blocked" by this instance for the corresponding source calendar, and removes them.
+     * Without options every block in the window is removed; the options narrow the removal down, or widen its range.
+     * With the `dryRun` option the planned removals are only logged.
+     *
+     * @param {Object} [options] - Which blocking events are removed.
+     * @param {string} [options.sourceCalendarId] - Only remove blocks of events from this calendar, a source calendar
+     *   of the sync graph. Blocks of a calendar that was removed from the sync graph are removed by
+     *   `repairBlockingEvents` instead.
+     * @param {string} [options.targetCalendarId] - Only remove blocks from this calendar, a target calendar of the sync
+     *   graph (default is every target calendar). Together with `sourceCalendarId` this removes a single direction,
+     *   which must be in the sync graph.
+     * @param {Date} [options.start] - Remove the blocks from this time on (default is the start of the window).
+     * @param {Date} [options.end] - Remove the blocks up to this time (default is the end of the window), e.g. far in
+     *   the future.
+     * @param {string} [options.instanceId] - Remove the blocks of this instance instead (default is the blocks of this
+     *   instance, including blocks created before instance IDs existed).
+     * @param {Function} [options.predicate] - Called with the description of every block that matches the other options
+     *   (its `calendarId`, `sourceCalendarId`, `sourceEventId`, `title`, `startTime`, `endTime`, ...); only blocks for
+     *   which it returns true are removed.
+     * @param {boolean} [options.dryRun] - Only log the blocks that would be removed (default is the `dryRun` option of
+     *   this instance).
+     * @returns {Array<Object>} - The removed (or, in a dry run, planned) `delete` actions.
      */
-    const removeBlockingEvents = () => {
-        console.time('Removing all blocking events');
+    const removeBlockingEvents = (options = {}) => {
+        const window = createWindow();
+        const { sourceCalendarId, targetCalendarId, start = window.start, end = window.end, predicate = null } = options;
+        const isDryRun = options.dryRun === undefined ? dryRun : options.dryRun;
+
+        // Validate the options
+        if (!(start instanceof Date) || !(end instanceof Date) || !(start < end)) {
+            throw new Error("start and end must be dates, with start before end");
+        }
+        if (predicate !== null && typeof predicate !== 'function') {
+            throw new Error("predicate must be a function");
+        }
+        if (options.instanceId !== undefined && (typeof options.instanceId !== 'string' || !options.instanceId)) {
+            throw new Error("instanceId must be a non-empty string");
+        }
+
+        // Calendars outside the sync graph have no blocks to remove, so an unknown ID is most likely a typo
+        if (sourceCalendarId && !syncGraph.some(edge => edge.sourceCalendarId === sourceCalendarId)) {
+            throw new Error(`Calendar ${sourceCalendarId} is not a source calendar of the sync graph`);
+        }
+        if (targetCalendarId && !syncGraph.some(edge => edge.targetCalendarId === targetCalendarId)) {
+            throw new Error(`Calendar ${targetCalendarId} is not a target calendar of the sync graph`);
+        }
+        if (sourceCalendarId && targetCalendarId
+            && !syncGraph.some(edge => edge.sourceCalendarId === sourceCalendarId && edge.targetCalendarId === targetCalendarId)) {
+            throw new Error(`Calendar ${sourceCalendarId} is not synchronized into calendar ${targetCalendarId}`);
+        }
+
+        // A block series spans more than the range, so only its instances in the range are removed when a range is
+        // given; without one it is removed as a whole
+        const hasRange = options.start !== undefined || options.end !== undefined;
+        const isSelective = Boolean(sourceCalendarId || targetCalendarId || hasRange || options.instanceId || predicate);
+        const reason = isSelective ? 'remove-selected' : 'remove-all';
 
         /**
-         * Removes all events in the given array that were created as blocking events by the script.
+         * Checks whether a blocking event belongs to the instance whose blocks are removed.
          *
-         * @param {Array} events - The list of events to remove.
-         * @param {string} sourceCalendarId - The ID of the calendar from which the blocking events originated.
-         * @param {string} calendarId - The ID of the calendar where the blocking events are being removed.
+         * @param {GoogleAppsScript.Calendar.CalendarEvent} event - The event to check.
+         * @returns {boolean} - True when the event is a blocking event of that instance.
          */
-        const removeEventsForCalendar = (events, sourceCalendarId, calendarId) => {
-            const removedEvents = []; // Array to track removed events
+        const isRemovedInstance = (event) => options.instanceId === undefined || options.instanceId === instanceId
+            ? isOwnBlockingEvent(event)
+            : event.getTag('blocked') === 'true' && event.getTag('syncInstanceId') === options.instanceId;
 
-            // Filter and delete only the events that were created by the script (identified by specific tags)
-            events.forEach(event => {
-                const blockedTag = event.getTag('blocked');
-                const sourceCalendarIdTag = event.getTag('sourceCalendarId');
+        const report = createReport({ start, end });
+        const timer = createTimer(report.timings);
+        timer.time('total');
+
+        /**
+         * Finds all events in the given array that were created as blocking events by the script.
+         *
+         * @param {Array} events - The list of events to check.
+         * @param {Set<string>} sourceCalendarIds - The IDs of the calendars from which the blocking events originated.
+         * @param {string} calendarId - The ID of the calendar where the blocking events would be removed.
+         * @returns {Array<Object>} - The planned `delete` actions.
+         */
+        const planForCalendar = (events, sourceCalendarIds, calendarId) => {
+            // Select only the events that were created by the script (identified by specific tags). A block series is
+            // deleted as a whole, once.
+            const actions = [];
+            const seriesIds = new Set();
+            forEachEvent(events, report, calendarId, event => {
+                if (!isRemovedInstance(event) || !sourceCalendarIds.has(event.getTag('sourceCalendarId'))) {
+                    return;
+                }
+
+                const isBlockSeries = event.getTag('blockSeries') === 'true' && !hasRange;
+                if (isBlockSeries && seriesIds.has(event.getId())) {
+                    return;
+                }
+
+                const action = createDeleteAction(event, calendarId, reason, event.getTag('sourceEventKey') || undefined, isBlockSeries);
+                if (predicate && !predicate(describeAction(action))) {
+                    return;
+                }
 
-                if (blockedTag === 'true' && sourceCalendarIdTag === sourceCalendarId) {
-                    event.deleteEvent(); // Remove the event
-                    removedEvents.push(event); // Add the removed event to the tracking array
+                if (isBlockSeries) {
+                    seriesIds.add(event.getId());
                 }
+                actions.push(action);
             });
 
-            // Log the number of blocking events actually removed from the calendar
-            console.log(`Removed ${removedEvents.length} blocking events from calendar ${calendarId}`);
+            // Log the number of blocking events found in the calendar
+            console.log(`Found ${actions.length} blocking events in calendar ${calendarId}`);
+
+            return actions;
         };
 
-        // Fetch past and active events from the primary calendar
-        const { pastEvents: pastPrimaryEvents, activeEvents: activePrimaryEvents } = fetchEventsFromCalendar({
-            calendarId: primaryCalendarId,
-            lookBackDate,
-            lookAheadDate
+        // The target calendars, and the source calendars whose blocks are removed from each of them
+        const sourcesByTarget = new Map();
+        syncGraph.forEach(edge => {
+            const isSelected = (!targetCalendarId || edge.targetCalendarId === targetCalendarId)
+                && (!sourceCalendarId || edge.sourceCalendarId === sourceCalendarId);
+            if (isSelected) {
+                const sourceCalendarIds = sourcesByTarget.get(edge.targetCalendarId) || new Set();
+                sourceCalendarIds.add(edge.sourceCalendarId);
+                sourcesByTarget.set(edge.targetCalendarId, sourceCalendarIds);
+            }
+        });
+
+        console.log(`Removing blocking events from ${start.toDateString()} to ${end.toDateString()}`);
+
+        // Find the blocking events in each target calendar, within the range
+        const actions = [...sourcesByTarget.entries()].flatMap(([calendarId, sourceCalendarIds]) => {
+            try {
+                const { pastEvents, activeEvents } = fetchEventsFromCalendar({ calendarId, lookBackDate: start, lookAheadDate: end, timer });
+                return planForCalendar([...pastEvents, ...activeEvents], sourceCalendarIds, calendarId);
+            } catch (error) {
+                recordError(report, error, { calendarId });
+                return [];
+            }
+        });
+
+        if (isDryRun) {
+            logActions(actions, report);
+        } else {
+            // Removing blocks is explicit, so quarantined actions are attempted too
+            const quarantine = createQuarantine();
+            applyActions(actions, report, timer, Object.freeze({ ...quarantine, isQuarantined: () => false }));
+            quarantine.save();
+        }
+
+        timer.timeEnd('total');
+
+        return report.actions;
+    };
+
+    /**
+     * Plans the repair of orphaned blocking events in every target calendar of the sync graph:
+     * - a second block of this instance for the same source event is removed (`duplicate`),
+     * - a block of this instance whose source event is really gone is removed (`source-deleted`),
+     * - a block of this instance from a source calendar that is no longer synchronized into its calendar is removed
+     *   (`source-not-synchronized`),
+     * - an untagged event that looks exactly like a missing block, with the same title and times, is adopted and tagged
+     *   as the block of its source event (`adopted`),
+     * - an untagged event with the default block title "Blocked by remote calendar" and the exact times of an event in
+     *   one of the source calendars of its calendar is removed (`untagged`),
+     * - any other untagged event with the plain title of a block (e.g. a `blockTemplate` title of "Busy") could just
+     *   as well be an event of your own, so it is only listed for review (`title-match`) and never changed.
+     *
+     * Untagged blocks are left behind when their tags are lost, e.g. by a copy or an import of the calendar.
+     *
+     * @param {Object} window - The window of the run (see `createWindow`).
+     * @param {Object} report - The report of the run.
+     * @param {Object} timer - The timer of the run.
+     * @returns {Array<Object>} - The planned `delete` and `update` actions, and `review` actions that are never
+     *   applied.
+     */
+    const planRepairs = (window, report, timer) => {
+        const eventsByCalendar = fetchEventsFromAllCalendars({ window, report, timer });
+
+        timer.time('planRepairs');
+
+        // Skip the directions with a calendar that could not be read; their errors are in the report
+        const edges = syncGraph.filter(edge =>
+            eventsByCalendar.has(edge.sourceCalendarId) && eventsByCalendar.has(edge.targetCalendarId));
+
+        // Duplicates and blocks of deleted source events are found by a full reconciliation; the missing blocks it
+        // would create are the candidates for adoption
+        const plannedActions = planBlockingEvents({ window, eventsByCalendar, changedSince: null, report, timer, edges });
+        const actions = plannedActions.filter(action =>
+            action.type === 'delete' && (action.reason === 'duplicate' || action.reason === 'source-deleted'));
+        const missingBlocks = new Map();
+        plannedActions.filter(action => action.type === 'create' && !action.series).forEach(action => {
+            missingBlocks.set(`${action.calendarId}|${action.title}|${action.startTime.getTime()}|${action.endTime.getTime()}`, action);
+        });
+
+        [...new Set(edges.map(edge => edge.targetCalendarId))].forEach(calendarId => {
+            const targetEdges = edges.filter(edge => edge.targetCalendarId === calendarId);
+            const sourceCalendarIds = new Set(targetEdges.map(edge => edge.sourceCalendarId));
+
+            // The titles of blocks that do not depend on their source event
+            const plainTitles = new Set([legacyBlockTitle]);
+            targetEdges.forEach(({ blockTemplate: { title } }) => {
+                if (typeof title === 'string' && !/\{\w+\}/.test(title)) {
+                    plainTitles.add(title);
+                }
+            });
+
+            // The times of the real events in the source calendars, which a lost block of the default title still has
+            const sourceTimes = new Set();
+            sourceCalendarIds.forEach(sourceCalendarId => {
+                const { pastEvents: pastSourceEvents, activeEvents: activeSourceEvents } = eventsByCalendar.get(sourceCalendarId);
+                forEachEvent([...pastSourceEvents, ...activeSourceEvents], report, sourceCalendarId, sourceEvent => {
+                    if (sourceEvent.getTag('blocked') !== 'true') {
+                        sourceTimes.add(`${sourceEvent.getStartTime().getTime()}|${sourceEvent.getEndTime().getTime()}`);
+                    }
+                });
+            });
+
+            const { pastEvents, activeEvents } = eventsByCalendar.get(calendarId);
+            forEachEvent([...pastEvents, ...activeEvents], report, calendarId, event => {
+                if (isOwnBlockingEvent(event)) {
+                    if (!sourceCalendarIds.has(event.getTag('sourceCalendarId'))) {
+                        actions.push(createDeleteAction(event, calendarId, 'source-not-synchronized',
+                            event.getTag('sourceEventKey'), event.getTag('blockSeries') === 'true'));
+                    }
+                    return;
+                }
+
+                // Blocks of other instances, and real recurring events, are never touched
+                if (event.getTag('blocked') || event.isRecurringEvent()) {
+                    return;
+                }
+
+                const blockKey = `${calendarId}|${event.getTitle()}|${event.getStartTime().getTime()}|${event.getEndTime().getTime()}`;
+                const missingBlock = missingBlocks.get(blockKey);
+                if (missingBlock) {
+                    missingBlocks.delete(blockKey);
+                    actions.push(createAction({ ...missingBlock, type: 'update', reason: 'adopted', event, sourceEvent: undefined }));
+                } else if (event.getTitle() === legacyBlockTitle
+                    && sourceTimes.has(`${event.getStartTime().getTime()}|${event.getEndTime().getTime()}`)) {
+                    actions.push(createDeleteAction(event, calendarId, 'untagged'));
+                } else if (plainTitles.has(event.getTitle())) {
+                    actions.push(createAction({ ...createDeleteAction(event, calendarId, 'title-match'), type: 'review' }));
+                }
+            });
         });
 
-        // Fetch past and active events from the remote calendar
-        const { pastEvents: pastRemoteEvents, activeEvents: activeRemoteEvents } = fetchEventsFromCalendar({
-            calendarId: remoteCalendarId,
-            lookBackDate,
-            lookAheadDate
+        // A block series is deleted as a whole, once
+        const seriesIds = new Set();
+        const repairActions = actions.filter(action => {
+            if (!action.series) {
+                return true;
+            }
+            const seriesKey = `${action.calendarId}|${action.event.getId()}`;
+            if (seriesIds.has(seriesKey)) {
+                return false;
+            }
+            seriesIds.add(seriesKey);
+            return true;
         });
 
-        // Remove all blocking events from the primary calendar
-        removeEventsForCalendar([...pastPrimaryEvents, ...activePrimaryEvents], remoteCalendarId, primaryCalendarId);
+        // Log the number of orphaned blocking events found, and the events that only might be
+        const reviewCount = repairActions.filter(action => action.type === 'review').length;
+        console.log(`Found ${repairActions.length - reviewCount} orphaned blocking events, and ${reviewCount} events with the title of a block to review`);
+
+        timer.timeEnd('planRepairs');
+
+        return repairActions;
+    };
+
+    /**
+     * Lists the sync directions of this instance, as built from `syncGraph`, `calendarIds` or
+     * `primaryCalendarId`/`remoteCalendarId`.
+     *
+     * @returns {Array<Object>} - The directions, each with a `sourceCalendarId`, a `targetCalendarId` and
+     *   `isPersonalCalendar`.
+     */
+    const getSyncGraph = () => syncGraph.map(({ sourceCalendarId, targetCalendarId, isPersonalCalendar }) =>
+        ({ sourceCalendarId, targetCalendarId, isPersonalCalendar }));
+
+    /**
+     * Finds orphaned blocking events without changing any calendar: duplicate blocks, blocks whose source event or
+     * source calendar is gone, and blocks whose tags were lost (see `planRepairs`).
+     *
+     * @returns {Array<Object>} - The planned repairs, described like the actions of `planSynchronization`; the
+     *   `reason` tells what is wrong with the event. Events of type `review` are never changed by a repair.
+     */
+    const findOrphans = () => {
+        const window = createWindow();
+        const report = createReport(window);
+        const timer = createTimer(report.timings);
+        timer.time('total');
+
+        const actions = planRepairs(window, report, timer);
+
+        timer.timeEnd('total');
+
+        return actions.map(describeAction);
+    };
+
+    /**
+     * Repairs orphaned blocking events: removes duplicate blocks, blocks whose source event or source calendar is
+     * gone, and untagged blocks, and adopts untagged blocks that still match their source event. Events that are only
+     * listed for review are left alone. In a dry run the repairs are only logged.
+     *
+     * @returns {Array<Object>} - The repairs, described like the actions of `planSynchronization`.
+     */
+    const repairBlockingEvents = () => {
+        const window = createWindow();
+        const report = createReport(window);
+        const timer = createTimer(report.timings);
+        timer.time('total');
+
+        const actions = planRepairs(window, report, timer).filter(action => action.type !== 'review');
+
+        if (dryRun) {
+            logActions(actions, report);
+        } else {
+            // Repairs are explicit, so quarantined actions are attempted too
+            const quarantine = createQuarantine();
+            applyActions(actions, report, timer, Object.freeze({ ...quarantine, isQuarantined: () => false }));
+            quarantine.save();
+        }
 
-        // Remove all blocking events from the remote calendar
-        removeEventsForCalendar([...pastRemoteEvents, ...activeRemoteEvents], primaryCalendarId, remoteCalendarId);
+        timer.timeEnd('total');
 
-        console.timeEnd('Removing all blocking events');
+        return actions.map(describeAction);
     };
 
     return Object.freeze({
         // Return the `synchronizeCalendars` function as a method of the returned object.
-        // This method handles the synchronization of events between the primary and remote calendars.
+        // This method handles the synchronization of events between all calendars in the sync graph.
         synchronizeCalendars,
 
+        // Return the `planSynchronization` function as a method of the returned object.
+        // This method returns the actions a synchronization would apply, without changing any calendar.
+        planSynchronization,
+
         // Return the `removeBlockingEvents` function as a method of the returned object.
-        // This method removes all blocking events created by the script from both calendars.
-        removeBlockingEvents
+        // This method removes the blocking events created by the script from the target calendars, all or a selection.
+        removeBlockingEvents,
+
+        // Return the `findOrphans` function as a method of the returned object.
+        // This method lists duplicate, orphaned and untagged blocking events, without changing any calendar.
+        findOrphans,
+
+        // Return the `repairBlockingEvents` function as a method of the returned object.
+        // This method removes or adopts the blocking events that `findOrphans` lists.
+        repairBlockingEvents,
+
+        // Return the `getSyncGraph` function as a method of the returned object.
+        // This method lists the sync directions of this instance, e.g. to install triggers for their calendars.
+        getSyncGraph
     });
 };
@@ -0,0 +1,265 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    SyncFreeBusy,
+    MemoryCalendarBackend,
+    IcsCalendarBackend,
+    CalDavCalendarBackend,
+    CompositeCalendarBackend
+} = require('../index');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const readFixture = (url) => fs.readFileSync(path.join(__dirname, 'fixtures', url), 'utf8');
+
+/**
+ * A CalDAV stand-in that keeps its resources in memory. It answers calendar queries with every resource (or the
+ * resources with a matching UID), and honours the `If-Match` and `If-None-Match` preconditions.
+ *
+ * @returns {Object} - The `request` function for a `CalDavCalendarBackend`, the `resources` by URL and the `methods`
+ *   of all requests.
+ */
+const createCalDavServer = () => {
+    const resources = new Map();
+    const methods = [];
+    let version = 0;
+
+    const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const unescapeXml = (text) => text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+    const request = ({ method, url, headers, payload }) => {
+        const resource = resources.get(url);
+        methods.push(method);
+
+        if (method === 'REPORT') {
+            const uid = (payload.match(/<c:text-match[^>]*>([^<]*)<\/c:text-match>/) || [])[1];
+            if (uid !== undefined && /[<>]/.test(uid)) {
+                return { status: 400, body: '', headers: {} };
+            }
+            const responses = [...resources.entries()]
+                .filter(([resourceUrl, { body }]) => resourceUrl.startsWith(url) && (!uid || body.includes(`UID:${unescapeXml(uid)}\r\n`)))
+                .map(([resourceUrl, { body, etag }]) => `<d:response><d:href>${new URL(resourceUrl).pathname}</d:href><d:propstat><d:prop>`
+                    + `<d:getetag>${escapeXml(etag)}</d:getetag><cal:calendar-data>${escapeXml(body)}</cal:calendar-data>`
+                    + '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>');
+            return { status: 207, body: `<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses.join('')}</d:multistatus>`, headers: {} };
+        }
+
+        if ((headers['If-None-Match'] === '*' && resource) || (headers['If-Match'] && (!resource || resource.etag !== headers['If-Match']))) {
+            return { status: 412, body: '', headers: {} };
+        }
+
+        if (method === 'PUT') {
+            const etag = `"${++version}"`;
+            resources.set(url, { body: payload, etag });
+            return { status: resource ? 204 : 201, body: '', headers: { ETag: etag } };
+        }
+
+        if (method === 'DELETE') {
+            resources.delete(url);
+            return { status: resource ? 204 : 404, body: '', headers: {} };
+        }
+
+        return { status: 405, body: '', headers: {} };
+    };
+
+    return { request, resources, methods };
+};
+
+test('reads recurring, overridden, excluded and time-zoned events from an ICS feed', () => {
+    const calendarBackend = IcsCalendarBackend({ feeds: { roster: { url: 'roster.ics', name: 'Roster' } }, fetchText: readFixture });
+    const calendar = calendarBackend.getCalendarById('roster');
+
+    const events = calendar.getEvents(new Date('2024-03-01T00:00:00Z'), new Date('2024-07-01T00:00:00Z'));
+
+    assert.strictEqual(calendar.getName(), 'Roster');
+    assert.deepStrictEqual(events.map(event => [event.getId(), event.getStartTime().toISOString(), event.getEndTime().toISOString()]), [
+        // Weekly in Europe/Amsterdam, across the start of daylight saving time, without the excluded 25 March
+        ['weekly@roster', '2024-03-18T08:00:00.000Z', '2024-03-18T09:00:00.000Z'],
+        ['flight@roster', '2024-03-20T06:30:00.000Z', '2024-03-20T09:15:00.000Z'],
+        ['custom@roster', '2024-03-21T11:00:00.000Z', '2024-03-21T12:00:00.000Z'],
+        ['holiday@roster', new Date(2024, 2, 22).toISOString(), new Date(2024, 2, 23).toISOString()],
+        // The last Friday of the month, in a Windows time zone
+        ['monthly@roster', '2024-03-29T15:00:00.000Z', '2024-03-29T15:30:00.000Z'],
+        ['weekly@roster', '2024-04-01T12:00:00.000Z', '2024-04-01T13:00:00.000Z'],
+        ['weekly@roster', '2024-04-08T07:00:00.000Z', '2024-04-08T08:00:00.000Z'],
+        ['monthly@roster', '2024-04-26T14:00:00.000Z', '2024-04-26T14:30:00.000Z'],
+        ['monthly@roster', '2024-05-31T14:00:00.000Z', '2024-05-31T14:30:00.000Z']
+    ]);
+    assert.strictEqual(events[1].getTitle(), 'Flight AMS, LHR');
+    assert.strictEqual(events[1].getDescription(), 'Gate D7\nSeat 12A');
+    assert.strictEqual(events[2].getTitle(), 'Lunch in a custom zone with a title that is long enough to be folded over two lines');
+    assert.strictEqual(events[3].isAllDayEvent(), true);
+    assert.strictEqual(events[3].getTransparency(), calendarBackend.EventTransparency.TRANSPARENT);
+    assert.strictEqual(events[5].getTitle(), 'Weekly briefing (moved)');
+    assert.strictEqual(events[5].isRecurringEvent(), true);
+
+    // The moved instance keeps the start time the series gave it
+    const instances = calendarBackend.listInstances('roster', 'weekly@roster', new Date('2024-03-01T00:00:00Z'), new Date('2024-07-01T00:00:00Z'));
+    assert.deepStrictEqual(instances.map(instance => instance.originalStartTime.toISOString()),
+        ['2024-03-18T08:00:00.000Z', '2024-04-01T07:00:00.000Z', '2024-04-08T07:00:00.000Z']);
+
+    assert.throws(() => events[1].setTitle('Changed'), /read-only/);
+    assert.throws(() => calendar.createEvent('New', new Date(), new Date()), /read-only/);
+});
+
+test('reads open-ended series that started long ago, and looks events up by UID, without walking the series', () => {
+    const single = new Date(Math.floor(Date.now() / 60000) * 60000 + DAY);
+    const feed = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT', 'UID:daily@feed', 'DTSTART;TZID=Europe/Berlin:20000103T090000', 'DURATION:PT30M', 'RRULE:FREQ=DAILY', 'SUMMARY:Standup', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:daily@feed', 'RECURRENCE-ID;TZID=Europe/Berlin:20000104T090000', 'DTSTART:20240319T060000Z', 'DTEND:20240319T063000Z', 'SUMMARY:Moved standup', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:biweekly@feed', 'DTSTART:20000103T170000Z', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE', 'SUMMARY:Training', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:monthly@feed', 'DTSTART:20010126T120000Z', 'DURATION:PT1H', 'RRULE:FREQ=MONTHLY;BYDAY=-1FR', 'SUMMARY:Review', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:yearly@feed', 'DTSTART;VALUE=DATE:20000320', 'RRULE:FREQ=YEARLY', 'SUMMARY:Anniversary', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:single@feed', `DTSTART:${formatUtc(single)}`, `DTEND:${formatUtc(single.getTime() + HOUR)}`, 'SUMMARY:Dentist', 'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+    const calendar = IcsCalendarBackend({ feeds: { feed: 'feed.ics' }, fetchText: () => feed }).getCalendarById('feed');
+
+    const startTime = Date.now();
+    const events = calendar.getEvents(new Date('2024-03-18T00:00:00Z'), new Date('2024-04-01T00:00:00Z'));
+    const byId = (id) => events.filter(event => event.getId() === id).map(event => event.getStartTime().toISOString());
+
+    // 09:00 in Berlin, across the start of daylight saving time, with the instance of 4 January 2000 moved into the range
+    const standups = byId('daily@feed');
+    assert.strictEqual(standups.length, 15);
+    assert.deepStrictEqual([standups[0], standups[1], standups[2], standups[14]],
+        ['2024-03-18T08:00:00.000Z', '2024-03-19T06:00:00.000Z', '2024-03-19T08:00:00.000Z', '2024-03-31T07:00:00.000Z']);
+    assert.deepStrictEqual(byId('biweekly@feed'), ['2024-03-25T17:00:00.000Z', '2024-03-27T17:00:00.000Z']);
+    assert.deepStrictEqual(byId('monthly@feed'), ['2024-03-29T12:00:00.000Z']);
+    assert.deepStrictEqual(byId('yearly@feed'), [new Date(2024, 2, 20).toISOString()]);
+
+    // Only single events are found by their UID
+    assert.strictEqual(calendar.getEventById('single@feed').getStartTime().getTime(), single.getTime());
+    assert.strictEqual(calendar.getEventById('daily@feed'), null);
+    assert.ok(Date.now() - startTime < 2000, `Reading the feed took ${Date.now() - startTime} ms`);
+});
+
+let now;
+let memoryBackend;
+let calDavServer;
+let calendarBackend;
+
+/**
+ * Formats a moment as an iCalendar UTC date-time.
+ *
+ * @param {number} time - The moment, in milliseconds since the epoch.
+ * @returns {string} - The date-time.
+ */
+const formatUtc = (time) => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const createSync = () => SyncFreeBusy({
+    syncGraph: [
+        { sourceCalendarId: 'roster', targetCalendarId: 'primary' },
+        { sourceCalendarId: 'primary', targetCalendarId: 'caldav', isPersonalCalendar: true }
+    ],
+    calendarBackend
+});
+
+const listCalDavBlocks = () => calendarBackend.getCalendarById('caldav')
+    .getEvents(new Date(now - 30 * DAY), new Date(now + 90 * DAY))
+    .filter(event => event.getTag('blocked') === 'true');
+
+beforeEach(() => {
+    // Whole minutes, as CalDAV stores times in seconds
+    now = Math.floor(Date.now() / 60000) * 60000;
+    const feed = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT',
+        'UID:shift@roster',
+        'DTSTAMP:20240101T000000Z',
+        `DTSTART:${formatUtc(now + DAY)}`,
+        `DTEND:${formatUtc(now + DAY + 8 * HOUR)}`,
+        'SUMMARY:Early shift',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    memoryBackend = MemoryCalendarBackend({ calendars: [{ id: 'primary' }] });
+    calDavServer = createCalDavServer();
+    calendarBackend = CompositeCalendarBackend({
+        backends: [
+            { backend: IcsCalendarBackend({ feeds: { roster: 'webcal://roster.example/feed.ics' }, fetchText: () => feed }), calendarIds: ['roster'] },
+            { backend: CalDavCalendarBackend({ calendars: { caldav: 'https://caldav.example/calendars/me/work/' }, request: calDavServer.request }), calendarIds: ['caldav'] }
+        ],
+        defaultBackend: memoryBackend
+    });
+});
+
+test('mirrors an ICS feed into a calendar and a calendar into a CalDAV collection', () => {
+    memoryBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+
+    const report = createSync().synchronizeCalendars();
+
+    assert.deepStrictEqual(report.errors, []);
+    const shiftBlocks = memoryBackend.getCalendarById('primary').getEvents(new Date(now), new Date(now + 2 * DAY))
+        .filter(event => event.getTag('blocked') === 'true');
+    assert.strictEqual(shiftBlocks.length, 1);
+    assert.strictEqual(shiftBlocks[0].getStartTime().getTime(), now + DAY);
+    assert.strictEqual(shiftBlocks[0].getTag('sourceEventId'), 'shift@roster');
+
+    // The tags of the CalDAV block are stored as X- properties
+    assert.strictEqual(calDavServer.resources.size, 1);
+    const [body] = [...calDavServer.resources.values()].map(resource => resource.body);
+    assert.match(body, /X-SYNCFREEBUSY-BLOCKED:true/);
+    assert.match(body, /X-SYNCFREEBUSY-SOURCECALENDARID:primary/);
+    assert.match(body, /SUMMARY:primary: Dentist/);
+    assert.strictEqual(listCalDavBlocks()[0].getStartTime().getTime(), now + HOUR);
+});
+
+test('recognizes its CalDAV blocks on the next run and removes them with their source', () => {
+    const dentist = memoryBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const sync = createSync();
+    sync.synchronizeCalendars();
+
+    const report = sync.synchronizeCalendars();
+    assert.deepStrictEqual(report.actions, []);
+
+    dentist.deleteEvent();
+    sync.synchronizeCalendars();
+
+    assert.strictEqual(calDavServer.resources.size, 0);
+    assert.strictEqual(listCalDavBlocks().length, 0);
+});
+
+test('writes a CalDAV block with one PUT per change, and escapes UIDs in queries', () => {
+    const dentist = memoryBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const sync = createSync();
+    sync.synchronizeCalendars();
+
+    // The block is created, then tagged and styled at once
+    assert.strictEqual(calDavServer.methods.filter(method => method === 'PUT').length, 2);
+
+    calDavServer.methods.length = 0;
+    dentist.setTime(new Date(now + 3 * HOUR), new Date(now + 4 * HOUR));
+    sync.synchronizeCalendars();
+    assert.deepStrictEqual(calDavServer.methods.filter(method => method !== 'REPORT'), ['PUT']);
+    assert.strictEqual(listCalDavBlocks()[0].getStartTime().getTime(), now + 3 * HOUR);
+
+    // A series whose UID needs escaping in the query XML
+    const uid = 'standup<1>&co@example';
+    calDavServer.resources.set('https://caldav.example/calendars/me/work/standup.ics', {
+        etag: '"standup"',
+        body: [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            'DTSTAMP:20240101T000000Z',
+            `DTSTART:${formatUtc(now + DAY)}`,
+            `DTEND:${formatUtc(now + DAY + HOUR)}`,
+            'RRULE:FREQ=DAILY;COUNT=3',
+            'SUMMARY:Standup',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n') + '\r\n'
+    });
+    const instances = calendarBackend.listInstances('caldav', uid, new Date(now), new Date(now + 7 * DAY));
+    assert.deepStrictEqual(instances.map(instance => instance.startTime.getTime()), [now + DAY, now + 2 * DAY, now + 3 * DAY]);
+});
@@ -0,0 +1,155 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    SyncFreeBusy,
+    MemoryCalendarBackend,
+    summarizeSyncReport,
+    EmailReportHook,
+    EmailConflictHook,
+    SpreadsheetReportHook
+} = require('../index');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * A `MailApp` stand-in that keeps the sent emails in memory.
+ *
+ * @returns {Object} - The mail service, with the `sent` emails.
+ */
+const createMailApp = () => {
+    const sent = [];
+
+    return {
+        sent,
+        sendEmail: (recipient, subject, body) => sent.push({ recipient, subject, body })
+    };
+};
+
+/**
+ * A `SpreadsheetApp` stand-in that keeps the rows of every sheet in memory.
+ *
+ * @returns {Object} - The spreadsheet service, with the `rows` per `spreadsheetId/sheetName`.
+ */
+const createSpreadsheetApp = () => {
+    const rows = {};
+
+    const toSheet = (key) => ({
+        getLastRow: () => rows[key].length,
+        appendRow: (row) => rows[key].push(row)
+    });
+
+    return {
+        rows,
+        openById: (spreadsheetId) => ({
+            getSheetByName: (sheetName) => rows[`${spreadsheetId}/${sheetName}`] ? toSheet(`${spreadsheetId}/${sheetName}`) : null,
+            insertSheet: (sheetName) => {
+                rows[`${spreadsheetId}/${sheetName}`] = [];
+                return toSheet(`${spreadsheetId}/${sheetName}`);
+            }
+        })
+    };
+};
+
+let now;
+let calendarBackend;
+let mailApp;
+let spreadsheetApp;
+
+const createSync = (params = {}) => SyncFreeBusy({
+    primaryCalendarId: 'primary',
+    remoteCalendarId: 'remote',
+    calendarBackend,
+    ...params
+});
+
+beforeEach(() => {
+    now = Date.now();
+    calendarBackend = MemoryCalendarBackend({ calendars: [{ id: 'primary' }, { id: 'remote' }] });
+
+    // The hooks use the Apps Script services as globals
+    mailApp = createMailApp();
+    spreadsheetApp = createSpreadsheetApp();
+    globalThis.MailApp = mailApp;
+    globalThis.SpreadsheetApp = spreadsheetApp;
+});
+
+afterEach(() => {
+    delete globalThis.MailApp;
+    delete globalThis.SpreadsheetApp;
+});
+
+test('sums the counts of all directions of a report', () => {
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Gym', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Holiday', allDay: true, startTime: new Date(now + DAY), endTime: new Date(now + 2 * DAY) });
+
+    const report = createSync({ filter: { skipAllDayEvents: true } }).synchronizeCalendars();
+
+    assert.deepStrictEqual(summarizeSyncReport(report), { created: 2, updated: 0, deleted: 0, skipped: 1 });
+});
+
+test('onReport: passes the report of every run, and a failing hook never fails the run', () => {
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const reports = [];
+
+    const report = createSync({ onReport: published => reports.push(published) }).synchronizeCalendars();
+    const failingReport = createSync({ onReport: () => { throw new Error('Quota exceeded'); } }).synchronizeCalendars();
+
+    assert.deepStrictEqual(reports, [report]);
+    assert.strictEqual(failingReport.complete, true);
+});
+
+test('EmailReportHook: emails a summary of runs with changes or errors', () => {
+    assert.throws(() => EmailReportHook(), /recipient is required/);
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const sync = createSync({ onReport: EmailReportHook({ recipient: 'me@example.com' }) });
+
+    sync.synchronizeCalendars();
+    sync.synchronizeCalendars();
+
+    // The quiet second run is not emailed
+    assert.deepStrictEqual(mailApp.sent.map(({ recipient, subject }) => [recipient, subject]), [['me@example.com', 'SyncFreeBusy report']]);
+    const lines = mailApp.sent[0].body.split('\n');
+    assert.ok(lines.includes('Status: complete'));
+    assert.ok(lines.includes('primary -> remote: 1 created, 0 updated, 0 deleted, 0 skipped'));
+    assert.ok(lines.includes('remote -> primary: 0 created, 0 updated, 0 deleted, 0 skipped'));
+    assert.ok(lines.includes('Errors: 0'));
+
+    // Every run is emailed when asked for
+    createSync({ onReport: EmailReportHook({ recipient: 'me@example.com', subject: 'Sync', onlyOnChangesOrErrors: false }) }).synchronizeCalendars();
+    assert.deepStrictEqual(mailApp.sent.map(({ subject }) => subject), ['SyncFreeBusy report', 'Sync']);
+});
+
+test('EmailConflictHook: emails every new double-booking once', () => {
+    assert.throws(() => EmailConflictHook(), /recipient is required/);
+    calendarBackend.addEvent('primary', { title: 'Meeting', startTime: new Date(now + DAY), endTime: new Date(now + DAY + HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Call', startTime: new Date(now + DAY + HOUR / 2), endTime: new Date(now + DAY + 2 * HOUR) });
+    const sync = createSync({ conflicts: { onConflicts: EmailConflictHook({ recipient: 'me@example.com' }) } });
+
+    sync.synchronizeCalendars();
+    sync.synchronizeCalendars();
+
+    assert.deepStrictEqual(mailApp.sent.map(({ recipient, subject }) => [recipient, subject]), [['me@example.com', 'SyncFreeBusy: double-booked']]);
+    const lines = mailApp.sent[0].body.split('\n');
+    assert.strictEqual(lines[0], 'You are double-booked once:');
+    assert.ok(lines.some(line => line.startsWith('- Meeting (primary, ')));
+    assert.ok(lines.some(line => line.startsWith('- Call (remote, ')));
+});
+
+test('SpreadsheetReportHook: appends a row per run below a header row', () => {
+    assert.throws(() => SpreadsheetReportHook(), /spreadsheetId is required/);
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const sync = createSync({ onReport: SpreadsheetReportHook({ spreadsheetId: 'sheet-1' }) });
+
+    const report = sync.synchronizeCalendars();
+    sync.synchronizeCalendars();
+
+    const [header, ...rows] = spreadsheetApp.rows['sheet-1/SyncFreeBusy'];
+    assert.strictEqual(header[0], 'End time');
+    assert.strictEqual(rows.length, 2);
+    assert.deepStrictEqual(rows[0].slice(0, 9), [report.endTime, 'complete', report.window.start, report.window.end, 1, 0, 0, 0, 0]);
+    assert.deepStrictEqual(JSON.parse(rows[0][10]).directions, JSON.parse(JSON.stringify(report.directions)));
+    assert.deepStrictEqual(rows[1].slice(4, 9), [0, 0, 0, 0, 0]);
+});
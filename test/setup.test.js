@@ -0,0 +1,184 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    SyncFreeBusySetup,
+    MemoryStateStore,
+    MemoryCalendarBackend,
+    IcsCalendarBackend,
+    CompositeCalendarBackend
+} = require('../index');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * A `ScriptApp` stand-in that keeps the triggers of the project in memory.
+ *
+ * @returns {Object} - The trigger service.
+ */
+const createScriptApp = () => {
+    const EventType = { CLOCK: 'CLOCK', ON_EVENT_UPDATED: 'ON_EVENT_UPDATED' };
+    const TriggerSource = { CLOCK: 'CLOCK', CALENDAR: 'CALENDAR' };
+    const triggers = [];
+    let nextId = 1;
+
+    const createTrigger = (handlerFunction, eventType, triggerSource, triggerSourceId) => {
+        const id = String(nextId++);
+        const trigger = {
+            getUniqueId: () => id,
+            getHandlerFunction: () => handlerFunction,
+            getEventType: () => eventType,
+            getTriggerSource: () => triggerSource,
+            getTriggerSourceId: () => triggerSourceId
+        };
+        triggers.push(trigger);
+        return trigger;
+    };
+
+    const newTrigger = (handlerFunction) => ({
+        timeBased: () => ({
+            everyMinutes: () => ({ create: () => createTrigger(handlerFunction, EventType.CLOCK, TriggerSource.CLOCK, null) }),
+            after: () => ({ create: () => createTrigger(handlerFunction, EventType.CLOCK, TriggerSource.CLOCK, null) })
+        }),
+        forUserCalendar: (calendarId) => ({
+            onEventUpdated: () => ({ create: () => createTrigger(handlerFunction, EventType.ON_EVENT_UPDATED, TriggerSource.CALENDAR, calendarId) })
+        })
+    });
+
+    return {
+        EventType,
+        TriggerSource,
+        newTrigger,
+        getProjectTriggers: () => [...triggers],
+        deleteTrigger: (trigger) => triggers.splice(triggers.indexOf(trigger), 1)
+    };
+};
+
+let now;
+let memoryBackend;
+let stateStore;
+let scriptApp;
+let setup;
+
+beforeEach(() => {
+    now = Date.now();
+    const feed = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT',
+        'UID:match@club',
+        'DTSTAMP:20240101T000000Z',
+        `DTSTART:${new Date(now + DAY).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`,
+        `DTEND:${new Date(now + DAY + 2 * HOUR).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`,
+        'SUMMARY:Match',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    memoryBackend = MemoryCalendarBackend({ calendars: [{ id: 'primary' }, { id: 'remote' }] });
+    stateStore = MemoryStateStore();
+    scriptApp = createScriptApp();
+    setup = SyncFreeBusySetup({
+        calendarBackend: CompositeCalendarBackend({
+            backends: [{ backend: IcsCalendarBackend({ feeds: { club: 'https://club.example/feed.ics' }, fetchText: () => feed }), calendarIds: ['club'] }],
+            defaultBackend: memoryBackend
+        }),
+        stateStore,
+        scriptApp,
+        lockService: null
+    });
+});
+
+test('saves named sync pairs after checking write access, and runs them', () => {
+    memoryBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+
+    assert.throws(() => setup.saveSyncPair('feed', { syncGraph: [{ sourceCalendarId: 'primary', targetCalendarId: 'club' }] }),
+        /No write access to calendar club/);
+    assert.throws(() => setup.saveSyncPair('work', { primaryCalendarId: 'primary', remoteCalendarId: 'remote', filter: { excludeTitles: [/lunch/i] } }),
+        /cannot be stored/);
+
+    setup.saveSyncPair('work', { primaryCalendarId: 'primary', remoteCalendarId: 'remote' });
+    setup.saveSyncPair('club', { syncGraph: [{ sourceCalendarId: 'club', targetCalendarId: 'primary' }] });
+
+    assert.deepStrictEqual(setup.listSyncPairs(), ['work', 'club']);
+    assert.deepStrictEqual(setup.getSyncPair('club'), { syncGraph: [{ sourceCalendarId: 'club', targetCalendarId: 'primary' }] });
+    // The write checks leave nothing behind
+    assert.strictEqual(memoryBackend.getCalendarById('remote').getEvents(new Date(0), new Date(now + DAY)).length, 0);
+
+    // A calendar-updated trigger only runs the pairs of its calendar
+    assert.deepStrictEqual(Object.keys(setup.runSyncPairs({ calendarId: 'remote' })), ['work']);
+
+    const reports = setup.runSyncPairs();
+    assert.deepStrictEqual(Object.keys(reports), ['work', 'club']);
+    assert.ok(Object.values(reports).every(report => report.complete));
+    assert.deepStrictEqual(reports.club.actions.map(action => [action.type, action.calendarId]), [['create', 'primary']]);
+
+    // The calendar-updated triggers that the new blocks set off are skipped, but as they may be set off by a change
+    // of your own as well, they share one follow-up run of every pair
+    assert.deepStrictEqual(setup.runSyncPairs({ calendarId: 'primary' }), {});
+    memoryBackend.addEvent('primary', { title: 'Lunch', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    assert.deepStrictEqual(setup.runSyncPairs({ calendarId: 'primary' }), {});
+    assert.deepStrictEqual(setup.listTriggers().map(({ eventType, calendarId }) => [eventType, calendarId]), [['CLOCK', null]]);
+    assert.deepStrictEqual(Object.keys(setup.runSyncPairs({ calendarId: 'club' })), ['club']);
+
+    // The follow-up run synchronizes the change, and removes its trigger
+    const followUpReports = setup.runSyncPairs();
+    assert.deepStrictEqual(followUpReports.work.actions.map(action => [action.type, action.calendarId]), [['create', 'remote']]);
+    assert.deepStrictEqual(setup.listTriggers(), []);
+
+    assert.strictEqual(setup.removeSyncPair('club'), true);
+    assert.strictEqual(setup.removeSyncPair('club'), false);
+    assert.deepStrictEqual(setup.listSyncPairs(), ['work']);
+});
+
+test('checks write access with the access role of a calendar, and by writing when it is not known', () => {
+    memoryBackend.addCalendar('shared', 'Shared', undefined, 'reader');
+    const createdEvents = [];
+    const countingBackend = {
+        ...memoryBackend,
+        getCalendarById: (id) => {
+            const calendar = memoryBackend.getCalendarById(id);
+            return calendar && {
+                ...calendar,
+                createEvent: (...args) => {
+                    createdEvents.push(id);
+                    return calendar.createEvent(...args);
+                }
+            };
+        }
+    };
+
+    const roleSetup = SyncFreeBusySetup({ calendarBackend: countingBackend, stateStore, scriptApp, lockService: null });
+    assert.deepStrictEqual(roleSetup.checkWriteAccess(['primary', 'shared', 'missing']), [
+        { calendarId: 'primary', writable: true },
+        { calendarId: 'shared', writable: false, error: 'Access role reader' },
+        { calendarId: 'missing', writable: false, error: 'Calendar with ID missing not found' }
+    ]);
+    assert.deepStrictEqual(createdEvents, []);
+
+    // Without access roles, an event is written and deleted again
+    const probeSetup = SyncFreeBusySetup({ calendarBackend: { ...countingBackend, getAccessRole: undefined }, stateStore, scriptApp, lockService: null });
+    assert.deepStrictEqual(probeSetup.checkWriteAccess(['primary', 'primary']), [{ calendarId: 'primary', writable: true }]);
+    assert.deepStrictEqual(createdEvents, ['primary']);
+    assert.strictEqual(memoryBackend.getCalendarById('primary').getEvents(new Date(0), new Date(now + DAY)).length, 0);
+});
+
+test('installs, lists and removes the triggers of the sync pairs', () => {
+    setup.saveSyncPair('work', { primaryCalendarId: 'primary', remoteCalendarId: 'remote' });
+    scriptApp.newTrigger('somethingElse').timeBased().everyMinutes(5).create();
+
+    setup.installTriggers({ everyMinutes: 5 });
+    const triggers = setup.installTriggers({ everyMinutes: 5 });
+
+    assert.deepStrictEqual(triggers.map(({ eventType, calendarId }) => [eventType, calendarId]), [
+        ['CLOCK', null],
+        ['ON_EVENT_UPDATED', 'primary'],
+        ['ON_EVENT_UPDATED', 'remote']
+    ]);
+    assert.throws(() => setup.installTriggers({ everyMinutes: 7 }), /everyMinutes must be one of/);
+
+    assert.strictEqual(setup.removeTriggers(), 3);
+    assert.deepStrictEqual(setup.listTriggers(), []);
+    assert.strictEqual(scriptApp.getProjectTriggers().length, 1);
+});
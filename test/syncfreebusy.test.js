@@ -0,0 +1,1205 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { SyncFreeBusy, MemoryCalendarBackend, MemoryStateStore } = require('../index');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let calendarBackend;
+let now;
+
+/**
+ * Lists all events of a calendar in the memory backend.
+ *
+ * @param {string} calendarId - The ID of the calendar.
+ * @returns {Array<Object>} - The events.
+ */
+const listEvents = (calendarId) => calendarBackend.getCalendarById(calendarId)
+    .getEvents(new Date(now - 30 * DAY), new Date(now + 90 * DAY));
+
+/**
+ * Lists the blocking events of a calendar.
+ *
+ * @param {string} calendarId - The ID of the calendar.
+ * @returns {Array<Object>} - The blocking events.
+ */
+const listBlocks = (calendarId) => listEvents(calendarId).filter(event => event.getTag('blocked') === 'true');
+
+/**
+ * Wraps the memory backend, so the events of one calendar are created through a stand-in `createEvent` and the waits
+ * between retries are recorded instead of slept.
+ *
+ * @param {string} calendarId - The ID of the calendar.
+ * @param {Function} createEvent - Called with the calendar and the arguments of every `createEvent`.
+ * @param {Array<number>} [sleeps=[]] - Receives the waits between retries, in milliseconds.
+ * @returns {Object} - The calendar backend.
+ */
+const withCreateEvent = (calendarId, createEvent, sleeps = []) => ({
+    ...calendarBackend,
+    getCalendarById: (id) => {
+        const calendar = calendarBackend.getCalendarById(id);
+        return id === calendarId ? { ...calendar, createEvent: (...args) => createEvent(calendar, ...args) } : calendar;
+    },
+    sleep: (milliseconds) => sleeps.push(milliseconds)
+});
+
+const createSync = (params = {}) => SyncFreeBusy({
+    primaryCalendarId: 'primary',
+    remoteCalendarId: 'remote',
+    calendarBackend,
+    ...params
+});
+
+beforeEach(() => {
+    now = Date.now();
+    calendarBackend = MemoryCalendarBackend({ calendars: [{ id: 'primary' }, { id: 'remote' }] });
+});
+
+test('creates a blocking event in the other calendar for a new event', () => {
+    const event = calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+
+    const report = createSync().synchronizeCalendars();
+
+    const blocks = listBlocks('remote');
+    assert.strictEqual(blocks.length, 1);
+    assert.strictEqual(blocks[0].getTitle(), 'primary: Dentist');
+    assert.strictEqual(blocks[0].getStartTime().getTime(), now + HOUR);
+    assert.strictEqual(blocks[0].getEndTime().getTime(), now + 2 * HOUR);
+    assert.strictEqual(blocks[0].getTag('sourceEventId'), event.getId());
+    assert.strictEqual(blocks[0].getTag('sourceCalendarId'), 'primary');
+    assert.strictEqual(report.complete, true);
+    assert.deepStrictEqual(report.directions.map(direction => direction.created.count), [1, 0]);
+});
+
+test('never mirrors a blocking event back to its source calendar', () => {
+    calendarBackend.addEvent('remote', { title: 'Standup', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const sync = createSync();
+
+    sync.synchronizeCalendars();
+    const report = sync.synchronizeCalendars();
+
+    assert.strictEqual(listEvents('remote').length, 1);
+    assert.strictEqual(listBlocks('primary').length, 1);
+    assert.strictEqual(listBlocks('primary')[0].getTitle(), 'Blocked by remote calendar');
+    assert.deepStrictEqual(report.actions, []);
+});
+
+test('removes expired blocking events', () => {
+    calendarBackend.addEvent('remote', {
+        title: 'primary: Yesterday',
+        startTime: new Date(now - DAY - HOUR),
+        endTime: new Date(now - DAY),
+        tags: { blocked: 'true', sourceEventId: 'gone@memory', sourceCalendarId: 'primary' }
+    });
+
+    const report = createSync().synchronizeCalendars();
+
+    assert.strictEqual(listEvents('remote').length, 0);
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['delete', 'expired']]);
+});
+
+test('removes obsolete blocking events whose source event was deleted', () => {
+    const event = calendarBackend.addEvent('primary', { title: 'Lunch', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const sync = createSync();
+    sync.synchronizeCalendars();
+
+    event.deleteEvent();
+    const report = sync.synchronizeCalendars();
+
+    assert.strictEqual(listBlocks('remote').length, 0);
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['delete', 'source-deleted']]);
+});
+
+test('keeps the blocks of a calendar that cannot be read, and reports it as failed', () => {
+    calendarBackend.addEvent('primary', { title: 'Lunch', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    let isPrimaryGone = false;
+    const sync = createSync({
+        calendarBackend: {
+            ...calendarBackend,
+            getCalendarById: (id) => id === 'primary' && isPrimaryGone ? null : calendarBackend.getCalendarById(id)
+        }
+    });
+    sync.synchronizeCalendars();
+
+    isPrimaryGone = true;
+    const report = sync.synchronizeCalendars();
+
+    assert.strictEqual(listBlocks('remote').length, 1);
+    assert.deepStrictEqual(report.actions, []);
+    assert.deepStrictEqual(report.errors.map(({ calendarId, message }) => [calendarId, message]), [['primary', 'Calendar with ID primary not found']]);
+});
+
+test('moves the blocking event along with its source event', () => {
+    const event = calendarBackend.addEvent('primary', { title: 'Review', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const sync = createSync();
+    sync.synchronizeCalendars();
+    const blockId = listBlocks('remote')[0].getId();
+
+    event.setTime(new Date(now + 3 * HOUR), new Date(now + 4 * HOUR));
+    const report = sync.synchronizeCalendars();
+
+    const blocks = listBlocks('remote');
+    assert.strictEqual(blocks.length, 1);
+    assert.strictEqual(blocks[0].getId(), blockId);
+    assert.strictEqual(blocks[0].getStartTime().getTime(), now + 3 * HOUR);
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['update', 'source-changed']]);
+    assert.strictEqual(report.actions[0].previousStartTime.getTime(), now + HOUR);
+});
+
+test('only updates the block of a moved recurring instance', () => {
+    [1, 2, 3].forEach(day => calendarBackend.addEvent('primary', {
+        title: 'Daily',
+        startTime: new Date(now + day * DAY),
+        endTime: new Date(now + day * DAY + HOUR),
+        seriesId: 'daily@memory'
+    }));
+    const sync = createSync();
+    sync.synchronizeCalendars();
+
+    const [, second] = listEvents('primary');
+    second.setTime(new Date(now + 2 * DAY + 2 * HOUR), new Date(now + 2 * DAY + 3 * HOUR));
+    const report = sync.synchronizeCalendars();
+
+    assert.strictEqual(listBlocks('remote').length, 3);
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['update', 'source-changed']]);
+});
+
+test('removes all blocking events, past and future, and keeps other events', () => {
+    calendarBackend.addEvent('primary', { title: 'Planning', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Gym', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    calendarBackend.addEvent('remote', {
+        title: 'primary: Last week',
+        startTime: new Date(now - 2 * DAY),
+        endTime: new Date(now - 2 * DAY + HOUR),
+        tags: { blocked: 'true', sourceEventId: 'old@memory', sourceCalendarId: 'primary' }
+    });
+    const sync = createSync();
+    sync.synchronizeCalendars();
+
+    const actions = sync.removeBlockingEvents();
+
+    assert.strictEqual(listBlocks('primary').length, 0);
+    assert.strictEqual(listBlocks('remote').length, 0);
+    assert.deepStrictEqual(listEvents('primary').map(event => event.getTitle()), ['Planning']);
+    assert.deepStrictEqual(listEvents('remote').map(event => event.getTitle()), ['Gym']);
+    assert.ok(actions.every(action => action.type === 'delete' && action.reason === 'remove-all'));
+});
+
+test('does not change any calendar in a dry run', () => {
+    calendarBackend.addEvent('primary', { title: 'Interview', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+
+    const report = createSync({ dryRun: true }).synchronizeCalendars();
+
+    assert.strictEqual(listEvents('remote').length, 0);
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['create', 'not-blocked']]);
+});
+
+test('plans the actions of a synchronization without changing any calendar, and applies the same plan', () => {
+    const review = calendarBackend.addEvent('primary', { title: 'Review', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const lunch = calendarBackend.addEvent('primary', { title: 'Lunch', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    const sync = createSync();
+    sync.synchronizeCalendars();
+
+    review.setTime(new Date(now + 5 * HOUR), new Date(now + 6 * HOUR));
+    lunch.deleteEvent();
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + DAY), endTime: new Date(now + DAY + HOUR) });
+    const snapshot = () => ['primary', 'remote'].map(calendarId => listEvents(calendarId)
+        .map(event => [event.getId(), event.getTitle(), event.getStartTime().getTime(), event.getEndTime().getTime()]));
+    const before = snapshot();
+
+    const actions = sync.planSynchronization();
+
+    assert.deepStrictEqual(snapshot(), before);
+    assert.deepStrictEqual(actions.map(action => [action.type, action.reason, action.title]), [
+        ['delete', 'source-deleted', 'primary: Lunch'],
+        ['update', 'source-changed', 'primary: Review'],
+        ['create', 'not-blocked', 'primary: Dentist']
+    ]);
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, actions);
+});
+
+test('pads blocks, with travel time for events with a location, and keeps them on the next run', () => {
+    calendarBackend.addEvent('primary', { title: 'Call', startTime: new Date(now + DAY), endTime: new Date(now + DAY + HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Dentist', location: 'Main Street 1', startTime: new Date(now + 2 * DAY), endTime: new Date(now + 2 * DAY + HOUR) });
+    const sync = createSync({ availability: { paddingBefore: 5, paddingAfter: 10, travelPaddingBefore: 30, travelPaddingAfter: 30 } });
+
+    sync.synchronizeCalendars();
+    const report = sync.synchronizeCalendars();
+
+    const blocks = listBlocks('remote');
+    assert.deepStrictEqual(blocks.map(block => [block.getStartTime().getTime(), block.getEndTime().getTime()]), [
+        [now + DAY - 5 * 60 * 1000, now + DAY + HOUR + 10 * 60 * 1000],
+        [now + 2 * DAY - HOUR / 2, now + 2 * DAY + HOUR + HOUR / 2]
+    ]);
+    assert.deepStrictEqual(report.actions, []);
+});
+
+test('keeps the block of a source event that has ended while its padding still runs', () => {
+    const event = calendarBackend.addEvent('primary', { title: 'Dentist', location: 'Main Street 1', startTime: new Date(now - HOUR), endTime: new Date(now - 10 * 60 * 1000) });
+    const availability = { travelPaddingAfter: 30 };
+
+    const report = createSync({ availability }).synchronizeCalendars();
+
+    const blocks = listBlocks('remote');
+    assert.deepStrictEqual(blocks.map(block => [block.getTag('sourceEventId'), block.getEndTime().getTime()]), [[event.getId(), now + 20 * 60 * 1000]]);
+    assert.deepStrictEqual(report.actions.map(action => action.type), ['create']);
+
+    // The source event is in the window of the run, or looked up on its own when it is not
+    assert.deepStrictEqual(createSync({ availability }).synchronizeCalendars().actions, []);
+    assert.deepStrictEqual(createSync({ availability, lookBackPeriod: 0 }).synchronizeCalendars().actions, []);
+    assert.strictEqual(listBlocks('remote').length, 1);
+});
+
+test('merges adjacent source events into one block and removes the blocks they replace', () => {
+    calendarBackend.addEvent('primary', { title: 'Standup', startTime: new Date(now + DAY), endTime: new Date(now + DAY + HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Review', startTime: new Date(now + DAY + HOUR), endTime: new Date(now + DAY + 2 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Lunch', startTime: new Date(now + DAY + 3 * HOUR), endTime: new Date(now + DAY + 4 * HOUR) });
+    createSync().synchronizeCalendars();
+    assert.strictEqual(listBlocks('remote').length, 3);
+
+    const sync = createSync({ availability: { merge: true } });
+    const report = sync.synchronizeCalendars();
+
+    const blocks = listBlocks('remote');
+    assert.deepStrictEqual(blocks.map(block => [block.getTitle(), block.getStartTime().getTime(), block.getEndTime().getTime()]), [
+        ['primary: Standup, Review', now + DAY, now + DAY + 2 * HOUR],
+        ['primary: Lunch', now + DAY + 3 * HOUR, now + DAY + 4 * HOUR]
+    ]);
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['delete', 'merged'], ['update', 'source-changed']]);
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, []);
+});
+
+test('keeps a running merged block when its first source event ends', () => {
+    const standup = calendarBackend.addEvent('primary', { title: 'Standup', startTime: new Date(now - HOUR), endTime: new Date(now + HOUR / 6) });
+    calendarBackend.addEvent('primary', { title: 'Review', startTime: new Date(now + HOUR / 3), endTime: new Date(now + 2 * HOUR) });
+    const sync = createSync({ availability: { merge: true, mergeGap: 30 } });
+    sync.synchronizeCalendars();
+
+    // The standup ends early, but is still merged with the review
+    standup.setTime(new Date(now - HOUR), new Date(now - HOUR / 6));
+    const report = sync.synchronizeCalendars();
+
+    const blocks = listBlocks('remote');
+    assert.deepStrictEqual(blocks.map(block => [block.getTitle(), block.getTag('sourceEventId'), block.getStartTime().getTime(), block.getEndTime().getTime()]), [
+        ['primary: Standup, Review', standup.getId(), now - HOUR, now + 2 * HOUR]
+    ]);
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['update', 'source-changed']]);
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, []);
+});
+
+test('cuts blocks to the working hours and days of the target calendar', () => {
+    calendarBackend = MemoryCalendarBackend({ calendars: [{ id: 'primary' }, { id: 'remote', timeZone: 'Asia/Tokyo' }] });
+
+    // The first Monday in Tokyo at least two days from now, at midnight Tokyo time
+    const tokyoOffset = 9 * HOUR;
+    let monday = Math.floor((now + tokyoOffset) / DAY) * DAY + 2 * DAY;
+    while (new Date(monday).getUTCDay() !== 1) {
+        monday += DAY;
+    }
+    monday -= tokyoOffset;
+
+    calendarBackend.addEvent('primary', { title: 'Early', startTime: new Date(monday + 8 * HOUR), endTime: new Date(monday + 10 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Overnight', startTime: new Date(monday + 16 * HOUR), endTime: new Date(monday + DAY + 10 * HOUR) });
+    const saturday = calendarBackend.addEvent('primary', { title: 'Weekend', startTime: new Date(monday + 5 * DAY + 10 * HOUR), endTime: new Date(monday + 5 * DAY + 11 * HOUR) });
+    const sync = createSync({ availability: { workingHours: { start: '09:00', end: '17:00' }, workingDays: [1, 2, 3, 4, 5] } });
+
+    const report = sync.synchronizeCalendars();
+
+    assert.deepStrictEqual(listBlocks('remote').map(block => [block.getStartTime().getTime() - monday, block.getEndTime().getTime() - monday]), [
+        [9 * HOUR, 10 * HOUR],
+        [16 * HOUR, 17 * HOUR],
+        [DAY + 9 * HOUR, DAY + 10 * HOUR]
+    ]);
+    assert.deepStrictEqual(report.directions[0].skipped.eventIds, [saturday.getId()]);
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, []);
+});
+
+test('reports real double-bookings, notifies once and tags them until they are resolved', () => {
+    const meeting = calendarBackend.addEvent('primary', { title: 'Meeting', color: '2', startTime: new Date(now + DAY), endTime: new Date(now + DAY + HOUR) });
+    const call = calendarBackend.addEvent('remote', { title: 'Call', startTime: new Date(now + DAY + HOUR / 2), endTime: new Date(now + DAY + 2 * HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Lunch', transparency: 'TRANSPARENT', startTime: new Date(now + DAY), endTime: new Date(now + DAY + HOUR) });
+    const notifications = [];
+    const sync = createSync({ conflicts: { onConflicts: conflicts => notifications.push(conflicts), tagEvents: true, color: '11' } });
+
+    const report = sync.synchronizeCalendars();
+    sync.synchronizeCalendars();
+
+    assert.deepStrictEqual(report.conflicts.map(conflict => [conflict.startTime.getTime(), conflict.endTime.getTime(), conflict.events.map(event => event.title)]), [
+        [now + DAY + HOUR / 2, now + DAY + HOUR, ['Meeting', 'Call']]
+    ]);
+    assert.strictEqual(notifications.length, 1);
+    assert.strictEqual(meeting.getTag('conflict'), 'true');
+    assert.strictEqual(meeting.getColor(), '11');
+    assert.strictEqual(call.getTag('conflict'), 'true');
+
+    call.setTime(new Date(now + DAY + HOUR), new Date(now + DAY + 2 * HOUR));
+    const resolvedReport = sync.synchronizeCalendars();
+
+    assert.deepStrictEqual(resolvedReport.conflicts, []);
+    assert.strictEqual(meeting.getTag('conflict'), null);
+    assert.strictEqual(meeting.getColor(), '2');
+    assert.strictEqual(call.getTag('conflict'), null);
+});
+
+test('keeps the blocks of other instances apart and upgrades blocks of older versions', () => {
+    const dentist = calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('remote', {
+        title: 'primary: Dentist',
+        startTime: new Date(now + HOUR),
+        endTime: new Date(now + 2 * HOUR),
+        tags: { blocked: 'true', sourceEventId: dentist.getId(), sourceCalendarId: 'primary' }
+    });
+    const laptop = createSync({ instanceId: 'laptop' });
+
+    const upgradeReport = laptop.synchronizeCalendars();
+
+    assert.deepStrictEqual(upgradeReport.actions.map(action => [action.type, action.reason]), [['update', 'schema-upgraded']]);
+    const [block] = listBlocks('remote');
+    assert.strictEqual(block.getTag('syncInstanceId'), 'laptop');
+    assert.strictEqual(block.getTag('schemaVersion'), '2');
+    assert.ok(block.getTag('sourceHash'));
+
+    // A second instance creates its own block, and neither touches the block of the other
+    const report = createSync().synchronizeCalendars();
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['create', 'not-blocked']]);
+    assert.deepStrictEqual(laptop.synchronizeCalendars().actions, []);
+
+    dentist.deleteEvent();
+    createSync().synchronizeCalendars();
+    assert.deepStrictEqual(listBlocks('remote').map(event => event.getTag('syncInstanceId')), ['laptop']);
+});
+
+test('finds and repairs duplicate, orphaned and untagged blocking events', () => {
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Lunch', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Gym', startTime: new Date(now + 9 * HOUR), endTime: new Date(now + 10 * HOUR) });
+    const sync = createSync();
+    sync.synchronizeCalendars();
+
+    // A copy of a block, a block whose tags were lost, blocks of a gone source event and of a calendar that is no
+    // longer synchronized, an untagged copy of a block with the default title, and an event of your own with that
+    // title
+    const [dentistBlock, lunchBlock] = listBlocks('remote');
+    const tags = ['blocked', 'syncInstanceId', 'sourceEventId', 'sourceEventKey', 'sourceCalendarId', 'sourceHash', 'schemaVersion']
+        .reduce((copy, name) => ({ ...copy, [name]: dentistBlock.getTag(name) }), {});
+    calendarBackend.addEvent('remote', { title: 'primary: Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR), tags });
+    lunchBlock.deleteEvent();
+    calendarBackend.addEvent('remote', { title: 'primary: Lunch', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    calendarBackend.addEvent('remote', {
+        title: 'primary: Cancelled',
+        startTime: new Date(now + 5 * HOUR),
+        endTime: new Date(now + 6 * HOUR),
+        tags: { blocked: 'true', sourceEventId: 'gone@memory', sourceCalendarId: 'primary' }
+    });
+    calendarBackend.addEvent('remote', {
+        title: 'old: Standup',
+        startTime: new Date(now + 7 * HOUR),
+        endTime: new Date(now + 8 * HOUR),
+        tags: { blocked: 'true', sourceEventId: 'standup@memory', sourceCalendarId: 'old' }
+    });
+    calendarBackend.addEvent('primary', { title: 'Blocked by remote calendar', startTime: new Date(now + 9 * HOUR), endTime: new Date(now + 10 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Blocked by remote calendar', startTime: new Date(now + 11 * HOUR), endTime: new Date(now + 12 * HOUR) });
+
+    const orphans = sync.findOrphans();
+
+    assert.deepStrictEqual(orphans.map(action => `${action.type} ${action.reason} ${action.calendarId}`).sort(), [
+        'delete duplicate remote',
+        'delete source-deleted remote',
+        'delete source-not-synchronized remote',
+        'delete untagged primary',
+        'review title-match primary',
+        'update adopted remote'
+    ]);
+    assert.strictEqual(listEvents('remote').length, 6);
+
+    sync.repairBlockingEvents();
+
+    assert.deepStrictEqual(listEvents('remote').map(event => [event.getTitle(), event.getTag('blocked')]),
+        [['primary: Dentist', 'true'], ['primary: Lunch', 'true'], ['Gym', null]]);
+    assert.deepStrictEqual(listEvents('primary').map(event => [event.getTitle(), event.getTag('blocked')]), [
+        ['Dentist', null],
+        ['Lunch', null],
+        ['Blocked by remote calendar', 'true'],
+        ['Blocked by remote calendar', null]
+    ]);
+    assert.deepStrictEqual(sync.findOrphans().map(action => `${action.type} ${action.reason}`), ['review title-match']);
+
+    // The event that was kept is a real event, so it is mirrored like any other
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions.map(action => [action.type, action.title]),
+        [['create', 'primary: Blocked by remote calendar']]);
+});
+
+test('never deletes an event of your own that only has the title of a block', () => {
+    calendarBackend.addEvent('remote', { title: 'Standup', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Busy', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Busy', startTime: new Date(now - DAY), endTime: new Date(now - DAY + HOUR) });
+    const sync = createSync({ blockTemplate: { title: 'Busy' } });
+    sync.synchronizeCalendars();
+
+    const repairs = sync.repairBlockingEvents();
+
+    assert.deepStrictEqual(repairs, []);
+    assert.deepStrictEqual(sync.findOrphans().map(action => `${action.type} ${action.reason} ${action.title}`),
+        ['review title-match Busy', 'review title-match Busy']);
+    assert.strictEqual(listEvents('primary').filter(event => event.getTag('blocked') === null).length, 2);
+});
+
+test('removes a selection of blocking events, beyond the window and for other instances', () => {
+    calendarBackend.addEvent('primary', { title: 'Planning', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Gym', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    const sync = createSync();
+    sync.synchronizeCalendars();
+    calendarBackend.addEvent('remote', {
+        title: 'primary: Conference',
+        startTime: new Date(now + 80 * DAY),
+        endTime: new Date(now + 80 * DAY + HOUR),
+        tags: { blocked: 'true', sourceEventId: 'conference@memory', sourceCalendarId: 'primary' }
+    });
+    calendarBackend.addEvent('remote', {
+        title: 'primary: Planning',
+        startTime: new Date(now + HOUR),
+        endTime: new Date(now + 2 * HOUR),
+        tags: { blocked: 'true', syncInstanceId: 'laptop', sourceEventId: 'planning@memory', sourceCalendarId: 'primary' }
+    });
+    const end = new Date(now + 90 * DAY);
+
+    const planned = sync.removeBlockingEvents({ sourceCalendarId: 'primary', targetCalendarId: 'remote', end, dryRun: true });
+
+    assert.deepStrictEqual(planned.map(action => [action.type, action.reason, action.title]),
+        [['delete', 'remove-selected', 'primary: Planning'], ['delete', 'remove-selected', 'primary: Conference']]);
+    assert.strictEqual(listBlocks('remote').length, 3);
+
+    const removed = sync.removeBlockingEvents({ end, predicate: block => block.startTime.getTime() > now + DAY });
+    assert.deepStrictEqual(removed.map(action => action.title), ['primary: Conference']);
+
+    assert.throws(() => sync.removeBlockingEvents({ targetCalendarId: 'work' }), /Calendar work is not a target calendar of the sync graph/);
+    assert.throws(() => sync.removeBlockingEvents({ sourceCalendarId: 'work' }), /Calendar work is not a source calendar of the sync graph/);
+    assert.strictEqual(listBlocks('remote').length, 2);
+
+    sync.removeBlockingEvents({ instanceId: 'laptop' });
+    assert.deepStrictEqual(listBlocks('remote').map(event => event.getTag('syncInstanceId')), ['default']);
+    assert.strictEqual(listBlocks('primary').length, 1);
+});
+
+test('computes the window at every call, per direction, or from an explicit window', () => {
+    calendarBackend.addEvent('primary', { title: 'Soon', startTime: new Date(now + 2 * DAY), endTime: new Date(now + 2 * DAY + HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Later', startTime: new Date(now + 30 * DAY), endTime: new Date(now + 30 * DAY + HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Trip', startTime: new Date(now + 80 * DAY), endTime: new Date(now + 80 * DAY + HOUR) });
+    const sync = createSync({
+        primaryCalendarId: undefined,
+        remoteCalendarId: undefined,
+        syncGraph: [
+            { sourceCalendarId: 'primary', targetCalendarId: 'remote', lookAheadPeriod: 14 * DAY },
+            { sourceCalendarId: 'remote', targetCalendarId: 'primary', lookAheadPeriod: 90 * DAY }
+        ]
+    });
+
+    const dateNow = mock.method(Date, 'now', () => now);
+    const report = sync.synchronizeCalendars();
+    dateNow.mock.mockImplementation(() => now + DAY);
+    const nextReport = sync.synchronizeCalendars();
+    mock.restoreAll();
+
+    // The calendars are fetched for the widest window, and every direction only mirrors its own
+    assert.deepStrictEqual(report.window, { start: new Date(now - 7 * DAY), end: new Date(now + 90 * DAY) });
+    assert.deepStrictEqual(nextReport.window, { start: new Date(now - 6 * DAY), end: new Date(now + 91 * DAY) });
+    assert.deepStrictEqual(listBlocks('remote').map(event => event.getTitle()), ['Blocked by remote calendar']);
+    assert.strictEqual(listBlocks('remote')[0].getStartTime().getTime(), now + 2 * DAY);
+    assert.strictEqual(listBlocks('primary')[0].getStartTime().getTime(), now + 80 * DAY);
+
+    // A backfill of an explicit window, which later runs leave alone
+    const backfill = sync.synchronizeCalendars({ window: { start: new Date(now), end: new Date(now + 60 * DAY) } });
+    assert.deepStrictEqual(backfill.actions.map(action => [action.type, action.reason, action.startTime.getTime()]),
+        [['create', 'not-blocked', now + 30 * DAY]]);
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, []);
+    assert.throws(() => sync.synchronizeCalendars({ window: { start: new Date(now), end: new Date(now) } }), /start before end/);
+});
+
+test('mirrors your response and the transparency of source events onto their blocks', () => {
+    const standup = calendarBackend.addEvent('primary', { title: 'Standup', myStatus: 'MAYBE', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const offsite = calendarBackend.addEvent('primary', { title: 'Offsite', myStatus: 'NO', startTime: new Date(now + DAY), endTime: new Date(now + DAY + HOUR) });
+    const interview = calendarBackend.addEvent('primary', { title: 'Interview', myStatus: 'INVITED', startTime: new Date(now + 2 * DAY), endTime: new Date(now + 2 * DAY + HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Focus', transparency: 'TRANSPARENT', startTime: new Date(now + 3 * DAY), endTime: new Date(now + 3 * DAY + HOUR) });
+    createSync().synchronizeCalendars();
+
+    // By default every source event gets a busy block
+    assert.deepStrictEqual(listBlocks('remote').map(event => [event.getTitle(), event.getTransparency()]), [
+        ['primary: Standup', 'OPAQUE'],
+        ['primary: Offsite', 'OPAQUE'],
+        ['primary: Interview', 'OPAQUE'],
+        ['primary: Focus', 'OPAQUE']
+    ]);
+
+    // Declined events lose their block, tentative blocks are prefixed and free events get free blocks
+    const busyStatus = { declined: 'skip', free: 'free', tentativePrefix: 'Tentative: ' };
+    const sync = createSync({ busyStatus });
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions.map(action => [action.type, action.reason, action.title]).sort(), [
+        ['delete', 'filtered', 'primary: Offsite'],
+        ['update', 'status-changed', 'Tentative: primary: Standup'],
+        ['update', 'status-changed', 'primary: Focus']
+    ]);
+    assert.deepStrictEqual(listBlocks('remote').map(event => [event.getTitle(), event.getTransparency()]), [
+        ['Tentative: primary: Standup', 'OPAQUE'],
+        ['primary: Interview', 'OPAQUE'],
+        ['primary: Focus', 'TRANSPARENT']
+    ]);
+
+    // The blocks follow a changed response
+    standup.setMyStatus('NO');
+    offsite.setMyStatus('YES');
+    interview.setMyStatus('MAYBE');
+    const report = sync.synchronizeCalendars();
+
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason, action.title]).sort(), [
+        ['create', 'not-blocked', 'primary: Offsite'],
+        ['delete', 'filtered', 'Tentative: primary: Standup'],
+        ['update', 'status-changed', 'Tentative: primary: Interview']
+    ]);
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, []);
+
+    // Tentative events can show as free too
+    const freeSync = createSync({ busyStatus: { ...busyStatus, tentative: 'free', tentativePrefix: '' } });
+    assert.deepStrictEqual(freeSync.synchronizeCalendars().actions.map(action => [action.type, action.reason, action.title]), [
+        ['update', 'status-changed', 'primary: Interview']
+    ]);
+    assert.strictEqual(String(listBlocks('remote').find(event => event.getTitle() === 'primary: Interview').getTransparency()), 'TRANSPARENT');
+    assert.throws(() => createSync({ busyStatus: { declined: 'hidden' } }), /busyStatus.declined must be 'busy', 'free' or 'skip'/);
+});
+
+test('keeps the state of every instance apart, and moves the state of older versions', () => {
+    calendarBackend.addEvent('primary', { title: 'Planning', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR), lastUpdated: new Date(now - DAY) });
+    const values = {};
+    const stateStore = {
+        get: (key) => key in values ? values[key] : null,
+        set: (key, value) => { values[key] = value; },
+        remove: (key) => { delete values[key]; }
+    };
+
+    createSync({ stateStore, incremental: true }).synchronizeCalendars();
+    createSync({ stateStore, incremental: true, instanceId: 'laptop' }).synchronizeCalendars();
+
+    // Every instance keeps its watermark under a key with its instance ID
+    const watermarkKeys = Object.keys(values).filter(key => key.split(':').length === 3);
+    assert.strictEqual(watermarkKeys.length, 2);
+    const [defaultKey, laptopKey] = watermarkKeys;
+    assert.match(defaultKey, /^SyncFreeBusy:default:/);
+    assert.strictEqual(laptopKey, defaultKey.replace(':default:', ':laptop:'));
+
+    // The state of an older version, without the instance ID in its key, is moved once by the first run that saves
+    // state; dry runs and plans leave it alone
+    const legacyKey = defaultKey.replace(':default:', ':');
+    const watermark = values[defaultKey];
+    Object.keys(values).forEach(key => delete values[key]);
+    values[legacyKey] = watermark;
+
+    createSync({ stateStore, incremental: true, dryRun: true }).synchronizeCalendars();
+    createSync({ stateStore, incremental: true }).planSynchronization();
+    assert.deepStrictEqual(values, { [legacyKey]: watermark });
+
+    const fetches = {};
+    createSync({ calendarBackend: withFetchCounts(fetches), stateStore, incremental: true }).synchronizeCalendars();
+    assert.deepStrictEqual(fetches, {});
+    assert.deepStrictEqual(Object.keys(values), [defaultKey]);
+    createSync({ stateStore, incremental: true, instanceId: 'laptop' }).synchronizeCalendars();
+    assert.ok(!(legacyKey in values));
+});
+
+test('retries transient failures with exponential backoff, and fails permanent ones at once', () => {
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Lunch', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    const sleeps = [];
+    let failures = 0;
+    const backend = withCreateEvent('remote', (calendar, title, ...args) => {
+        if (title === 'primary: Lunch') {
+            throw new Error('Event not found');
+        }
+        if (failures++ < 2) {
+            throw new Error('Rate limit exceeded');
+        }
+        return calendar.createEvent(title, ...args);
+    }, sleeps);
+    mock.method(Math, 'random', () => 0);
+
+    const report = createSync({ calendarBackend: backend, retryDelay: 100 }).synchronizeCalendars();
+    mock.restoreAll();
+
+    // Two retries of the transient failure, twice as long apart; no retry of the permanent one
+    assert.deepStrictEqual(sleeps, [100, 200]);
+    assert.deepStrictEqual(listBlocks('remote').map(event => event.getTitle()), ['primary: Dentist']);
+    assert.deepStrictEqual(report.errors.map(error => [error.message, error.transient, error.failedRuns]), [['Event not found', false, 1]]);
+
+    // A transient failure that outlasts the retries fails the action
+    const stillFailing = withCreateEvent('remote', () => {
+        throw new Error('Service unavailable');
+    }, sleeps);
+    sleeps.length = 0;
+    const failedReport = createSync({ calendarBackend: stillFailing, maxRetries: 1, retryDelay: 0 }).synchronizeCalendars();
+    assert.strictEqual(sleeps.length, 1);
+    assert.deepStrictEqual(failedReport.errors.map(error => [error.message, error.transient]), [['Service unavailable', true]]);
+});
+
+test('never leaves a second block behind when a creation times out after it succeeded', () => {
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    let calls = 0;
+    const backend = withCreateEvent('remote', (calendar, ...args) => {
+        calls++;
+        calendar.createEvent(...args);
+        if (calls === 1) {
+            throw new Error('Timed out waiting for the server');
+        }
+    });
+
+    const report = createSync({ calendarBackend: backend, retryDelay: 0 }).synchronizeCalendars();
+
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(report.errors, []);
+    assert.deepStrictEqual(listEvents('remote').map(event => [event.getTitle(), event.getTag('blocked')]), [['primary: Dentist', 'true']]);
+});
+
+test('quarantines an action that failed in too many runs, and attempts it again after a week', () => {
+    calendarBackend.addEvent('primary', { title: 'Offsite', startTime: new Date(now + 10 * DAY), endTime: new Date(now + 10 * DAY + HOUR) });
+    let attempts = 0;
+    let isBroken = true;
+    const backend = withCreateEvent('remote', (calendar, ...args) => {
+        attempts++;
+        if (isBroken) {
+            throw new Error('Invalid argument');
+        }
+        return calendar.createEvent(...args);
+    });
+    const stateStore = MemoryStateStore();
+    const sync = createSync({ calendarBackend: backend, stateStore, stateKey: 'quarantine', quarantineAfter: 2 });
+
+    const dateNow = mock.method(Date, 'now', () => now);
+    const reports = [1, 2, 3].map(() => sync.synchronizeCalendars());
+
+    // After two failed runs the action is no longer attempted, but listed in the report
+    assert.strictEqual(attempts, 2);
+    assert.deepStrictEqual(reports.map(report => [report.errors.length, report.quarantined.length]), [[1, 0], [1, 0], [0, 1]]);
+    assert.strictEqual(reports[1].errors[0].quarantined, true);
+    assert.deepStrictEqual(Object.values(stateStore.get('quarantine:failures')).map(failure => [failure.failedRuns, failure.lastError]),
+        [[2, 'Invalid argument']]);
+
+    // A week later the quarantine is lifted, and a success forgets the failures
+    isBroken = false;
+    dateNow.mock.mockImplementation(() => now + 8 * DAY);
+    const report = sync.synchronizeCalendars();
+    mock.restoreAll();
+
+    assert.strictEqual(attempts, 3);
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['create', 'not-blocked']]);
+    assert.strictEqual(stateStore.get('quarantine:failures'), null);
+});
+
+test('mirrors every calendar into every other calendar with calendarIds, and never mirrors a block again', () => {
+    calendarBackend.addCalendar('family');
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('family', { title: 'School run', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    const sync = createSync({ primaryCalendarId: undefined, remoteCalendarId: undefined, calendarIds: ['primary', 'remote', 'family'] });
+
+    const report = sync.synchronizeCalendars();
+
+    // Every real event has one block in each other calendar, tagged with the calendar of the real event
+    const describeBlocks = (calendarId) => listBlocks(calendarId).map(event => [event.getStartTime().getTime(), event.getTag('sourceCalendarId')]);
+    assert.deepStrictEqual(describeBlocks('primary'), [[now + 3 * HOUR, 'family']]);
+    assert.deepStrictEqual(describeBlocks('remote'), [[now + HOUR, 'primary'], [now + 3 * HOUR, 'family']]);
+    assert.deepStrictEqual(describeBlocks('family'), [[now + HOUR, 'primary']]);
+    assert.strictEqual(report.directions.length, 6);
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, []);
+});
+
+test('follows the directions of a sync graph, without passing blocks on along a chain', () => {
+    calendarBackend.addCalendar('family');
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('family', { title: 'School run', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    const sync = createSync({
+        primaryCalendarId: undefined,
+        remoteCalendarId: undefined,
+        syncGraph: [
+            { sourceCalendarId: 'primary', targetCalendarId: 'remote', isPersonalCalendar: true },
+            { sourceCalendarId: 'remote', targetCalendarId: 'family' }
+        ]
+    });
+
+    sync.synchronizeCalendars();
+    sync.synchronizeCalendars();
+
+    // The block of the dentist in the remote calendar is not mirrored into the family calendar
+    assert.deepStrictEqual(listBlocks('remote').map(event => [event.getTitle(), event.getTag('sourceCalendarId')]), [['primary: Dentist', 'primary']]);
+    assert.deepStrictEqual(listBlocks('family'), []);
+    assert.deepStrictEqual(listBlocks('primary'), []);
+    assert.throws(() => createSync({ primaryCalendarId: undefined, remoteCalendarId: undefined, calendarIds: ['primary', 'primary'] }),
+        /at least two different calendar IDs/);
+});
+
+/**
+ * Lists the titles of the source events that got a block in the remote calendar.
+ *
+ * @returns {Array<string>} - The titles of the blocks, without the calendar prefix.
+ */
+const listMirroredTitles = () => listBlocks('remote').map(event => event.getTitle().replace(/^primary: /, ''));
+
+test('filter: skips all-day events', () => {
+    calendarBackend.addEvent('primary', { title: 'Holiday', allDay: true, startTime: new Date(now + DAY), endTime: new Date(now + 2 * DAY) });
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+
+    const report = createSync({ filter: { skipAllDayEvents: true } }).synchronizeCalendars();
+
+    assert.deepStrictEqual(listMirroredTitles(), ['Dentist']);
+    assert.strictEqual(report.directions.find(direction => direction.targetCalendarId === 'remote').skipped.count, 1);
+});
+
+test('filter: skips free events', () => {
+    calendarBackend.addEvent('primary', { title: 'Focus', transparency: 'TRANSPARENT', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+
+    createSync({ filter: { skipFreeEvents: true } }).synchronizeCalendars();
+
+    assert.deepStrictEqual(listMirroredTitles(), ['Dentist']);
+});
+
+test('filter: skips declined and unanswered events', () => {
+    calendarBackend.addEvent('primary', { title: 'All hands', myStatus: 'NO', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Interview', myStatus: 'INVITED', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Review', myStatus: 'YES', startTime: new Date(now + 5 * HOUR), endTime: new Date(now + 6 * HOUR) });
+
+    createSync({ filter: { skipDeclinedEvents: true } }).synchronizeCalendars();
+    assert.deepStrictEqual(listMirroredTitles(), ['Interview', 'Review']);
+
+    // Blocks of events that no longer pass the rules are removed
+    const report = createSync({ filter: { skipDeclinedEvents: true, skipUnansweredEvents: true } }).synchronizeCalendars();
+    assert.deepStrictEqual(listMirroredTitles(), ['Review']);
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['delete', 'filtered']]);
+});
+
+test('filter: skips events shorter than the minimum duration', () => {
+    calendarBackend.addEvent('primary', { title: 'Check-in', startTime: new Date(now + HOUR), endTime: new Date(now + HOUR + 10 * 60 * 1000) });
+    calendarBackend.addEvent('primary', { title: 'Standup', startTime: new Date(now + 2 * HOUR), endTime: new Date(now + 2 * HOUR + 15 * 60 * 1000) });
+
+    createSync({ filter: { minimumDuration: 15 } }).synchronizeCalendars();
+
+    assert.deepStrictEqual(listMirroredTitles(), ['Standup']);
+});
+
+test('filter: excludes titles by case-insensitive text and by regular expression', () => {
+    ['Focus time', 'FOCUS TIME (deep work)', 'OOO dentist', 'Gooose', 'Planning'].forEach((title, index) => calendarBackend.addEvent('primary', {
+        title,
+        startTime: new Date(now + (index + 1) * HOUR),
+        endTime: new Date(now + (index + 1) * HOUR + 30 * 60 * 1000)
+    }));
+
+    createSync({ filter: { excludeTitles: ['focus time', /^OOO\b/] } }).synchronizeCalendars();
+
+    assert.deepStrictEqual(listMirroredTitles(), ['Gooose', 'Planning']);
+});
+
+test('filter: excludes colours', () => {
+    calendarBackend.addEvent('primary', { title: 'Gym', color: '8', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('primary', { title: 'Dentist', color: '11', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+
+    createSync({ filter: { excludeColors: ['8'] } }).synchronizeCalendars();
+
+    assert.deepStrictEqual(listMirroredTitles(), ['Dentist']);
+});
+
+test('filter: a sync graph edge overrides single rules for its direction', () => {
+    calendarBackend.addEvent('primary', { title: 'Gym', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Gym', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    calendarBackend.addEvent('remote', { title: 'Holiday', allDay: true, startTime: new Date(now + DAY), endTime: new Date(now + 2 * DAY) });
+
+    createSync({
+        primaryCalendarId: undefined,
+        remoteCalendarId: undefined,
+        filter: { excludeTitles: ['gym'], skipAllDayEvents: true },
+        syncGraph: [
+            { sourceCalendarId: 'primary', targetCalendarId: 'remote' },
+            { sourceCalendarId: 'remote', targetCalendarId: 'primary', filter: { excludeTitles: [] } }
+        ]
+    }).synchronizeCalendars();
+
+    // Only the gym of the remote calendar passes; the all-day rule still applies to both directions
+    assert.deepStrictEqual(listBlocks('remote'), []);
+    assert.deepStrictEqual(listBlocks('primary').map(event => event.getStartTime().getTime()), [now + 3 * HOUR]);
+});
+
+test('template: fills in the placeholders and keeps unknown ones literal', () => {
+    calendarBackend = MemoryCalendarBackend({ calendars: [{ id: 'primary', name: 'Work' }, { id: 'remote' }] });
+    const event = calendarBackend.addEvent('primary', {
+        title: 'Dentist',
+        location: 'Main Street 1',
+        startTime: new Date(now + HOUR),
+        endTime: new Date(now + 2 * HOUR + 30 * 60 * 1000)
+    });
+
+    createSync({
+        blockTemplate: {
+            title: '{calendarName}: {title} ({duration})',
+            description: '{sourceCalendarId} | {location} | {link} | {organizer}'
+        }
+    }).synchronizeCalendars();
+
+    const [block] = listBlocks('remote');
+    assert.strictEqual(block.getTitle(), 'Work: Dentist (1h 30m)');
+    assert.strictEqual(block.getDescription(), `primary | Main Street 1 | ${calendarBackend.getEventLink(event, 'primary')} | {organizer}`);
+});
+
+test('template: leaves missing fields empty and renders function templates', () => {
+    calendarBackend.addEvent('primary', { title: 'Standup', startTime: new Date(now + HOUR), endTime: new Date(now + HOUR + 15 * 60 * 1000) });
+
+    createSync({
+        blockTemplate: {
+            title: ({ title, duration }) => `${title.toUpperCase()} ${duration}`,
+            description: 'At: {location}.'
+        }
+    }).synchronizeCalendars();
+
+    const [block] = listBlocks('remote');
+    assert.strictEqual(block.getTitle(), 'STANDUP 15m');
+    assert.strictEqual(block.getDescription(), 'At: .');
+});
+
+test('template: hides the title, location and link of redacted blocks', () => {
+    calendarBackend.addEvent('primary', { title: 'Therapy', location: 'Clinic', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+
+    createSync({ blockTemplate: { title: '{title}', description: '{location}{link}', redacted: true } }).synchronizeCalendars();
+
+    const [block] = listBlocks('remote');
+    assert.strictEqual(block.getTitle(), 'Busy');
+    assert.strictEqual(block.getDescription(), '');
+});
+
+test('template: updates the existing blocks when the template changes', () => {
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    createSync().synchronizeCalendars();
+    const [block] = listBlocks('remote');
+
+    const report = createSync({ blockTemplate: { title: 'Busy ({duration})', description: 'Synchronized' } }).synchronizeCalendars();
+
+    const blocks = listBlocks('remote');
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason]), [['update', 'template-changed']]);
+    assert.deepStrictEqual(blocks.map(event => event.getId()), [block.getId()]);
+    assert.strictEqual(blocks[0].getTitle(), 'Busy (1h)');
+    assert.strictEqual(blocks[0].getDescription(), 'Synchronized');
+
+    // An unchanged template leaves the blocks alone
+    const secondReport = createSync({ blockTemplate: { title: 'Busy ({duration})', description: 'Synchronized' } }).synchronizeCalendars();
+    assert.deepStrictEqual(secondReport.actions, []);
+});
+
+/**
+ * Adds an instance of a weekly series to the primary calendar.
+ *
+ * @param {number} week - The week of the instance, counted from now.
+ * @param {number} [delay=0] - How far the instance was moved from its original start time, in milliseconds.
+ * @returns {Object} - The instance.
+ */
+const addWeeklyInstance = (week, delay = 0) => calendarBackend.addEvent('primary', {
+    id: 'weekly@memory',
+    seriesId: 'weekly@memory',
+    title: 'Weekly sync',
+    startTime: new Date(now + week * 7 * DAY + delay),
+    endTime: new Date(now + week * 7 * DAY + HOUR + delay),
+    originalStartTime: new Date(now + week * 7 * DAY)
+});
+
+test('series: blocks a recurring source event with one block series', () => {
+    [1, 2, 3].forEach(week => addWeeklyInstance(week));
+    const sync = createSync({ recurringBlocks: 'series' });
+
+    const report = sync.synchronizeCalendars();
+
+    const blocks = listBlocks('remote');
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.series]), [['create', true]]);
+    assert.deepStrictEqual(blocks.map(event => event.getStartTime().getTime()), [1, 2, 3].map(week => now + week * 7 * DAY));
+    assert.strictEqual(new Set(blocks.map(event => event.getId())).size, 1);
+    assert.ok(blocks.every(event => event.isRecurringEvent() && event.getTitle() === 'primary: Weekly sync'));
+
+    // The block series is recognized on the next run
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, []);
+});
+
+test('series: falls back to single blocks for moved and new instances', () => {
+    [1, 2, 3].forEach(week => addWeeklyInstance(week, week === 2 ? HOUR : 0));
+    const sync = createSync({ recurringBlocks: 'series' });
+    sync.synchronizeCalendars();
+    const [seriesId] = listBlocks('remote').map(event => event.getId());
+
+    // The block series copies the original start times, so the moved instance gets its own update
+    const report = sync.synchronizeCalendars();
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.reason, action.series]), [['update', 'source-changed', undefined]]);
+    assert.deepStrictEqual(listBlocks('remote').map(event => event.getStartTime().getTime()), [now + 7 * DAY, now + 14 * DAY + HOUR, now + 21 * DAY]);
+
+    // An instance that is missing from the block series gets a single block
+    addWeeklyInstance(4);
+    const secondReport = sync.synchronizeCalendars();
+    assert.deepStrictEqual(secondReport.actions.map(action => [action.type, action.series]), [['create', undefined]]);
+
+    const blocks = listBlocks('remote');
+    assert.strictEqual(blocks.length, 4);
+    assert.deepStrictEqual(blocks.map(event => event.getId() === seriesId), [true, true, true, false]);
+    assert.strictEqual(blocks[3].isRecurringEvent(), false);
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, []);
+});
+
+test('time budget: stops before a write would run past the budget and continues from the cursor', () => {
+    [1, 2, 3, 4].forEach(day => {
+        calendarBackend.addEvent('primary', { title: `Primary ${day}`, startTime: new Date(now + day * DAY), endTime: new Date(now + day * DAY + HOUR) });
+        calendarBackend.addEvent('remote', { title: `Remote ${day}`, startTime: new Date(now + day * DAY + 2 * HOUR), endTime: new Date(now + day * DAY + 3 * HOUR) });
+    });
+
+    // A fake clock that only moves when an event is created, by 2 seconds per event
+    let clock;
+    mock.method(Date, 'now', () => clock);
+    const backend = {
+        ...calendarBackend,
+        getCalendarById: (id) => {
+            const calendar = calendarBackend.getCalendarById(id);
+            return calendar && {
+                ...calendar,
+                createEvent: (...args) => {
+                    clock += 2000;
+                    return calendar.createEvent(...args);
+                }
+            };
+        }
+    };
+    const stateStore = MemoryStateStore();
+    const sync = createSync({ calendarBackend: backend, stateStore, stateKey: 'budget', timeBudget: 10000 });
+
+    try {
+        // The first direction takes four writes of 2 seconds. The next write is expected to take 2 seconds as well,
+        // which does not fit in the 2 seconds left, so the second direction is planned but not written
+        clock = new Date().getTime();
+        const report = sync.synchronizeCalendars();
+
+        assert.strictEqual(report.complete, false);
+        assert.strictEqual(listBlocks('remote').length, 4);
+        assert.strictEqual(listBlocks('primary').length, 0);
+        assert.strictEqual(stateStore.get('budget:cursor').edgeIndex, 1);
+
+        // The next run continues with the second direction
+        clock = new Date().getTime();
+        const secondReport = sync.synchronizeCalendars();
+
+        assert.strictEqual(secondReport.complete, true);
+        assert.deepStrictEqual(secondReport.actions.map(action => [action.type, action.calendarId]), [1, 2, 3, 4].map(() => ['create', 'primary']));
+        assert.strictEqual(listBlocks('primary').length, 4);
+        assert.strictEqual(stateStore.get('budget:cursor'), null);
+    } finally {
+        mock.restoreAll();
+    }
+});
+
+/**
+ * Wraps the memory backend, so the full reads of every calendar are counted.
+ *
+ * @param {Object} fetches - Receives the number of `getEvents` calls per calendar ID.
+ * @param {Object} [overrides] - Methods that replace the ones of the memory backend.
+ * @returns {Object} - The calendar backend.
+ */
+const withFetchCounts = (fetches, overrides = {}) => ({
+    ...calendarBackend,
+    getCalendarById: (id) => {
+        const calendar = calendarBackend.getCalendarById(id);
+        return calendar && {
+            ...calendar,
+            getEvents: (...args) => {
+                fetches[id] = (fetches[id] || 0) + 1;
+                return calendar.getEvents(...args);
+            }
+        };
+    },
+    ...overrides
+});
+
+test('incremental: the first run reads every calendar and keeps a watermark per calendar', () => {
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const fetches = {};
+    const stateStore = MemoryStateStore();
+
+    const report = createSync({ calendarBackend: withFetchCounts(fetches), stateStore, stateKey: 'incremental', incremental: true }).synchronizeCalendars();
+
+    assert.deepStrictEqual(fetches, { primary: 1, remote: 1 });
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.calendarId]), [['create', 'remote']]);
+    const { watermarks, lastFullSync } = stateStore.get('incremental');
+    assert.deepStrictEqual(Object.keys(watermarks).sort(), ['primary', 'remote']);
+    assert.ok(Object.values(watermarks).every(watermark => watermark === lastFullSync));
+});
+
+test('incremental: later runs only read the calendars of directions with changes', () => {
+    calendarBackend.addCalendar('third');
+    const fetches = {};
+    const sync = createSync({
+        primaryCalendarId: undefined,
+        remoteCalendarId: undefined,
+        calendarBackend: withFetchCounts(fetches),
+        stateStore: MemoryStateStore(),
+        incremental: true,
+        syncGraph: [
+            { sourceCalendarId: 'primary', targetCalendarId: 'remote' },
+            { sourceCalendarId: 'third', targetCalendarId: 'remote' }
+        ]
+    });
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR), lastUpdated: new Date(now - DAY) });
+    sync.synchronizeCalendars();
+
+    // The blocks written by the previous run are no change
+    Object.keys(fetches).forEach(id => delete fetches[id]);
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions, []);
+    assert.deepStrictEqual(fetches, {});
+
+    // A new event in the third calendar only reads the calendars of its direction
+    calendarBackend.addEvent('third', { title: 'Gym', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+    const report = sync.synchronizeCalendars();
+    assert.deepStrictEqual(fetches, { third: 1, remote: 1 });
+    assert.deepStrictEqual(report.actions.map(action => [action.type, action.sourceCalendarId]), [['create', 'third']]);
+
+    // A deleted block is a change of its calendar, so it is created again
+    Object.keys(fetches).forEach(id => delete fetches[id]);
+    listBlocks('remote').find(event => event.getTag('sourceCalendarId') === 'primary').deleteEvent();
+    const secondReport = sync.synchronizeCalendars();
+    assert.deepStrictEqual(fetches, { primary: 1, remote: 1, third: 1 });
+    assert.deepStrictEqual(secondReport.actions.map(action => [action.type, action.sourceCalendarId]), [['create', 'primary']]);
+});
+
+test('incremental: reads a calendar in full when its changes cannot be listed', () => {
+    const fetches = {};
+    const stateStore = MemoryStateStore();
+    createSync({ stateStore, incremental: true }).synchronizeCalendars();
+
+    // Google Calendar fails when the watermark is too long ago; the changes of an event edited meanwhile are still found
+    const event = calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    const listChangedEvents = (calendarId, updatedMin) => {
+        if (calendarId === 'primary') {
+            throw new Error('410 Gone: updatedMin is too long ago');
+        }
+        return calendarBackend.listChangedEvents(calendarId, updatedMin);
+    };
+    const report = createSync({ calendarBackend: withFetchCounts(fetches, { listChangedEvents }), stateStore, incremental: true }).synchronizeCalendars();
+
+    assert.deepStrictEqual(fetches, { primary: 1, remote: 1 });
+    assert.strictEqual(report.errors.length, 0);
+    assert.deepStrictEqual(listBlocks('remote').map(block => block.getTag('sourceEventId')), [event.getId()]);
+
+    // A backend that cannot list changes at all is read in full at every run
+    Object.keys(fetches).forEach(id => delete fetches[id]);
+    createSync({ calendarBackend: withFetchCounts(fetches, { listChangedEvents: () => null }), stateStore, incremental: true }).synchronizeCalendars();
+    assert.deepStrictEqual(fetches, { primary: 1, remote: 1 });
+});
+
+test('incremental: a calendar that failed before a run was cut short is read in full again', () => {
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR), lastUpdated: new Date(now - DAY) });
+    calendarBackend.addEvent('remote', { title: 'Gym', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR), lastUpdated: new Date(now - DAY) });
+
+    // A fake clock that only moves when a block is created in the remote calendar, which fails
+    let clock;
+    mock.method(Date, 'now', () => clock);
+    const fetches = {};
+    const countingBackend = withFetchCounts(fetches);
+    const backend = {
+        ...countingBackend,
+        getCalendarById: (id) => {
+            const calendar = countingBackend.getCalendarById(id);
+            return id === 'remote' ? {
+                ...calendar,
+                createEvent: () => {
+                    clock += 6000;
+                    throw new Error('Forbidden: no write access');
+                }
+            } : calendar;
+        }
+    };
+    const stateStore = MemoryStateStore();
+    const sync = createSync({ calendarBackend: backend, stateStore, stateKey: 'resume', incremental: true, timeBudget: 10000 });
+
+    try {
+        // The failed write in the first direction leaves no time for the writes of the second direction
+        clock = new Date().getTime();
+        const report = sync.synchronizeCalendars();
+        assert.strictEqual(report.complete, false);
+        assert.deepStrictEqual(report.errors.map(error => error.action.calendarId), ['remote']);
+
+        // The run that completes does not give the failed calendars a watermark
+        clock = new Date().getTime();
+        const secondReport = sync.synchronizeCalendars();
+        assert.strictEqual(secondReport.complete, true);
+        assert.deepStrictEqual(secondReport.errors, []);
+        assert.deepStrictEqual(stateStore.get('resume').watermarks, {});
+
+        // So the next run reads them in full again
+        Object.keys(fetches).forEach(id => delete fetches[id]);
+        clock = new Date().getTime();
+        sync.synchronizeCalendars();
+        assert.deepStrictEqual(fetches, { primary: 1, remote: 1 });
+    } finally {
+        mock.restoreAll();
+    }
+});
+
+test('incremental: only lists the instances of recurring series that changed', () => {
+    [1, 2, 3].forEach(week => calendarBackend.addEvent('primary', {
+        id: 'weekly@memory',
+        seriesId: 'weekly@memory',
+        title: 'Weekly sync',
+        startTime: new Date(now + week * 7 * DAY),
+        endTime: new Date(now + week * 7 * DAY + HOUR),
+        originalStartTime: new Date(now + week * 7 * DAY),
+        lastUpdated: new Date(now - DAY)
+    }));
+    const listed = [];
+    const listInstances = (...args) => {
+        listed.push(args[1]);
+        return calendarBackend.listInstances(...args);
+    };
+    const sync = createSync({ calendarBackend: withFetchCounts({}, { listInstances }), stateStore: MemoryStateStore(), incremental: true });
+    sync.synchronizeCalendars();
+    assert.deepStrictEqual(listed, ['weekly@memory']);
+
+    // Another change in the calendar reads it again, but the series is not listed again
+    calendarBackend.addEvent('primary', { title: 'Dentist', startTime: new Date(now + HOUR), endTime: new Date(now + 2 * HOUR) });
+    assert.deepStrictEqual(sync.synchronizeCalendars().actions.map(action => [action.type, action.reason]), [['create', 'not-blocked']]);
+    assert.deepStrictEqual(listed, ['weekly@memory']);
+
+    // A moved instance lists its series again, and its block moves along
+    const [, second] = listEvents('primary').filter(event => event.isRecurringEvent());
+    second.setTime(new Date(now + 14 * DAY + HOUR), new Date(now + 14 * DAY + 2 * HOUR));
+    const later = Date.now() + 1000;
+    mock.method(Date, 'now', () => later);
+    try {
+        assert.deepStrictEqual(sync.synchronizeCalendars().actions.map(action => [action.type, action.reason]), [['update', 'source-changed']]);
+        assert.deepStrictEqual(listed, ['weekly@memory', 'weekly@memory']);
+
+        // The cache keeps the original start time of the moved instance
+        calendarBackend.addEvent('primary', { title: 'Lunch', startTime: new Date(now + 3 * HOUR), endTime: new Date(now + 4 * HOUR) });
+        assert.deepStrictEqual(sync.synchronizeCalendars().actions.map(action => [action.type, action.reason]), [['create', 'not-blocked']]);
+        assert.deepStrictEqual(listed, ['weekly@memory', 'weekly@memory']);
+        assert.strictEqual(listBlocks('remote').length, 5);
+    } finally {
+        mock.restoreAll();
+    }
+});
+
+test('incremental: the conflict tags of a run are no change, but an edit of a tagged event is', () => {
+    const meeting = calendarBackend.addEvent('primary', { title: 'Meeting', startTime: new Date(now + DAY), endTime: new Date(now + DAY + HOUR), lastUpdated: new Date(now - DAY) });
+    calendarBackend.addEvent('remote', { title: 'Call', startTime: new Date(now + DAY + HOUR / 2), endTime: new Date(now + DAY + 2 * HOUR), lastUpdated: new Date(now - DAY) });
+    const fetches = {};
+    const sync = createSync({
+        calendarBackend: withFetchCounts(fetches),
+        stateStore: MemoryStateStore(),
+        incremental: true,
+        conflicts: { tagEvents: true, color: '11' }
+    });
+    sync.synchronizeCalendars();
+    assert.strictEqual(meeting.getTag('conflict'), 'true');
+
+    Object.keys(fetches).forEach(id => delete fetches[id]);
+    sync.synchronizeCalendars();
+    assert.deepStrictEqual(fetches, {});
+
+    // Let the clock move on, so the edit is later than the tag write
+    for (const tagTime = Date.now(); Date.now() <= tagTime;);
+    meeting.setTitle('Planning meeting');
+    sync.synchronizeCalendars();
+    assert.deepStrictEqual(fetches, { primary: 1, remote: 1 });
+});